@@ -3,6 +3,12 @@ pragma solidity 0.8.28;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./interfaces/IUniswapV2Router.sol";
+import "./interfaces/IAutomationCompatible.sol";
+import "./interfaces/IDistributionRecipient.sol";
 
 /**
 __/\\\\\\\\\\\\\\\__/\\\\\\\\\\\__/\\\\\\\\\\\\\\\__/\\\\\\\\\\\\\\\__/\\\________/\\\_        
@@ -37,21 +43,70 @@ __/\\\\\\\\\\\\\\\__/\\\\\\\\\\\__/\\\\\\\\\\\\\\\__/\\\\\\\\\\\\\\\__/\\\______
  *    set when this contract is deployed. They CANNOT be modified afterward. This ensures complete
  *    transparency and prevents any manipulation of the distribution.
  * 
+ *    The only exception is that each recipient can move their OWN slot to a new wallet
+ *    (for example after losing a key). This is a two-step process and never changes
+ *    any percentage.
+ *
+ *    A splitter can optionally be deployed with a governor contract. Then the recipients can
+ *    together vote to change wallets and percentages; a change needs the votes of more than
+ *    half of all shares and only takes effect after a waiting period.
+ * 
  * 2. NO MANUAL WITHDRAWALS: There is NO function that allows anyone to manually withdraw tokens
- *    to an arbitrary address. The ONLY way tokens can leave this contract is through the 
- *    distributeTokens function, which follows the predefined percentage rules.
+ *    to an arbitrary address. Tokens only ever leave this contract by following the rules:
+ *    - a distribution (distributeTokens, distributeNative, distributeTokensBatch, an automated
+ *      run or a parent splitter) sends every allocation its percentage, or burns it
+ *    - the caller reward, if one was set up, goes to whoever triggered that distribution
+ *    - claim and claimFor pay out tokens already set aside for a recipient
+ *    - release pays vesting allocations the part of their tokens that has unlocked
+ *    - swapAndDistribute hands tokens to the exchange set at deployment, in return for the
+ *      target token, which is then split the same way
  *
  * 3. AUTOMATIC SPLITTING: When the distributeTokens function is called, it automatically
  *    calculates how many tokens each wallet should receive based on their percentage and
  *    sends the tokens accordingly.
  *
- * 4. DISTRIBUTION TRACKING: The contract keeps a record of all token distributions, making
- *    it possible to verify that tokens were distributed correctly.
+ * 4. NATIVE CURRENCY: The contract can also receive the chain's own currency (ETH on Ethereum,
+ *    RON on Ronin). It is split with the exact same percentages through distributeNative.
+ *
+ * 5. OPTIONAL SWAPPING: A splitter can be set up with a decentralized exchange and a "target"
+ *    token. Recipients can then have any other token swapped into the target token first,
+ *    so everyone is paid in the same asset.
+ *
+ * 6. OPTIONAL VESTING: Some allocations (for example team wallets) can be set up to receive
+ *    their share gradually. Their tokens are locked in this contract and unlocked bit by bit
+ *    over time; anyone can call release to send the unlocked part to them. Every share is
+ *    locked from the moment it arrives, so tokens distributed a year after deployment are
+ *    locked just as long as the very first ones.
+ *
+ * 7. OPTIONAL CALLER REWARD: A splitter can be set up to pay a small, fixed reward (a "bounty")
+ *    to whoever triggers a distribution, so someone always has a reason to pay the gas.
+ *    The reward comes out of the amount being distributed; the percentages apply to the rest.
+ *
+ * 8. OPTIONAL TOKEN RULES: A splitter can be set up to only distribute tokens from an approved
+ *    list, and to refuse distributions of tiny balances. The list and minimums are set at
+ *    deployment and can afterwards only be changed by recipients holding a majority of the shares.
+ *
+ * 9. OPTIONAL AUTOMATION: A splitter can be given a list of tokens to watch. Keeper networks
+ *    (such as Chainlink Automation) can then check the contract regularly and distribute every
+ *    watched token that is ready, no more often than a minimum time set at deployment.
+ *
+ * 10. OPTIONAL NESTED SPLITTERS: An allocation can itself be another splitter contract. When the
+ *    parent is distributed, the child receives its share and splits it again in the same
+ *    transaction. Loops of splitters and very deep chains are stopped safely.
+ *
+ * 11. OPTIONAL RECIPIENT HOOKS: A contract wallet (such as a staking pool) can ask to be told
+ *    when it receives its share, so it can act on the tokens straight away. If the contract's
+ *    reaction fails, the tokens are still delivered and the failure is simply announced.
+ *
+ * 12. DISTRIBUTION TRACKING: The contract keeps a record of all token distributions, making
+ *    it possible to verify that tokens were distributed correctly. The record shows what each
+ *    wallet actually received, even for tokens that take a tax on every transfer. Every
+ *    distribution is also stored as a numbered "round" that anyone can look up later.
  *
  * In simple terms, this contract acts as an automatic, tamper-proof distribution system
  * that cannot be changed after it's deployed.
  */
-contract DistributeTokens {
+contract DistributeTokens is ReentrancyGuard, IAutomationCompatible {
     // This enables the safe transfer of tokens to prevent certain types of attacks
     using SafeERC20 for IERC20;
 
@@ -59,83 +114,309 @@ contract DistributeTokens {
     error InvalidPercentages();    // Appears if percentages don't add up to 100%
     error NoTokensToDistribute();  // Appears if trying to distribute when there are no tokens
     error ZeroAddress();           // Appears if token address is missing
+    error NothingToClaim();        // Appears if a wallet tries to claim when nothing is owed to it
+    error NoAllocations();         // Appears if the contract is deployed without any allocations
+    error DuplicateWallet();       // Appears if the same wallet is listed more than once
+    error InvalidAllocationIndex(); // Appears if an allocation number does not exist
+    error NotAllocationWallet();   // Appears if someone other than the slot's wallet tries to move it
+    error NotPendingWallet();      // Appears if someone other than the proposed wallet tries to accept a move
+    error SwapNotEnabled();        // Appears if a swap is requested on a splitter set up without an exchange
+    error InvalidSwapToken();      // Appears if the token to swap is the target token or native currency
+    error InvalidVestingSchedule(); // Appears if a vesting schedule is set up incorrectly
+    error NothingToRelease();      // Appears if release is called when no vested tokens are waiting
+    error InvalidBounty();         // Appears if the caller reward is set higher than allowed
+    error TokenNotAllowed(address token); // Appears if a token is not on the splitter's allowlist
+    error BalanceBelowMinimum(address token, uint256 balance, uint256 minimum); // Appears if a balance is too small to distribute
+    error UpkeepNotNeeded();       // Appears if an automated run is triggered too early or with nothing to distribute
+    error NotSelf();               // Appears if anyone but the splitter itself calls distributeForUpkeep
+    error InvalidChildSplitter();  // Appears if a splitter allocation does not point to a deployed contract
+    error NestingTooDeep();        // Appears if splitters are nested deeper than MAX_NESTING_DEPTH
+    error NotGovernor();           // Appears if anyone but the governor tries to change the allocations
+    error InvalidGovernor();       // Appears if the governor is set to an address that is not a deployed contract
+    error DuplicateToken();        // Appears if a token is given more than one list of allocations
+    error InvalidHookRecipient();  // Appears if a hooked allocation does not point to a deployed contract
+    error InsufficientHookGas();   // Appears if a distribution is sent with too little gas to notify hooked wallets
+
+    // The different kinds of allocation
+    // Standard: tokens are sent to the wallet
+    // Burn: tokens are destroyed with burn() when the token supports it, otherwise sent to the wallet
+    //       (which should be a dead address such as 0x000000000000000000000000000000000000dEaD)
+    // Splitter: the wallet is another DistributeTokens contract, which splits its share again straight away
+    // Hooked: tokens are sent to the wallet, a contract that is then told about it through onDistribution
+    enum AllocationType { Standard, Burn, Splitter, Hooked }
+
+    // An optional vesting schedule, counted in seconds from the moment each share arrives
+    // Nothing unlocks before the cliff; after that tokens unlock linearly until the duration has passed
+    struct VestingSchedule {
+        uint64 cliff;              // Seconds after a share arrives before any of it unlocks
+        uint64 duration;           // Seconds after a share arrives when all of it is unlocked (0 = no vesting)
+    }
+
+    // One share credited to a vesting allocation, stored as running totals of all shares so far
+    // so the unlocked amount can be worked out without adding up every share again
+    struct VestingDeposit {
+        uint64 timestamp;          // When the share arrived
+        uint256 totalAmount;       // All shares up to and including this one
+        uint256 totalWeighted;     // All shares up to and including this one, each multiplied by its arrival time
+    }
 
-    // This defines what an "Allocation" is - a wallet address and its percentage
+    // This defines what an "Allocation" is - a wallet address, its percentage and its kind
     struct Allocation {
         address wallet;            // The wallet address that will receive tokens
         uint256 percentage;        // The percentage this wallet gets (in basis points: 100% = 10000)
+        AllocationType allocationType; // What happens to this allocation's share
+        VestingSchedule vesting;   // Optional vesting schedule (duration 0 = paid out immediately)
+    }
+
+    // Optional features chosen when the contract is deployed
+    struct Settings {
+        address swapRouter;        // Uniswap-V2-style exchange used by swapAndDistribute (zero address = swapping disabled)
+        address targetToken;       // The token other tokens are swapped into before splitting
+        uint256 bountyBps;         // Reward for the caller of a distribution, in basis points (0 = no reward)
+        BountyCap[] bountyCaps;    // Most a single reward can be, per token (tokens not listed have no cap)
+        bool allowlistEnabled;     // True to only distribute tokens marked as allowed in tokenRules
+        TokenRule[] tokenRules;    // Starting rules for individual tokens
+        address[] watchedTokens;   // Tokens that automated runs (performUpkeep) distribute
+        uint256 upkeepInterval;    // Minimum time between automated runs, in seconds
+        address governor;          // Governor contract allowed to change wallets and percentages (zero = allocations are fixed)
+        TokenAllocations[] tokenAllocations; // Tokens that are split with their own list instead of the default one
+    }
+
+    // A separate list of wallets and percentages for one token
+    struct TokenAllocations {
+        address token;             // The token this list applies to (NATIVE_TOKEN for native currency)
+        Allocation[] allocations;  // The wallets and percentages used for this token, adding up to 100%
+    }
+
+    // The most a single caller reward can be for one token, in that token's smallest unit
+    struct BountyCap {
+        address token;             // The token this cap applies to (NATIVE_TOKEN for native currency)
+        uint256 cap;               // The largest reward paid in that token (0 = no cap)
+    }
+
+    // The distribution rules for one token
+    struct TokenRule {
+        address token;             // The token these rules apply to (NATIVE_TOKEN for native currency)
+        bool allowed;              // Whether the token is on the allowlist (only used when the allowlist is enabled)
+        uint256 minBalance;        // The smallest balance that may be distributed (0 = no minimum)
+    }
+
+    // One distribution round: everything that happened in a single distribution
+    struct DistributionRound {
+        address token;             // The token that was distributed (NATIVE_TOKEN for native currency)
+        uint256 totalAmount;       // The total amount given to the allocations
+        uint256 timestamp;         // When the distribution happened
+        address caller;            // Who triggered the distribution
+        bool accrued;              // True if the shares were set aside for claiming (accrueTokens)
+        address[] recipients;      // The allocation wallets at that moment
+        uint256[] amounts;         // What each of those wallets was given
     }
 
     // A list of all the allocations (who gets what percentage)
+    // This is the default list, used for every token without a list of its own
     Allocation[] public allocations;
 
+    // Token-specific lists that replace the default list: [token type] = allocations
+    mapping(address => Allocation[]) private tokenAllocations;
+
+    // The allocation that receives the rounding remainder in each token-specific list
+    mapping(address => uint256) private tokenRemainderIndex;
+
+    // Every token that has its own list
+    address[] private tokensWithAllocations;
+
     // This keeps track of how many tokens have been distributed to each wallet address
     // It works like a spreadsheet where we record: [token type][recipient wallet] = amount sent
     mapping(address => mapping(address => uint256)) public distributedTokens;
-    
+
+    // Tokens that have been set aside for a wallet but not yet collected by it (claim mode)
+    // Recorded as: [token type][recipient wallet] = amount waiting to be claimed
+    mapping(address => mapping(address => uint256)) public claimableTokens;
+
+    // The total amount of each token that has really been destroyed by burn allocations
+    // (tokens sent to the dead address because the token cannot burn are not counted here)
+    mapping(address => uint256) public burnedTokens;
+
+    // The total amount of each token that is set aside for claims
+    // These tokens belong to the recipients and are never distributed again
+    mapping(address => uint256) public totalClaimable;
+
+    // The vesting ledger of allocations with a vesting schedule
+    // Recorded per allocation number, so a wallet move also moves the unreleased tokens
+    // vestingTotal: [token type][allocation number] = everything ever credited to that allocation
+    // vestingReleased: [token type][allocation number] = the part already sent to the wallet
+    mapping(address => mapping(uint256 => uint256)) public vestingTotal;
+    mapping(address => mapping(uint256 => uint256)) public vestingReleased;
+
+    // Every share credited to a vesting allocation, oldest first: [token type][allocation number] = shares
+    mapping(address => mapping(uint256 => VestingDeposit[])) private vestingDeposits;
+
+    // The total amount of each token held for vesting allocations and not yet released
+    // Like claims, these tokens are never distributed again
+    mapping(address => uint256) public totalVesting;
+
+    // Every distribution round, numbered from 0 in the order they happened
+    DistributionRound[] private rounds;
+
+    // The round numbers of each token: [token type] = list of round numbers
+    mapping(address => uint256[]) private tokenRounds;
+
     // This constant represents 100% in basis points (10000 = 100.00%)
     uint256 private constant TOTAL_PERCENTAGE = 10000;
 
+    // The allocation that receives the rounding remainder ("dust") of every distribution
+    // This is the allocation with the largest percentage (the first one if there is a tie)
+    uint256 public remainderAllocationIndex;
+
+    // Wallet moves that have been proposed but not yet accepted: [allocation number] = proposed new wallet
+    mapping(uint256 => address) public pendingWallets;
+
+    // The exchange and the token that swapAndDistribute swaps into (both zero when swapping is disabled)
+    IUniswapV2Router public immutable swapRouter;
+    address public immutable targetToken;
+
+    // The largest caller reward a splitter may be deployed with (5.00%)
+    uint256 public constant MAX_BOUNTY_BPS = 500;
+
+    // The caller reward of this splitter (see Settings), fixed forever at deployment
+    // Caps are per token because every token counts in its own units: [token type] = largest reward (0 = no cap)
+    uint256 public immutable bountyBps;
+    mapping(address => uint256) public bountyCaps;
+
+    // When true, only tokens marked in allowedTokens can be distributed
+    bool public immutable allowlistEnabled;
+
+    // Per-token rules: [token type] = allowed / smallest balance that may be distributed
+    mapping(address => bool) public allowedTokens;
+    mapping(address => uint256) public minimumBalances;
+
+    // Votes of the allocations for changing a token's rules: [proposal][allocation number] = voted
+    // Proposals include a per-token counter, so votes for outdated proposals stop counting once a change is made
+    mapping(bytes32 => mapping(uint256 => bool)) public tokenRuleVotes;
+    mapping(address => uint256) public tokenRuleNonce;
+
+    // The tokens that automated runs look at, and the minimum time between two runs
+    address[] private watchedTokens;
+    uint256 public immutable upkeepInterval;
+
+    // When the last automated run happened
+    uint256 public lastUpkeep;
+
+    // The contract that carries out the recipients' votes to change allocations (zero when there is none)
+    address public immutable governor;
+
+    // How many levels of splitters below the first one are distributed in the same transaction
+    uint256 public constant MAX_NESTING_DEPTH = 3;
+
+    // The most gas a hooked wallet's onDistribution call may use
+    uint256 public constant HOOK_GAS_LIMIT = 100000;
+
+    // Native currency (ETH/RON) has no token contract, so it is recorded under this placeholder address
+    // Use it with getDistributedAmount to check how much native currency a wallet has received
+    address public constant NATIVE_TOKEN = 0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE;
+
     // These events are public announcements recorded on the blockchain when actions happen
     // They help with transparency and tracking what the contract has done
     event TokensDistributed(address indexed token, uint256 totalAmount);
     event AllocationDistributed(address indexed token, address indexed recipient, uint256 amount);
+    event BatchDistributed(address[] tokens, uint256[] amounts);
+    event RoundRecorded(uint256 indexed roundId, address indexed token, uint256 totalAmount);
+    event TokensAccrued(address indexed token, uint256 totalAmount);
+    event AllocationAccrued(address indexed token, address indexed recipient, uint256 amount);
+    event TokensClaimed(address indexed token, address indexed recipient, uint256 amount);
+    event TokensBurned(address indexed token, uint256 amount);
+    event AllocationVested(address indexed token, address indexed recipient, uint256 amount);
+    event TokensReleased(address indexed token, address indexed recipient, uint256 amount);
+    event BountyPaid(address indexed token, address indexed caller, uint256 amount);
+    event TokenRuleVoted(address indexed token, address indexed voter, bool allowed, uint256 minBalance);
+    event TokenRuleUpdated(address indexed token, bool allowed, uint256 minBalance);
+    event UpkeepPerformed(address[] tokens, uint256[] amounts);
+    event UpkeepTokenFailed(address indexed token, bytes reason);
+    event ChildSplitterDistributed(address indexed token, address indexed child, uint256 totalAmount);
+    event ChildSplitterFailed(address indexed token, address indexed child, bytes reason);
+    event HookFailed(address indexed token, address indexed recipient, bytes reason);
+    event TokensSwapped(address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut);
+    event WalletChangeProposed(uint256 indexed index, address indexed currentWallet, address indexed newWallet);
+    event WalletChanged(uint256 indexed index, address indexed oldWallet, address indexed newWallet);
+    event AllocationUpdated(uint256 indexed index, address indexed wallet, uint256 percentage);
 
     /**
      * @dev This runs only once when the contract is created
      * 
-     * IMPORTANT: The wallet addresses and percentages defined here are PERMANENT
-     * and CANNOT be changed after the contract is deployed. This ensures that
-     * the distribution rules cannot be manipulated.
+     * IMPORTANT: Without a governor, the percentages passed in here are PERMANENT
+     * and CANNOT be changed after the contract is deployed; each recipient can only
+     * move their own slot to a new wallet. With a governor, the recipients can change
+     * wallets and percentages together, but only by voting for it through that
+     * governor. Either way, nobody can change the distribution rules on their own.
+     *
+     * The deployment is rejected if:
+     * - the list is empty
+     * - any wallet is the zero address
+     * - the same wallet appears more than once
+     * - any percentage is zero, or the percentages don't add up to exactly 100%
+     *
+     * @param initialAllocations The wallets and their percentages (in basis points: 100% = 10000)
+     * @param settings The optional features of this splitter (see Settings)
      */
-    constructor() {
-        // Marketing wallet gets 30% of all tokens
-        allocations.push(Allocation({
-            wallet: 0x5953D009299f31fac1d7B08176Cc7a7A571405Cb,
-            percentage: 3000 // 30%
-        }));
-        
-        // Charity for Breast Cancer gets 20% of all tokens
-        allocations.push(Allocation({
-            wallet: 0x30788484042272b05304A75038178c647f34F35d,
-            percentage: 2000 // 20%
-        }));
+    constructor(Allocation[] memory initialAllocations, Settings memory settings) {
+        // Store the default list and any token-specific lists
+        remainderAllocationIndex = _storeAllocations(allocations, initialAllocations);
+        for (uint256 i = 0; i < settings.tokenAllocations.length; i++) {
+            address token = settings.tokenAllocations[i].token;
+            if (token == address(0)) {
+                revert ZeroAddress();
+            }
+            if (tokenAllocations[token].length > 0) {
+                revert DuplicateToken();
+            }
+            tokensWithAllocations.push(token);
+            tokenRemainderIndex[token] = _storeAllocations(tokenAllocations[token], settings.tokenAllocations[i].allocations);
+        }
 
-        // Team & Advisors get 20% of all tokens
-        allocations.push(Allocation({
-            wallet: 0x4BC8dFCa3eB09C4587a50DA3254E6cD0Ea550F3D,
-            percentage: 2000 // 20%
-        }));
-        
-        // Community wallet gets 10% of all tokens
-        allocations.push(Allocation({
-            wallet: 0x91Fc532e2B7E2295865A790D03692e7141fD05F5,
-            percentage: 1000 // 10%
-        }));
+        // Swapping needs both an exchange and a target token, or neither
+        if ((settings.swapRouter == address(0)) != (settings.targetToken == address(0))) {
+            revert ZeroAddress();
+        }
+        swapRouter = IUniswapV2Router(settings.swapRouter);
+        targetToken = settings.targetToken;
 
-        // Developer wallet gets 10% of all tokens
-        allocations.push(Allocation({
-            wallet: 0xaEeaA55ED4f7df9E4C5688011cEd1E2A1b696772,
-            percentage: 1000 // 10%
-        }));
-        
-        // 10% of tokens are permanently removed from circulation (burned)
-        // The zero address is like a black hole - tokens sent here can never be recovered
-        allocations.push(Allocation({
-            wallet: 0x000000000000000000000000000000000000dEaD,
-            percentage: 1000 // 10%
-        }));
+        // The caller reward may never eat more than MAX_BOUNTY_BPS of a distribution
+        if (settings.bountyBps > MAX_BOUNTY_BPS) {
+            revert InvalidBounty();
+        }
+        bountyBps = settings.bountyBps;
+        for (uint256 i = 0; i < settings.bountyCaps.length; i++) {
+            if (settings.bountyCaps[i].token == address(0)) {
+                revert ZeroAddress();
+            }
+            bountyCaps[settings.bountyCaps[i].token] = settings.bountyCaps[i].cap;
+        }
 
-        // This checks that all percentages add up to exactly 100%
-        // If they don't, the contract will fail to deploy
-        uint256 totalPercentage;
-        for (uint256 i = 0; i < allocations.length; i++) {
-            totalPercentage += allocations[i].percentage;
+        // Store the starting token rules
+        allowlistEnabled = settings.allowlistEnabled;
+        for (uint256 i = 0; i < settings.tokenRules.length; i++) {
+            TokenRule memory rule = settings.tokenRules[i];
+            if (rule.token == address(0)) {
+                revert ZeroAddress();
+            }
+            _setTokenRule(rule.token, rule.allowed, rule.minBalance);
         }
-        
-        if (totalPercentage != TOTAL_PERCENTAGE) {
-            revert InvalidPercentages();
+
+        // Store the automation settings
+        for (uint256 i = 0; i < settings.watchedTokens.length; i++) {
+            if (settings.watchedTokens[i] == address(0)) {
+                revert ZeroAddress();
+            }
+            watchedTokens.push(settings.watchedTokens[i]);
         }
+        upkeepInterval = settings.upkeepInterval;
+
+        // A governor must be a contract that enforces the vote and waiting period; a plain
+        // wallet as governor could change the allocations on its own
+        if (settings.governor != address(0) && settings.governor.code.length == 0) {
+            revert InvalidGovernor();
+        }
+        governor = settings.governor;
     }
 
     /**
@@ -151,68 +432,1227 @@ contract DistributeTokens {
      *
      * @param token The address of the token you want to distribute
      */
-    function distributeTokens(address token) external {
+    function distributeTokens(address token) external nonReentrant {
         // Check that a valid token address was provided
         if (token == address(0)) {
             revert ZeroAddress();
         }
 
-        // Create a reference to the token and check how many tokens this contract holds
-        IERC20 tokenInstance = IERC20(token);
-        uint256 balance = tokenInstance.balanceOf(address(this));
-        
-        // If there are no tokens to distribute, stop and show an error
-        if (balance == 0) {
+        // Check how many tokens this contract holds and split them
+        _distribute(token, _balanceOf(token), false, 0, msg.sender);
+    }
+
+    /**
+     * @notice Swaps a token into the target token, then distributes the target token
+     * 
+     * Only available when the splitter was deployed with an exchange (swapRouter) and
+     * a target token. The whole free balance of `token` is sold on the exchange, and
+     * the contract's target token balance is then split exactly like distributeTokens.
+     *
+     * Only allocation wallets can call this, because the caller chooses the minimum
+     * output: the recipients are the ones who lose out if it is set too low.
+     *
+     * @param token The token to sell (must not be the target token or native currency)
+     * @param amountOutMin The swap reverts if fewer target tokens than this are received
+     * @param deadline The swap reverts if it is executed after this timestamp
+     */
+    function swapAndDistribute(address token, uint256 amountOutMin, uint256 deadline) external nonReentrant {
+        if (address(swapRouter) == address(0)) {
+            revert SwapNotEnabled();
+        }
+        if (token == address(0)) {
+            revert ZeroAddress();
+        }
+        if (token == targetToken || token == NATIVE_TOKEN) {
+            revert InvalidSwapToken();
+        }
+        if (!_isAllocationWallet(msg.sender)) {
+            revert NotAllocationWallet();
+        }
+
+        uint256 amountIn = _balanceOf(token);
+        if (amountIn == 0) {
             revert NoTokensToDistribute();
         }
+        _requireDistributable(token, amountIn);
 
-        // Loop through each allocation and distribute tokens according to percentages
-        for (uint256 i = 0; i < allocations.length; i++) {
-            Allocation memory allocation = allocations[i];
-            
-            // Calculate how many tokens this wallet should receive
-            // Example: If we have 1000 tokens and this wallet gets 30%, 
-            // it would receive 300 tokens (1000 * 3000 / 10000)
-            uint256 amount = (balance * allocation.percentage) / TOTAL_PERCENTAGE;
-            
-            if (amount > 0) {
-                // Keep track of how many tokens have been sent to this wallet
-                distributedTokens[token][allocation.wallet] += amount;
-                
-                // Send the tokens to the wallet
-                tokenInstance.safeTransfer(allocation.wallet, amount);
-                
-                // Announce that tokens were sent to this wallet
-                emit AllocationDistributed(token, allocation.wallet, amount);
+        // Sell the token on the exchange and measure how many target tokens arrived
+        address[] memory path = new address[](2);
+        path[0] = token;
+        path[1] = targetToken;
+
+        uint256 targetBefore = IERC20(targetToken).balanceOf(address(this));
+        IERC20(token).forceApprove(address(swapRouter), amountIn);
+        // The fee-on-transfer variant also works for tokens that take a tax on every transfer
+        swapRouter.swapExactTokensForTokensSupportingFeeOnTransferTokens(amountIn, amountOutMin, path, address(this), deadline);
+        uint256 amountOut = IERC20(targetToken).balanceOf(address(this)) - targetBefore;
+
+        emit TokensSwapped(token, targetToken, amountIn, amountOut);
+
+        // Split everything the contract now holds of the target token
+        _distribute(targetToken, _balanceOf(targetToken), false, 0, msg.sender);
+    }
+
+    /**
+     * @notice Splits a token like distributeTokens, but sets each share aside instead of sending it
+     * 
+     * This is the "claim mode" of the contract. Nothing is transferred here, so a recipient
+     * that cannot receive the token (for example a wallet blacklisted by USDC/USDT) cannot
+     * block the split for everyone else. Each recipient collects their share later with claim.
+     *
+     * Set-aside amounts count towards getDistributedAmount straight away, because they
+     * belong to the recipient from this moment on.
+     *
+     * Anyone can call this function. NATIVE_TOKEN may be used for native currency.
+     *
+     * @param token The address of the token you want to split
+     */
+    function accrueTokens(address token) external nonReentrant {
+        // Check that a valid token address was provided
+        if (token == address(0)) {
+            revert ZeroAddress();
+        }
+
+        _distribute(token, _balanceOf(token), true, 0, msg.sender);
+    }
+
+    /**
+     * @notice Collects all tokens set aside for the caller by accrueTokens
+     * 
+     * @param token The address of the token to collect (NATIVE_TOKEN for native currency)
+     */
+    function claim(address token) external nonReentrant {
+        _claim(token, msg.sender);
+    }
+
+    /**
+     * @notice Collects tokens set aside for a recipient, on their behalf
+     * 
+     * Anyone can call this, but the tokens always go to the recipient - never to the caller.
+     *
+     * @param token The address of the token to collect (NATIVE_TOKEN for native currency)
+     * @param recipient The wallet whose tokens should be sent out
+     */
+    function claimFor(address token, address recipient) external nonReentrant {
+        _claim(token, recipient);
+    }
+
+    /**
+     * @notice Distributes several tokens in a single transaction
+     * 
+     * Every token in the list is split exactly like distributeTokens would split it.
+     * Tokens the contract currently holds none of are skipped instead of stopping the
+     * whole batch, so one call can clear everything the contract has collected.
+     * NATIVE_TOKEN may be included to distribute native currency as well.
+     *
+     * @param tokens The addresses of the tokens you want to distribute
+     * @return amounts How much of each token was given to the allocations, after any caller
+     * reward and transfer tax, like TokensDistributed reports it (0 for skipped tokens)
+     */
+    function distributeTokensBatch(address[] calldata tokens) external nonReentrant returns (uint256[] memory amounts) {
+        amounts = new uint256[](tokens.length);
+
+        for (uint256 i = 0; i < tokens.length; i++) {
+            // Check that a valid token address was provided
+            if (tokens[i] == address(0)) {
+                revert ZeroAddress();
+            }
+
+            // Skip tokens with nothing (or too little) to distribute
+            uint256 balance = _balanceOf(tokens[i]);
+            if (balance == 0 || balance < minimumBalances[tokens[i]]) {
+                continue;
             }
+
+            amounts[i] = _distribute(tokens[i], balance, false, 0, msg.sender);
         }
-        
-        // Announce that all tokens have been distributed
-        emit TokensDistributed(token, balance);
+
+        // Announce a summary of the whole batch
+        emit BatchDistributed(tokens, amounts);
     }
 
     /**
-     * @notice A function that lets anyone view all the allocation details at once
+     * @notice Distributes the native currency (ETH/RON) held by this contract
      * 
-     * This provides transparency by allowing anyone to see exactly which wallets
-     * receive tokens and what percentage each wallet gets.
+     * Works exactly like distributeTokens, using the same wallets and percentages.
+     * Amounts are recorded under the NATIVE_TOKEN placeholder address and the same
+     * TokensDistributed/AllocationDistributed events are emitted.
      *
-     * @return A list of all wallet addresses and their percentages
+     * Anyone can call this function.
      */
-    function getAllocations() external view returns (Allocation[] memory) {
-        return allocations;
+    function distributeNative() external nonReentrant {
+        _distribute(NATIVE_TOKEN, _balanceOf(NATIVE_TOKEN), false, 0, msg.sender);
     }
 
     /**
-     * @notice A function that lets anyone check how many tokens a specific wallet has received
+     * @notice Distributes a token as part of a parent splitter's distribution
      * 
-     * This provides transparency by allowing anyone to verify past distributions.
+     * Parent splitters call this on their Splitter allocations right after sending them
+     * their share. It works like distributeTokens (or distributeNative for NATIVE_TOKEN),
+     * except that no caller reward is paid and the nesting depth is limited.
      *
-     * @param token The address of the token you want to check
-     * @param recipient The wallet address you want to check
-     * @return The total amount of tokens that have been distributed to that wallet
+     * Anyone can call this function.
+     *
+     * @param token The token to distribute (NATIVE_TOKEN for native currency)
+     * @param depth How many splitters above this one are taking part (1 for a direct child)
+     * @return The total amount given to this splitter's allocations
      */
-    function getDistributedAmount(address token, address recipient) external view returns (uint256) {
-        return distributedTokens[token][recipient];
+    function distributeNested(address token, uint256 depth) external nonReentrant returns (uint256) {
+        if (token == address(0)) {
+            revert ZeroAddress();
+        }
+        if (depth > MAX_NESTING_DEPTH) {
+            revert NestingTooDeep();
+        }
+
+        return _distribute(token, _balanceOf(token), false, depth, msg.sender);
+    }
+
+    /**
+     * @notice Step 1 of moving an allocation to a new wallet: the current wallet proposes the move
+     * 
+     * Only the wallet that currently owns the slot can call this. The percentage of the
+     * slot never changes. Proposing again replaces the previous proposal.
+     *
+     * @param index The number of the allocation (its position in getAllocations)
+     * @param newWallet The wallet that should receive this allocation from now on
+     */
+    function proposeWalletChange(uint256 index, address newWallet) external {
+        if (index >= allocations.length) {
+            revert InvalidAllocationIndex();
+        }
+        if (msg.sender != allocations[index].wallet) {
+            revert NotAllocationWallet();
+        }
+        if (newWallet == address(0)) {
+            revert ZeroAddress();
+        }
+        _requireUniqueWallet(newWallet);
+
+        pendingWallets[index] = newWallet;
+
+        emit WalletChangeProposed(index, msg.sender, newWallet);
+    }
+
+    /**
+     * @notice Step 2 of moving an allocation to a new wallet: the new wallet accepts the move
+     * 
+     * Having the new wallet confirm proves it is controlled by someone, so a slot can
+     * never be moved to a mistyped address by accident. A child splitter or hooked
+     * slot can only be moved to another deployed contract.
+     *
+     * Past distributions stay recorded under the old wallet in getDistributedAmount;
+     * new distributions are recorded under the new wallet. Tokens already set aside
+     * for the old wallet by accrueTokens remain claimable by the old wallet.
+     *
+     * @param index The number of the allocation (its position in getAllocations)
+     */
+    function acceptWalletChange(uint256 index) external {
+        if (index >= allocations.length) {
+            revert InvalidAllocationIndex();
+        }
+        if (msg.sender != pendingWallets[index]) {
+            revert NotPendingWallet();
+        }
+        // Check again, the wallet may have joined another allocation since the proposal
+        _requireUniqueWallet(msg.sender);
+        _requireFitsType(allocations[index].allocationType, msg.sender);
+
+        address oldWallet = allocations[index].wallet;
+        allocations[index].wallet = msg.sender;
+        delete pendingWallets[index];
+
+        // The wallet moves in every token-specific list too
+        for (uint256 i = 0; i < tokensWithAllocations.length; i++) {
+            Allocation[] storage table = tokenAllocations[tokensWithAllocations[i]];
+            for (uint256 j = 0; j < table.length; j++) {
+                if (table[j].wallet == oldWallet) {
+                    _requireFitsType(table[j].allocationType, msg.sender);
+                    table[j].wallet = msg.sender;
+                }
+            }
+        }
+
+        emit WalletChanged(index, oldWallet, msg.sender);
+    }
+
+    /**
+     * @notice Sends every vesting allocation the part of its tokens that has unlocked so far
+     * 
+     * Anyone can call this. The tokens always go to each allocation's current wallet.
+     *
+     * @param token The address of the token to release (NATIVE_TOKEN for native currency)
+     */
+    function release(address token) external nonReentrant {
+        Allocation[] storage table = _allocationsFor(token);
+        uint256 totalReleased;
+
+        for (uint256 i = 0; i < table.length; i++) {
+            uint256 amount = _releasableAmount(token, i);
+            if (amount == 0) {
+                continue;
+            }
+
+            // Update the ledger before sending to prevent double releases
+            vestingReleased[token][i] += amount;
+            totalVesting[token] -= amount;
+            totalReleased += amount;
+
+            address wallet = table[i].wallet;
+            uint256 received = _transferOut(token, wallet, amount);
+
+            // Vesting shares count as distributed once they reach the wallet, only what actually arrived
+            distributedTokens[token][wallet] += received;
+
+            emit TokensReleased(token, wallet, received);
+        }
+
+        if (totalReleased == 0) {
+            revert NothingToRelease();
+        }
+    }
+
+    /**
+     * @notice Votes to change the rules of a token (allowlist and minimum balance)
+     * 
+     * Only allocation wallets can vote, and each vote weighs as much as the voter's
+     * percentage. As soon as wallets holding more than 50% have voted for exactly the
+     * same rules, the change is made.
+     *
+     * @param token The token whose rules should change (NATIVE_TOKEN for native currency)
+     * @param allowed Whether the token should be on the allowlist
+     * @param minBalance The smallest balance that may be distributed (0 = no minimum)
+     */
+    function voteTokenRule(address token, bool allowed, uint256 minBalance) external {
+        if (token == address(0)) {
+            revert ZeroAddress();
+        }
+
+        bytes32 proposal = keccak256(abi.encode(token, allowed, minBalance, tokenRuleNonce[token]));
+        uint256 weight;
+        bool isVoter;
+
+        // Record the caller's vote and add up the weight of everyone who voted the same way
+        for (uint256 i = 0; i < allocations.length; i++) {
+            if (allocations[i].wallet == msg.sender) {
+                tokenRuleVotes[proposal][i] = true;
+                isVoter = true;
+            }
+            if (tokenRuleVotes[proposal][i]) {
+                weight += allocations[i].percentage;
+            }
+        }
+        if (!isVoter) {
+            revert NotAllocationWallet();
+        }
+
+        emit TokenRuleVoted(token, msg.sender, allowed, minBalance);
+
+        // A majority of the shares agrees: apply the change and start counting afresh
+        if (weight * 2 > TOTAL_PERCENTAGE) {
+            tokenRuleNonce[token]++;
+            _setTokenRule(token, allowed, minBalance);
+        }
+    }
+
+    /**
+     * @notice Changes the wallets and percentages of all allocations at once
+     * 
+     * Only the governor can call this, after the recipients have voted for the change.
+     * The number of allocations, their types and their vesting schedules stay the same.
+     * The new list is checked with the same rules as at deployment, so the percentages
+     * always add up to exactly 100%.
+     *
+     * Tokens already set aside for claiming stay with the wallet they were set aside for;
+     * vesting and votes belong to the allocation number and carry over to its new wallet.
+     * A wallet that is replaced is also replaced in every token-specific list, the same
+     * way acceptWalletChange moves it; the percentages of those lists stay the same.
+     *
+     * @param wallets The new wallet of every allocation, in getAllocations order
+     * @param percentages The new percentage of every allocation (in basis points: 100% = 10000)
+     */
+    function updateAllocations(address[] calldata wallets, uint256[] calldata percentages) external {
+        if (msg.sender != governor) {
+            revert NotGovernor();
+        }
+        if (wallets.length != allocations.length || percentages.length != allocations.length) {
+            revert InvalidAllocationIndex();
+        }
+
+        uint256 totalPercentage;
+        address[] memory oldWallets = new address[](wallets.length);
+        for (uint256 i = 0; i < wallets.length; i++) {
+            // Every allocation needs a real wallet and a share bigger than zero
+            if (wallets[i] == address(0)) {
+                revert ZeroAddress();
+            }
+            if (percentages[i] == 0) {
+                revert InvalidPercentages();
+            }
+
+            // The same wallet may only appear once in the list
+            for (uint256 j = 0; j < i; j++) {
+                if (wallets[j] == wallets[i]) {
+                    revert DuplicateWallet();
+                }
+            }
+
+            // A child splitter or hooked wallet must be a deployed contract
+            if (allocations[i].allocationType == AllocationType.Splitter && wallets[i].code.length == 0) {
+                revert InvalidChildSplitter();
+            }
+            if (allocations[i].allocationType == AllocationType.Hooked && wallets[i].code.length == 0) {
+                revert InvalidHookRecipient();
+            }
+
+            // A proposed wallet move no longer applies once the slot has a new wallet
+            if (wallets[i] != allocations[i].wallet) {
+                delete pendingWallets[i];
+            }
+
+            // Remember the largest allocation, it receives the rounding remainder
+            if (i == 0 || percentages[i] > percentages[remainderAllocationIndex]) {
+                remainderAllocationIndex = i;
+            }
+
+            oldWallets[i] = allocations[i].wallet;
+            allocations[i].wallet = wallets[i];
+            allocations[i].percentage = percentages[i];
+            totalPercentage += percentages[i];
+
+            emit AllocationUpdated(i, wallets[i], percentages[i]);
+        }
+
+        // This checks that all percentages still add up to exactly 100%
+        if (totalPercentage != TOTAL_PERCENTAGE) {
+            revert InvalidPercentages();
+        }
+
+        // Replaced wallets move in every token-specific list too. Every entry is looked up
+        // by its wallet before the update, so two slots can also swap their wallets.
+        for (uint256 t = 0; t < tokensWithAllocations.length; t++) {
+            Allocation[] storage table = tokenAllocations[tokensWithAllocations[t]];
+            for (uint256 j = 0; j < table.length; j++) {
+                for (uint256 i = 0; i < oldWallets.length; i++) {
+                    if (table[j].wallet == oldWallets[i]) {
+                        _requireFitsType(table[j].allocationType, wallets[i]);
+                        table[j].wallet = wallets[i];
+                        break;
+                    }
+                }
+                // A new wallet may already have its own entry in this list
+                for (uint256 k = 0; k < j; k++) {
+                    if (table[k].wallet == table[j].wallet) {
+                        revert DuplicateWallet();
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * @notice Tells a keeper whether an automated run is due
+     * 
+     * A run is due when the minimum time since the last run has passed and at least one
+     * watched token is ready: it has a balance, reaches its minimum and is allowed.
+     * This function is meant to be called off-chain, so it costs nothing.
+     *
+     * @return upkeepNeeded True if performUpkeep should be called now
+     * @return performData The ready tokens, encoded as address[]
+     */
+    function checkUpkeep(bytes calldata) external view returns (bool upkeepNeeded, bytes memory performData) {
+        address[] memory tokens = _readyTokens();
+        upkeepNeeded = block.timestamp >= lastUpkeep + upkeepInterval && tokens.length > 0;
+        performData = abi.encode(tokens);
+    }
+
+    /**
+     * @notice Distributes every watched token that is ready (see checkUpkeep)
+     * 
+     * Anyone can call this, but not more often than upkeepInterval allows. The tokens are
+     * checked again here, so the performData passed in is ignored and cannot change what
+     * is distributed.
+     *
+     * Each token is distributed on its own: if one of them fails, it is skipped and reported
+     * with UpkeepTokenFailed, and the other tokens are still distributed. The run still counts,
+     * so a broken token cannot make keepers call this again and again.
+     *
+     * The caller reward, if one was set up, goes to the address that called this function.
+     * With Chainlink Automation that is Chainlink's forwarder or registry contract, not the
+     * keeper node, so a splitter run by Chainlink should normally be set up without a reward.
+     */
+    function performUpkeep(bytes calldata) external nonReentrant {
+        address[] memory tokens = _readyTokens();
+        if (block.timestamp < lastUpkeep + upkeepInterval || tokens.length == 0) {
+            revert UpkeepNotNeeded();
+        }
+        lastUpkeep = block.timestamp;
+
+        uint256[] memory amounts = new uint256[](tokens.length);
+        for (uint256 i = 0; i < tokens.length; i++) {
+            // A failing token is reported and left at 0, instead of stopping the whole run
+            try this.distributeForUpkeep(tokens[i], msg.sender) returns (uint256 amount) {
+                amounts[i] = amount;
+            } catch (bytes memory reason) {
+                emit UpkeepTokenFailed(tokens[i], reason);
+            }
+        }
+
+        emit UpkeepPerformed(tokens, amounts);
+    }
+
+    /**
+     * @notice Distributes one token during performUpkeep
+     *
+     * Only this contract can call this. performUpkeep calls it for each token separately, so
+     * that one failing token does not undo the others.
+     *
+     * @param token The watched token to distribute
+     * @param caller Who called performUpkeep, and receives the caller reward
+     * @return The total amount given to the allocations
+     */
+    function distributeForUpkeep(address token, address caller) external returns (uint256) {
+        if (msg.sender != address(this)) {
+            revert NotSelf();
+        }
+        return _distribute(token, _balanceOf(token), false, 0, caller);
+    }
+
+    /**
+     * @notice Lets the contract receive native currency (ETH/RON)
+     * 
+     * Received funds stay in the contract until distributeNative is called.
+     */
+    receive() external payable {}
+
+    /**
+     * @dev Checks a list of allocations and stores it in `table`
+     * 
+     * @return remainderIndex The largest allocation (the first one if several are tied), which receives the rounding remainder
+     */
+    function _storeAllocations(Allocation[] storage table, Allocation[] memory list) private returns (uint256 remainderIndex) {
+        // There must be at least one wallet to send tokens to
+        if (list.length == 0) {
+            revert NoAllocations();
+        }
+
+        uint256 totalPercentage;
+        for (uint256 i = 0; i < list.length; i++) {
+            Allocation memory allocation = list[i];
+
+            // Every allocation needs a real wallet and a share bigger than zero
+            if (allocation.wallet == address(0)) {
+                revert ZeroAddress();
+            }
+            if (allocation.percentage == 0) {
+                revert InvalidPercentages();
+            }
+
+            // A vesting schedule needs its cliff within its duration, and only standard allocations can vest
+            VestingSchedule memory vesting = allocation.vesting;
+            if (vesting.cliff > vesting.duration ||
+                (vesting.duration > 0 && allocation.allocationType != AllocationType.Standard)) {
+                revert InvalidVestingSchedule();
+            }
+
+            // A child splitter must already be deployed (this also rules out a splitter pointing to itself)
+            if (allocation.allocationType == AllocationType.Splitter && allocation.wallet.code.length == 0) {
+                revert InvalidChildSplitter();
+            }
+            // Only contracts can be told about a distribution
+            if (allocation.allocationType == AllocationType.Hooked && allocation.wallet.code.length == 0) {
+                revert InvalidHookRecipient();
+            }
+
+            // The same wallet may only appear once in the list
+            for (uint256 j = 0; j < table.length; j++) {
+                if (table[j].wallet == allocation.wallet) {
+                    revert DuplicateWallet();
+                }
+            }
+
+            // Remember the largest allocation, it receives the rounding remainder
+            if (allocation.percentage > list[remainderIndex].percentage) {
+                remainderIndex = i;
+            }
+
+            totalPercentage += allocation.percentage;
+            table.push(allocation);
+        }
+
+        // This checks that all percentages add up to exactly 100%
+        // If they don't, the contract will fail to deploy
+        if (totalPercentage != TOTAL_PERCENTAGE) {
+            revert InvalidPercentages();
+        }
+    }
+
+    /**
+     * @dev Splits `balance` of `token` among all allocations according to their percentages
+     * 
+     * @param token The token being distributed (NATIVE_TOKEN for native currency)
+     * @param balance The total amount to split
+     * @param accrue True to set the shares aside for claiming instead of sending them
+     * @param depth How many parent splitters are taking part (0 when this splitter was called directly)
+     * @param caller Who started the distribution, and receives the caller reward
+     * @return The total amount given to the allocations
+     */
+    function _distribute(address token, uint256 balance, bool accrue, uint256 depth, address caller) private returns (uint256) {
+        // If there are no tokens to distribute, stop and show an error
+        if (balance == 0) {
+            revert NoTokensToDistribute();
+        }
+        _requireDistributable(token, balance);
+
+        // Pay the caller's reward first, the allocations share whatever is left
+        // (only the splitter that was called directly pays one, not its child splitters)
+        if (bountyBps > 0 && depth == 0) {
+            uint256 bounty = (balance * bountyBps) / TOTAL_PERCENTAGE;
+            uint256 cap = bountyCaps[token];
+            if (cap > 0 && bounty > cap) {
+                bounty = cap;
+            }
+            if (bounty > 0) {
+                balance -= bounty;
+                emit BountyPaid(token, caller, _transferOut(token, caller, bounty));
+            }
+        }
+
+        // Work out each wallet's share, including the rounding remainder
+        Allocation[] storage table = _allocationsFor(token);
+        uint256[] memory amounts = _splitAmounts(token, balance);
+        address[] memory recipients = new address[](table.length);
+        uint256 totalDistributed;
+
+        // Loop through each allocation and distribute tokens according to percentages
+        for (uint256 i = 0; i < table.length; i++) {
+            Allocation memory allocation = table[i];
+            uint256 amount = amounts[i];
+            
+            if (amount > 0) {
+                if (allocation.allocationType == AllocationType.Burn) {
+                    // Burn allocations are never set aside, they are removed straight away
+                    amount = _burnOrSend(token, allocation.wallet, amount);
+                    emit AllocationDistributed(token, allocation.wallet, amount);
+                } else if (allocation.allocationType == AllocationType.Splitter ||
+                           allocation.allocationType == AllocationType.Hooked) {
+                    // Child splitters and hooked wallets are never set aside either, they are
+                    // sent their share straight away and then called (below)
+                    amount = _transferOut(token, allocation.wallet, amount);
+                    emit AllocationDistributed(token, allocation.wallet, amount);
+                } else if (allocation.vesting.duration > 0) {
+                    // Vesting allocations get their share locked in the vesting ledger
+                    // (it is recorded in distributedTokens when it is released, see below)
+                    _addVestingDeposit(token, i, amount);
+                    totalVesting[token] += amount;
+                    emit AllocationVested(token, allocation.wallet, amount);
+                } else if (accrue) {
+                    // Set the tokens aside so the wallet can claim them later
+                    claimableTokens[token][allocation.wallet] += amount;
+                    totalClaimable[token] += amount;
+                    emit AllocationAccrued(token, allocation.wallet, amount);
+                } else {
+                    // Send the tokens to the wallet, counting only what actually arrived
+                    // (tokens with a transfer tax deliver less than was sent)
+                    amount = _transferOut(token, allocation.wallet, amount);
+
+                    // Announce that tokens were sent to this wallet
+                    emit AllocationDistributed(token, allocation.wallet, amount);
+                }
+
+                // Keep track of how many tokens have been given to this wallet
+                // Vesting shares are recorded on release instead, under the wallet that really receives
+                // them, because the slot may have moved to another wallet by then
+                if (allocation.vesting.duration == 0) {
+                    distributedTokens[token][allocation.wallet] += amount;
+                }
+                totalDistributed += amount;
+            }
+
+            // Remember who got what for the round history
+            recipients[i] = allocation.wallet;
+            amounts[i] = amount;
+        }
+
+        _recordRound(token, totalDistributed, accrue, caller, recipients, amounts);
+        
+        // Announce how many tokens were actually distributed (or set aside)
+        if (accrue) {
+            emit TokensAccrued(token, totalDistributed);
+        } else {
+            emit TokensDistributed(token, totalDistributed);
+        }
+
+        // Let every child splitter that received tokens split them again,
+        // and tell every hooked wallet how much it received
+        for (uint256 i = 0; i < table.length; i++) {
+            if (amounts[i] == 0) {
+                continue;
+            }
+            if (table[i].allocationType == AllocationType.Splitter) {
+                _distributeChild(token, table[i].wallet, depth + 1);
+            } else if (table[i].allocationType == AllocationType.Hooked) {
+                _notifyRecipient(token, table[i].wallet, amounts[i]);
+            }
+        }
+
+        return totalDistributed;
+    }
+
+    /**
+     * @dev Calls a hooked wallet's onDistribution with at most HOOK_GAS_LIMIT gas
+     * 
+     * The tokens have already been sent and counted, so a failing hook only emits HookFailed.
+     */
+    function _notifyRecipient(address token, address recipient, uint256 amount) private {
+        try IDistributionRecipient(recipient).onDistribution{gas: HOOK_GAS_LIMIT}(token, amount) {
+        } catch (bytes memory reason) {
+            // A call only gets 63/64 of the remaining gas. If this little gas is left, the hook
+            // may have had less than HOOK_GAS_LIMIT, so stop instead of blaming the hook.
+            // Otherwise anyone could make hooks fail on purpose by sending too little gas.
+            if (gasleft() < HOOK_GAS_LIMIT / 63) {
+                revert InsufficientHookGas();
+            }
+            emit HookFailed(token, recipient, reason);
+        }
+    }
+
+    /**
+     * @dev Asks a child splitter to distribute the share it was just sent
+     * 
+     * A failing child (for example one that is part of a loop, nested too deep or below
+     * its minimum balance) does not stop this distribution: its tokens simply wait in
+     * the child until it is distributed again.
+     */
+    function _distributeChild(address token, address child, uint256 depth) private {
+        try DistributeTokens(payable(child)).distributeNested(token, depth) returns (uint256 totalAmount) {
+            emit ChildSplitterDistributed(token, child, totalAmount);
+        } catch (bytes memory reason) {
+            emit ChildSplitterFailed(token, child, reason);
+        }
+    }
+
+    /**
+     * @dev Reverts if the token rules do not allow distributing `balance` of `token`
+     */
+    function _requireDistributable(address token, uint256 balance) private view {
+        if (allowlistEnabled && !allowedTokens[token]) {
+            revert TokenNotAllowed(token);
+        }
+        if (balance < minimumBalances[token]) {
+            revert BalanceBelowMinimum(token, balance, minimumBalances[token]);
+        }
+    }
+
+    /**
+     * @dev Returns the watched tokens that could be distributed right now
+     */
+    function _readyTokens() private view returns (address[] memory tokens) {
+        bool[] memory ready = new bool[](watchedTokens.length);
+        uint256 count;
+
+        // Find the tokens that have enough to distribute and are allowed
+        for (uint256 i = 0; i < watchedTokens.length; i++) {
+            address token = watchedTokens[i];
+            uint256 balance = _balanceOf(token);
+            if (balance > 0 && balance >= minimumBalances[token] && (!allowlistEnabled || allowedTokens[token])) {
+                ready[i] = true;
+                count++;
+            }
+        }
+
+        // Put them in a list of exactly the right length
+        tokens = new address[](count);
+        count = 0;
+        for (uint256 i = 0; i < watchedTokens.length; i++) {
+            if (ready[i]) {
+                tokens[count++] = watchedTokens[i];
+            }
+        }
+    }
+
+    /**
+     * @dev Stores the rules of a token
+     */
+    function _setTokenRule(address token, bool allowed, uint256 minBalance) private {
+        allowedTokens[token] = allowed;
+        minimumBalances[token] = minBalance;
+        emit TokenRuleUpdated(token, allowed, minBalance);
+    }
+
+    /**
+     * @dev Stores a distribution round so it can be looked up later
+     */
+    function _recordRound(
+        address token,
+        uint256 totalAmount,
+        bool accrued,
+        address caller,
+        address[] memory recipients,
+        uint256[] memory amounts
+    ) private {
+        uint256 roundId = rounds.length;
+        rounds.push(DistributionRound({
+            token: token,
+            totalAmount: totalAmount,
+            timestamp: block.timestamp,
+            caller: caller,
+            accrued: accrued,
+            recipients: recipients,
+            amounts: amounts
+        }));
+        tokenRounds[token].push(roundId);
+
+        emit RoundRecorded(roundId, token, totalAmount);
+    }
+
+    /**
+     * @dev Calculates how much of `balance` each allocation receives
+     * 
+     * Percentages are rounded down, which leaves a few wei of "dust" behind.
+     * That remainder is added to the largest allocation (remainderAllocationIndex
+     * for the default list), so the amounts always add up to exactly `balance`.
+     *
+     * @param token The token being split, which decides the list of allocations used
+     * @param balance The total amount to split
+     * @return amounts The amount for each allocation, in the order of getAllocations(token)
+     */
+    function _splitAmounts(address token, uint256 balance) internal view returns (uint256[] memory amounts) {
+        Allocation[] storage table = _allocationsFor(token);
+        amounts = new uint256[](table.length);
+        uint256 assigned;
+
+        for (uint256 i = 0; i < table.length; i++) {
+            // Calculate how many tokens this wallet should receive
+            // Example: If we have 1000 tokens and this wallet gets 30%, 
+            // it would receive 300 tokens (1000 * 3000 / 10000)
+            amounts[i] = (balance * table[i].percentage) / TOTAL_PERCENTAGE;
+            assigned += amounts[i];
+        }
+
+        // Give the rounding remainder to the designated allocation
+        uint256 remainderIndex = tokenAllocations[token].length > 0 ? tokenRemainderIndex[token] : remainderAllocationIndex;
+        amounts[remainderIndex] += balance - assigned;
+    }
+
+    /**
+     * @dev Sends everything set aside for `recipient` in `token` to the recipient
+     */
+    function _claim(address token, address recipient) private {
+        uint256 amount = claimableTokens[token][recipient];
+        if (amount == 0) {
+            revert NothingToClaim();
+        }
+
+        // Clear the record before sending to prevent double claims
+        claimableTokens[token][recipient] = 0;
+        totalClaimable[token] -= amount;
+
+        uint256 received = _transferOut(token, recipient, amount);
+
+        // The full share was counted as distributed when it was set aside,
+        // remove whatever a transfer tax took on the way
+        distributedTokens[token][recipient] -= amount - received;
+
+        emit TokensClaimed(token, recipient, received);
+    }
+
+    /**
+     * @dev Destroys `amount` of `token` with burn(), so the total supply really goes down
+     * 
+     * If the token has no working burn(uint256) function (or it is native currency),
+     * the tokens are sent to `fallbackWallet` instead, just like a normal allocation.
+     *
+     * @return The amount actually burned or received by `fallbackWallet`
+     */
+    function _burnOrSend(address token, address fallbackWallet, uint256 amount) private returns (uint256) {
+        if (token != NATIVE_TOKEN) {
+            uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+            try ERC20Burnable(token).burn(amount) {
+                // Only count what really left this contract as burned
+                uint256 burned = balanceBefore - IERC20(token).balanceOf(address(this));
+                if (burned > 0) {
+                    burnedTokens[token] += burned;
+                    emit TokensBurned(token, burned);
+                    return burned;
+                }
+            } catch {}
+        }
+
+        return _transferOut(token, fallbackWallet, amount);
+    }
+
+    /**
+     * @dev Credits `amount` of `token` to the vesting ledger of allocation `index`, locked from now on
+     * 
+     * Shares arriving in the same block are stored together, they follow exactly the same schedule.
+     */
+    function _addVestingDeposit(address token, uint256 index, uint256 amount) private {
+        VestingDeposit[] storage deposits = vestingDeposits[token][index];
+        uint256 count = deposits.length;
+
+        if (count > 0 && deposits[count - 1].timestamp == block.timestamp) {
+            deposits[count - 1].totalAmount += amount;
+            deposits[count - 1].totalWeighted += amount * block.timestamp;
+        } else {
+            deposits.push(VestingDeposit({
+                timestamp: uint64(block.timestamp),
+                totalAmount: vestingTotal[token][index] + amount,
+                totalWeighted: (count > 0 ? deposits[count - 1].totalWeighted : 0) + amount * block.timestamp
+            }));
+        }
+        vestingTotal[token][index] += amount;
+    }
+
+    /**
+     * @dev Calculates how much of `token` has unlocked for allocation `index` so far
+     * 
+     * Every share follows the schedule from its own arrival: nothing before the cliff, then
+     * a straight line up to 100% at the end of the duration. Shares are stored oldest first,
+     * so they fall into three groups: fully unlocked, unlocking, and still before their cliff.
+     * The unlocking group is worked out in one go from the running totals.
+     */
+    function _vestedAmount(address token, uint256 index) private view returns (uint256) {
+        VestingDeposit[] storage deposits = vestingDeposits[token][index];
+        if (deposits.length == 0) {
+            return 0;
+        }
+
+        VestingSchedule memory vesting = _allocationsFor(token)[index].vesting;
+        if (block.timestamp < vesting.cliff) {
+            return 0;
+        }
+
+        // Shares that arrived at least `duration` ago are fully unlocked, shares that arrived
+        // at least `cliff` ago are unlocking
+        (uint256 unlocked, uint256 unlockedWeighted) = block.timestamp < vesting.duration
+            ? (0, 0)
+            : _depositTotalsUntil(deposits, block.timestamp - vesting.duration);
+        (uint256 started, uint256 startedWeighted) = _depositTotalsUntil(deposits, block.timestamp - vesting.cliff);
+
+        // Each unlocking share has unlocked amount * (now - arrival) / duration
+        uint256 unlocking = (started - unlocked) * block.timestamp - (startedWeighted - unlockedWeighted);
+        return unlocked + unlocking / vesting.duration;
+    }
+
+    /**
+     * @dev Returns the running totals of the shares in `deposits` that arrived at or before `time`
+     */
+    function _depositTotalsUntil(
+        VestingDeposit[] storage deposits,
+        uint256 time
+    ) private view returns (uint256 amount, uint256 weighted) {
+        // Binary search for the number of shares that arrived at or before `time`
+        uint256 low = 0;
+        uint256 high = deposits.length;
+        while (low < high) {
+            uint256 middle = (low + high) / 2;
+            if (deposits[middle].timestamp <= time) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        if (low > 0) {
+            VestingDeposit storage last = deposits[low - 1];
+            return (last.totalAmount, last.totalWeighted);
+        }
+    }
+
+    /**
+     * @dev Returns the unlocked part of allocation `index` that has not been released yet
+     */
+    function _releasableAmount(address token, uint256 index) private view returns (uint256) {
+        return _vestedAmount(token, index) - vestingReleased[token][index];
+    }
+
+    /**
+     * @dev Returns the list of allocations used for `token`: its own list if it has one, otherwise the default list
+     */
+    function _allocationsFor(address token) private view returns (Allocation[] storage) {
+        return tokenAllocations[token].length > 0 ? tokenAllocations[token] : allocations;
+    }
+
+    /**
+     * @dev Returns true if `wallet` currently owns an allocation in any list
+     */
+    function _isAllocationWallet(address wallet) private view returns (bool) {
+        for (uint256 i = 0; i < allocations.length; i++) {
+            if (allocations[i].wallet == wallet) {
+                return true;
+            }
+        }
+        for (uint256 i = 0; i < tokensWithAllocations.length; i++) {
+            Allocation[] storage table = tokenAllocations[tokensWithAllocations[i]];
+            for (uint256 j = 0; j < table.length; j++) {
+                if (table[j].wallet == wallet) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @dev Reverts with DuplicateWallet if `wallet` already owns an allocation
+     */
+    function _requireUniqueWallet(address wallet) private view {
+        if (_isAllocationWallet(wallet)) {
+            revert DuplicateWallet();
+        }
+    }
+
+    /**
+     * @dev Reverts if `wallet` cannot take over an allocation of the given type,
+     * so a wallet move can never leave a child splitter or hooked slot with a plain wallet
+     */
+    function _requireFitsType(AllocationType allocationType, address wallet) private view {
+        if (allocationType == AllocationType.Splitter && wallet.code.length == 0) {
+            revert InvalidChildSplitter();
+        }
+        if (allocationType == AllocationType.Hooked && wallet.code.length == 0) {
+            revert InvalidHookRecipient();
+        }
+    }
+
+    /**
+     * @dev Returns how much of `token` (or native currency for NATIVE_TOKEN) this contract holds
+     * that is free to be distributed, leaving out tokens set aside for claims and vesting
+     */
+    function _balanceOf(address token) private view returns (uint256) {
+        uint256 held = token == NATIVE_TOKEN ? address(this).balance : IERC20(token).balanceOf(address(this));
+        uint256 reserved = totalClaimable[token] + totalVesting[token];
+
+        // A rebasing token can shrink the balance below what is reserved, then nothing is free
+        return held > reserved ? held - reserved : 0;
+    }
+
+    /**
+     * @dev Sends `amount` of `token` (or native currency for NATIVE_TOKEN) to `to`
+     * 
+     * @return received How much `to` actually received, measured from its balance.
+     * This is less than `amount` for tokens that take a tax on every transfer.
+     */
+    function _transferOut(address token, address to, uint256 amount) private returns (uint256 received) {
+        if (token == NATIVE_TOKEN) {
+            Address.sendValue(payable(to), amount);
+            return amount;
+        }
+
+        uint256 balanceBefore = IERC20(token).balanceOf(to);
+        IERC20(token).safeTransfer(to, amount);
+        received = IERC20(token).balanceOf(to) - balanceBefore;
+    }
+
+    /**
+     * @dev Returns where a page starting at `start` with at most `count` items ends in a list of `length`
+     */
+    function _pageEnd(uint256 start, uint256 count, uint256 length) private pure returns (uint256) {
+        if (start >= length) {
+            return start;
+        }
+        return length - start < count ? length : start + count;
+    }
+
+    /**
+     * @notice A function that lets anyone view all the allocation details at once
+     * 
+     * This provides transparency by allowing anyone to see exactly which wallets
+     * receive tokens and what percentage each wallet gets.
+     *
+     * @return A list of all wallet addresses and their percentages
+     */
+    function getAllocations() external view returns (Allocation[] memory) {
+        return allocations;
+    }
+
+    /**
+     * @notice A function that lets anyone view the allocations used for a specific token
+     * 
+     * Tokens without a list of their own use the default list from getAllocations().
+     *
+     * @param token The address of the token you want to check (NATIVE_TOKEN for native currency)
+     * @return The wallets and percentages that token is split with
+     */
+    function getAllocations(address token) external view returns (Allocation[] memory) {
+        return _allocationsFor(token);
+    }
+
+    /**
+     * @notice A function that lets anyone see which tokens have a list of allocations of their own
+     * 
+     * @return The tokens with their own list
+     */
+    function getTokensWithAllocations() external view returns (address[] memory) {
+        return tokensWithAllocations;
+    }
+
+    /**
+     * @notice A function that lets anyone check how many tokens a specific wallet has received
+     * 
+     * This provides transparency by allowing anyone to verify past distributions.
+     *
+     * @param token The address of the token you want to check
+     * @param recipient The wallet address you want to check
+     * @return The total amount of tokens that have been distributed to that wallet
+     */
+    function getDistributedAmount(address token, address recipient) external view returns (uint256) {
+        return distributedTokens[token][recipient];
+    }
+
+    /**
+     * @notice A function that lets anyone check how many tokens are waiting to be claimed by a wallet
+     *
+     * @param token The address of the token you want to check
+     * @param recipient The wallet address you want to check
+     * @return The amount of tokens set aside for that wallet and not yet claimed
+     */
+    function getClaimableAmount(address token, address recipient) external view returns (uint256) {
+        return claimableTokens[token][recipient];
+    }
+
+    /**
+     * @notice A function that lets anyone check the unclaimed amounts of every allocation at once
+     *
+     * @param token The address of the token you want to check
+     * @return amounts The unclaimed amount for each allocation, in the same order as getAllocations(token)
+     */
+    function getClaimableAmounts(address token) external view returns (uint256[] memory amounts) {
+        Allocation[] storage table = _allocationsFor(token);
+        amounts = new uint256[](table.length);
+        for (uint256 i = 0; i < table.length; i++) {
+            amounts[i] = claimableTokens[token][table[i].wallet];
+        }
+    }
+
+    /**
+     * @notice A function that lets anyone check how many tokens have really been burned
+     *
+     * Only tokens destroyed with burn() are counted. When a token cannot be burned, the
+     * burn allocation's share is sent to its dead address instead and shows up in
+     * getDistributedAmount for that address.
+     *
+     * @param token The address of the token you want to check
+     * @return The total amount of that token burned by this contract
+     */
+    function getBurnedAmount(address token) external view returns (uint256) {
+        return burnedTokens[token];
+    }
+
+    /**
+     * @notice A function that lets anyone check how much of a vesting allocation has unlocked
+     *
+     * @param token The address of the token you want to check
+     * @param index The number of the allocation (its position in getAllocations(token))
+     * @return The amount unlocked so far, including the part already released
+     */
+    function getVestedAmount(address token, uint256 index) external view returns (uint256) {
+        if (index >= _allocationsFor(token).length) {
+            revert InvalidAllocationIndex();
+        }
+        return _vestedAmount(token, index);
+    }
+
+    /**
+     * @notice A function that lets anyone check how much of a vesting allocation has been sent out
+     *
+     * @param token The address of the token you want to check
+     * @param index The number of the allocation (its position in getAllocations(token))
+     * @return The amount already released to the allocation's wallet
+     */
+    function getReleasedAmount(address token, uint256 index) external view returns (uint256) {
+        return vestingReleased[token][index];
+    }
+
+    /**
+     * @notice A function that lets anyone check how much of a vesting allocation is still locked
+     *
+     * @param token The address of the token you want to check
+     * @param index The number of the allocation (its position in getAllocations(token))
+     * @return The amount that has not unlocked yet
+     */
+    function getLockedAmount(address token, uint256 index) external view returns (uint256) {
+        if (index >= _allocationsFor(token).length) {
+            revert InvalidAllocationIndex();
+        }
+        return vestingTotal[token][index] - _vestedAmount(token, index);
+    }
+
+    /**
+     * @notice A function that lets anyone see which tokens automated runs distribute
+     * 
+     * @return The list of watched tokens
+     */
+    function getWatchedTokens() external view returns (address[] memory) {
+        return watchedTokens;
+    }
+
+    /**
+     * @notice A function that lets anyone check how many distribution rounds have happened
+     *
+     * @return The number of rounds (round numbers run from 0 to this number minus 1)
+     */
+    function getRoundCount() external view returns (uint256) {
+        return rounds.length;
+    }
+
+    /**
+     * @notice A function that lets anyone look up a single distribution round
+     *
+     * @param roundId The number of the round
+     * @return The token, total, time, caller and per-recipient amounts of that round
+     */
+    function getRound(uint256 roundId) external view returns (DistributionRound memory) {
+        return rounds[roundId];
+    }
+
+    /**
+     * @notice A function that lets anyone page through the distribution history
+     *
+     * @param start The first round number to return
+     * @param count The most rounds to return (fewer are returned at the end of the history)
+     * @return page The rounds from `start` onwards, oldest first
+     */
+    function getRounds(uint256 start, uint256 count) external view returns (DistributionRound[] memory page) {
+        uint256 end = _pageEnd(start, count, rounds.length);
+        page = new DistributionRound[](end - start);
+        for (uint256 i = start; i < end; i++) {
+            page[i - start] = rounds[i];
+        }
+    }
+
+    /**
+     * @notice A function that lets anyone check how many rounds a token has been distributed in
+     *
+     * @param token The address of the token you want to check
+     * @return The number of rounds for that token
+     */
+    function getTokenRoundCount(address token) external view returns (uint256) {
+        return tokenRounds[token].length;
+    }
+
+    /**
+     * @notice A function that lets anyone page through the distribution history of one token
+     *
+     * @param token The address of the token you want to check
+     * @param start The position in the token's own history to start from (0 = its first round)
+     * @param count The most rounds to return (fewer are returned at the end of the history)
+     * @return roundIds The round numbers of the returned rounds
+     * @return page The rounds themselves, oldest first
+     */
+    function getTokenRounds(
+        address token,
+        uint256 start,
+        uint256 count
+    ) external view returns (uint256[] memory roundIds, DistributionRound[] memory page) {
+        uint256[] storage ids = tokenRounds[token];
+        uint256 end = _pageEnd(start, count, ids.length);
+        roundIds = new uint256[](end - start);
+        page = new DistributionRound[](end - start);
+        for (uint256 i = start; i < end; i++) {
+            roundIds[i - start] = ids[i];
+            page[i - start] = rounds[ids[i]];
+        }
     }
 }
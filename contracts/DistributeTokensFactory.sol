@@ -0,0 +1,167 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+import "@openzeppelin/contracts/utils/Create2.sol";
+import "./DistributeTokens.sol";
+import "./libraries/CodeChunks.sol";
+
+/**
+__/\\\\\\\\\\\\\\\__/\\\\\\\\\\\__/\\\\\\\\\\\\\\\__/\\\\\\\\\\\\\\\__/\\\________/\\\_        
+ _\///////\\\/////__\/////\\\///__\///////\\\/////__\///////\\\/////__\///\\\____/\\\/__       
+  _______\/\\\___________\/\\\___________\/\\\_____________\/\\\_________\///\\\/\\\/____      
+   _______\/\\\___________\/\\\___________\/\\\_____________\/\\\___________\///\\\/______     
+    _______\/\\\___________\/\\\___________\/\\\_____________\/\\\_____________\/\\\_______    
+     _______\/\\\___________\/\\\___________\/\\\_____________\/\\\_____________\/\\\_______   
+      _______\/\\\___________\/\\\___________\/\\\_____________\/\\\_____________\/\\\_______  
+       _______\/\\\________/\\\\\\\\\\\_______\/\\\_____________\/\\\_____________\/\\\_______ 
+        _______\///________\///////////________\///______________\///______________\///________
+ * @title DistributeTokensFactory
+ * @notice Deploys DistributeTokens splitters at predictable addresses
+ * 
+ * ===== SOCIAL NETWORKS =====
+ * 
+ * https://t.me/HelloTittyOG
+ * https://x.com/hellotittyog
+ * https://github.com/hellotitty-team
+ * https://app.uniswap.org/#/swap?outputCurrency=0x5B34B5032267e5D5a80b99a06B4b85716f404EA2
+ * 
+ * ===== OVERVIEW FOR NON-TECHNICAL READERS =====
+ * 
+ * What this contract does:
+ * Every new way of splitting tokens needs its own DistributeTokens contract. This factory
+ * creates them for you: you hand it the list of wallets and percentages, and it deploys a
+ * new splitter with exactly those rules.
+ * 
+ * Key points to understand:
+ * 
+ * 1. PREDICTABLE ADDRESSES: The address of a new splitter can be calculated before it is
+ *    created (using CREATE2). Tokens can even be sent to that address in advance.
+ * 
+ * 2. PUBLIC REGISTRY: The factory remembers every splitter it created, so anyone can list
+ *    them and check that a given address is a genuine splitter from this factory.
+ *
+ * 3. FITS ANY SPLITTER: A splitter's code is too large to fit inside the factory, so the
+ *    factory stores it in separate storage-only contracts when it is deployed and reads
+ *    it back from there. The code can never change afterwards.
+ *
+ * 4. NO SPECIAL POWERS: The factory has no owner and no control over the splitters it
+ *    creates. Each splitter follows only the rules it was created with.
+ *
+ * 5. ONE KNOWN GOVERNOR: The factory is deployed with one DistributeTokensGovernor. Splitters
+ *    from this factory either have fixed allocations or use exactly that governor, so a
+ *    splitter in the registry can never be controlled by a single wallet.
+ */
+contract DistributeTokensFactory {
+    // Something went wrong while creating a splitter
+    error UnknownGovernor();       // Appears if a splitter names a governor other than the factory's governor
+
+    // The storage-only contracts holding the DistributeTokens creation code (see CodeChunks)
+    address[] private codeChunks;
+
+    // The only governor splitters from this factory may use (zero = only fixed allocations)
+    address public immutable governor;
+
+    // Every splitter this factory has created, in creation order
+    address[] public splitters;
+
+    // Quick lookup to check whether an address is a splitter created by this factory
+    mapping(address => bool) public isSplitter;
+
+    // Announced every time a new splitter is created
+    event SplitterCreated(address indexed splitter, address indexed creator, bytes32 salt);
+
+    /**
+     * @dev Stores the DistributeTokens creation code in storage-only contracts
+     * @param governor_ The DistributeTokensGovernor splitters may use (zero to allow only fixed allocations)
+     */
+    constructor(address governor_) {
+        codeChunks = CodeChunks.store(type(DistributeTokens).creationCode);
+        governor = governor_;
+    }
+
+    /**
+     * @notice Creates a new DistributeTokens splitter
+     * 
+     * The allocations are checked by the DistributeTokens constructor, so invalid lists
+     * fail with the same errors (InvalidPercentages, ZeroAddress, DuplicateWallet, NoAllocations).
+     *
+     * The caller's address is mixed into the salt, so nobody else can take the address
+     * you predicted with predictSplitterAddress.
+     *
+     * settings.governor must be zero or the factory's governor (UnknownGovernor otherwise).
+     *
+     * @param allocations The wallets and their percentages (in basis points: 100% = 10000)
+     * @param settings The optional features of the new splitter
+     * @param salt Any value you choose; the same caller, salt, allocations and settings always give the same address
+     * @return splitter The address of the new splitter
+     */
+    function createSplitter(
+        DistributeTokens.Allocation[] calldata allocations,
+        DistributeTokens.Settings calldata settings,
+        bytes32 salt
+    ) external returns (address splitter) {
+        if (settings.governor != address(0) && settings.governor != governor) {
+            revert UnknownGovernor();
+        }
+        splitter = Create2.deploy(0, _creatorSalt(msg.sender, salt), _initCode(allocations, settings));
+
+        // Record the new splitter in the registry
+        splitters.push(splitter);
+        isSplitter[splitter] = true;
+
+        emit SplitterCreated(splitter, msg.sender, salt);
+    }
+
+    /**
+     * @notice Calculates where createSplitter would deploy a splitter
+     * 
+     * @param creator The address that will call createSplitter
+     * @param allocations The wallets and their percentages that will be used
+     * @param settings The optional features that will be used
+     * @param salt The salt that will be used
+     * @return The address the splitter will have
+     */
+    function predictSplitterAddress(
+        address creator,
+        DistributeTokens.Allocation[] calldata allocations,
+        DistributeTokens.Settings calldata settings,
+        bytes32 salt
+    ) external view returns (address) {
+        return Create2.computeAddress(_creatorSalt(creator, salt), keccak256(_initCode(allocations, settings)));
+    }
+
+    /**
+     * @notice Returns every splitter this factory has created
+     * 
+     * @return A list of splitter addresses, in creation order
+     */
+    function getSplitters() external view returns (address[] memory) {
+        return splitters;
+    }
+
+    /**
+     * @notice Returns how many splitters this factory has created
+     * 
+     * @return The number of splitters
+     */
+    function getSplitterCount() external view returns (uint256) {
+        return splitters.length;
+    }
+
+    /**
+     * @dev Returns the code that deploys a splitter with the given allocations and settings
+     */
+    function _initCode(
+        DistributeTokens.Allocation[] calldata allocations,
+        DistributeTokens.Settings calldata settings
+    ) private view returns (bytes memory) {
+        return abi.encodePacked(CodeChunks.read(codeChunks), abi.encode(allocations, settings));
+    }
+
+    /**
+     * @dev Combines the creator's address with their chosen salt
+     */
+    function _creatorSalt(address creator, bytes32 salt) private pure returns (bytes32) {
+        return keccak256(abi.encode(creator, salt));
+    }
+}
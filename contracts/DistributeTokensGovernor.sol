@@ -0,0 +1,266 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+import "./DistributeTokens.sol";
+
+/**
+__/\\\\\\\\\\\\\\\__/\\\\\\\\\\\__/\\\\\\\\\\\\\\\__/\\\\\\\\\\\\\\\__/\\\________/\\\_
+ _\///////\\\/////__\/////\\\///__\///////\\\/////__\///////\\\/////__\///\\\____/\\\/__
+  _______\/\\\___________\/\\\___________\/\\\_____________\/\\\_________\///\\\/\\\/____
+   _______\/\\\___________\/\\\___________\/\\\_____________\/\\\___________\///\\\/______
+    _______\/\\\___________\/\\\___________\/\\\_____________\/\\\_____________\/\\\_______
+     _______\/\\\___________\/\\\___________\/\\\_____________\/\\\_____________\/\\\_______
+      _______\/\\\___________\/\\\___________\/\\\_____________\/\\\_____________\/\\\_______
+       _______\/\\\________/\\\\\\\\\\\_______\/\\\_____________\/\\\_____________\/\\\_______
+        _______\///________\///////////________\///______________\///______________\///________
+ * @title DistributeTokensGovernor
+ * @notice Lets the recipients of a DistributeTokens splitter vote to change its allocations
+ *
+ * ===== SOCIAL NETWORKS =====
+ *
+ * https://t.me/HelloTittyOG
+ * https://x.com/hellotittyog
+ * https://github.com/hellotitty-team
+ * https://app.uniswap.org/#/swap?outputCurrency=0x5B34B5032267e5D5a80b99a06B4b85716f404EA2
+ *
+ * ===== OVERVIEW FOR NON-TECHNICAL READERS =====
+ *
+ * What this contract does:
+ * A splitter normally keeps its wallets and percentages forever. A splitter deployed with
+ * this contract as its governor can have them changed, but only if the recipients agree.
+ *
+ * Key points to understand:
+ *
+ * 1. RECIPIENTS DECIDE: Only the splitter's own allocation wallets can propose and vote.
+ *    Each vote counts as much as the voter's percentage (a 30% wallet has 30% of the votes).
+ *
+ * 2. MAJORITY NEEDED: A proposal passes once wallets holding MORE than 50% of all shares
+ *    have voted for it.
+ *
+ * 3. WAITING PERIOD: A proposal that passes is not carried out straight away. Everyone
+ *    gets a fixed amount of time (the timelock) to see the change coming before anyone
+ *    can execute it.
+ *
+ * 4. ALWAYS 100%: A proposal sets a new wallet and percentage for every allocation. The
+ *    splitter checks the new list with the same rules as at deployment, so the percentages
+ *    always add up to exactly 100%.
+ *
+ * 5. ONE CHANGE AT A TIME: As soon as one proposal is executed for a splitter, every other
+ *    open proposal for that splitter expires, because it was written for the old allocations.
+ *
+ * 6. NO SPECIAL POWERS: This contract has no owner. It can only carry out what the
+ *    recipients voted for, and one governor can serve any number of splitters.
+ */
+contract DistributeTokensGovernor {
+    // These are custom error messages that appear if something goes wrong
+    error NotGoverned();           // Appears if the splitter does not use this contract as its governor
+    error NotAllocationWallet();   // Appears if someone other than an allocation wallet tries to propose or vote
+    error InvalidProposal();       // Appears if a proposal does not list every allocation or does not add up to 100%
+    error UnknownProposal();       // Appears if a proposal number does not exist
+    error ProposalOutdated();      // Appears if another proposal was executed after this one was made
+    error ProposalNotPassed();     // Appears if a proposal is executed without a majority
+    error TimelockNotExpired(uint256 executableAt); // Appears if a proposal is executed before its waiting period is over
+    error ProposalAlreadyExecuted(); // Appears if a proposal is executed twice
+
+    // 100% in basis points, the same scale as the splitter's percentages
+    uint256 private constant TOTAL_PERCENTAGE = 10000;
+
+    // A proposed change to a splitter's allocations
+    struct Proposal {
+        address splitter;          // The splitter that would change
+        address proposer;          // The allocation wallet that made the proposal
+        uint256 version;           // The splitter's change counter when the proposal was made
+        uint256 votes;             // The shares that have voted for it so far (in basis points)
+        uint256 executableAt;      // When it can be executed (0 until it has a majority)
+        bool executed;             // True once the change has been made
+        address[] wallets;         // The new wallet of every allocation
+        uint256[] percentages;     // The new percentage of every allocation
+    }
+
+    // How long a passed proposal must wait before it can be executed, in seconds
+    uint256 public immutable timelock;
+
+    // Every proposal ever made, numbered from 0
+    Proposal[] private proposals;
+
+    // Votes cast: [proposal number][allocation number] = voted
+    // Votes belong to the allocation, so a slot that moves to a new wallet keeps its vote
+    mapping(uint256 => mapping(uint256 => bool)) public hasVoted;
+
+    // How many proposals have been executed for each splitter
+    // Proposals made before the latest change can no longer be executed
+    mapping(address => uint256) public splitterVersion;
+
+    // These events are public announcements recorded on the blockchain when actions happen
+    event ProposalCreated(
+        uint256 indexed proposalId,
+        address indexed splitter,
+        address indexed proposer,
+        address[] wallets,
+        uint256[] percentages
+    );
+    event VoteCast(uint256 indexed proposalId, address indexed voter, uint256 indexed allocationIndex, uint256 weight);
+    event ProposalPassed(uint256 indexed proposalId, uint256 votes, uint256 executableAt);
+    event ProposalExecuted(uint256 indexed proposalId, address indexed splitter, address indexed executor);
+
+    /**
+     * @dev Sets the waiting period for every proposal handled by this governor
+     * @param timelockSeconds How long a passed proposal must wait before it can be executed
+     */
+    constructor(uint256 timelockSeconds) {
+        timelock = timelockSeconds;
+    }
+
+    /**
+     * @notice Proposes new wallets and percentages for a splitter, and votes for it
+     *
+     * Only a current allocation wallet of the splitter can propose. The lists must
+     * have one entry per allocation, in getAllocations order, and the percentages
+     * must add up to 100%.
+     *
+     * @param splitter The splitter to change
+     * @param wallets The new wallet of every allocation (repeat the current wallet to keep it)
+     * @param percentages The new percentage of every allocation (in basis points: 100% = 10000)
+     * @return proposalId The number of the new proposal
+     */
+    function propose(
+        address splitter,
+        address[] calldata wallets,
+        uint256[] calldata percentages
+    ) external returns (uint256 proposalId) {
+        if (DistributeTokens(payable(splitter)).governor() != address(this)) {
+            revert NotGoverned();
+        }
+
+        // The full check happens in the splitter when the change is made; this catches obvious mistakes early
+        DistributeTokens.Allocation[] memory allocations = DistributeTokens(payable(splitter)).getAllocations();
+        if (wallets.length != allocations.length || percentages.length != allocations.length) {
+            revert InvalidProposal();
+        }
+        uint256 totalPercentage;
+        for (uint256 i = 0; i < percentages.length; i++) {
+            totalPercentage += percentages[i];
+        }
+        if (totalPercentage != TOTAL_PERCENTAGE) {
+            revert InvalidProposal();
+        }
+
+        proposalId = proposals.length;
+        Proposal storage proposal = proposals.push();
+        proposal.splitter = splitter;
+        proposal.proposer = msg.sender;
+        proposal.version = splitterVersion[splitter];
+        proposal.wallets = wallets;
+        proposal.percentages = percentages;
+
+        emit ProposalCreated(proposalId, splitter, msg.sender, wallets, percentages);
+
+        // The proposer always votes for their own proposal
+        _vote(proposalId, allocations);
+    }
+
+    /**
+     * @notice Votes for a proposal
+     *
+     * Only a current allocation wallet of the proposal's splitter can vote, with the
+     * weight of its percentage. Voting again from the same allocation has no effect.
+     * Once more than 50% of the shares have voted, the waiting period starts.
+     *
+     * @param proposalId The number of the proposal
+     */
+    function vote(uint256 proposalId) external {
+        Proposal storage proposal = _openProposal(proposalId);
+        _vote(proposalId, DistributeTokens(payable(proposal.splitter)).getAllocations());
+    }
+
+    /**
+     * @notice Carries out a proposal that passed and whose waiting period is over
+     *
+     * Anyone can call this function. Every other open proposal for the same splitter
+     * expires once this one is executed.
+     *
+     * @param proposalId The number of the proposal
+     */
+    function execute(uint256 proposalId) external {
+        Proposal storage proposal = _openProposal(proposalId);
+        if (proposal.executableAt == 0) {
+            revert ProposalNotPassed();
+        }
+        if (block.timestamp < proposal.executableAt) {
+            revert TimelockNotExpired(proposal.executableAt);
+        }
+
+        // Update the records before calling the splitter
+        proposal.executed = true;
+        splitterVersion[proposal.splitter]++;
+
+        DistributeTokens(payable(proposal.splitter)).updateAllocations(proposal.wallets, proposal.percentages);
+
+        emit ProposalExecuted(proposalId, proposal.splitter, msg.sender);
+    }
+
+    /**
+     * @notice A function that lets anyone look up a proposal
+     *
+     * @param proposalId The number of the proposal
+     * @return The proposal's splitter, proposer, votes, timing and proposed allocations
+     */
+    function getProposal(uint256 proposalId) external view returns (Proposal memory) {
+        if (proposalId >= proposals.length) {
+            revert UnknownProposal();
+        }
+        return proposals[proposalId];
+    }
+
+    /**
+     * @notice A function that lets anyone check how many proposals have been made
+     *
+     * @return The number of proposals (proposal numbers run from 0 to this number minus 1)
+     */
+    function getProposalCount() external view returns (uint256) {
+        return proposals.length;
+    }
+
+    /**
+     * @dev Returns a proposal that can still be voted on or executed
+     */
+    function _openProposal(uint256 proposalId) private view returns (Proposal storage proposal) {
+        if (proposalId >= proposals.length) {
+            revert UnknownProposal();
+        }
+        proposal = proposals[proposalId];
+        if (proposal.executed) {
+            revert ProposalAlreadyExecuted();
+        }
+        if (proposal.version != splitterVersion[proposal.splitter]) {
+            revert ProposalOutdated();
+        }
+    }
+
+    /**
+     * @dev Records the caller's vote and starts the waiting period once there is a majority
+     */
+    function _vote(uint256 proposalId, DistributeTokens.Allocation[] memory allocations) private {
+        Proposal storage proposal = proposals[proposalId];
+
+        // Find the caller's allocation; its percentage is the weight of the vote
+        for (uint256 i = 0; i < allocations.length; i++) {
+            if (allocations[i].wallet == msg.sender) {
+                if (!hasVoted[proposalId][i]) {
+                    hasVoted[proposalId][i] = true;
+                    proposal.votes += allocations[i].percentage;
+                    emit VoteCast(proposalId, msg.sender, i, allocations[i].percentage);
+                }
+
+                // More than half of all shares agree: start the waiting period
+                if (proposal.executableAt == 0 && proposal.votes * 2 > TOTAL_PERCENTAGE) {
+                    proposal.executableAt = block.timestamp + timelock;
+                    emit ProposalPassed(proposalId, proposal.votes, proposal.executableAt);
+                }
+                return;
+            }
+        }
+
+        revert NotAllocationWallet();
+    }
+}
@@ -0,0 +1,302 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/structs/BitMaps.sol";
+import "./interfaces/IDistributionRecipient.sol";
+
+/**
+__/\\\\\\\\\\\\\\\__/\\\\\\\\\\\__/\\\\\\\\\\\\\\\__/\\\\\\\\\\\\\\\__/\\\________/\\\_
+ _\///////\\\/////__\/////\\\///__\///////\\\/////__\///////\\\/////__\///\\\____/\\\/__
+  _______\/\\\___________\/\\\___________\/\\\_____________\/\\\_________\///\\\/\\\/____
+   _______\/\\\___________\/\\\___________\/\\\_____________\/\\\___________\///\\\/______
+    _______\/\\\___________\/\\\___________\/\\\_____________\/\\\_____________\/\\\_______
+     _______\/\\\___________\/\\\___________\/\\\_____________\/\\\_____________\/\\\_______
+      _______\/\\\___________\/\\\___________\/\\\_____________\/\\\_____________\/\\\_______
+       _______\/\\\________/\\\\\\\\\\\_______\/\\\_____________\/\\\_____________\/\\\_______
+        _______\///________\///////////________\///______________\///______________\///________
+ * @title HolderAirdrop
+ * @notice Shares a pool of tokens with all HelloTitty holders, in proportion to their holdings
+ *
+ * ===== SOCIAL NETWORKS =====
+ *
+ * https://t.me/HelloTittyOG
+ * https://x.com/hellotittyog
+ * https://github.com/hellotitty-team
+ * https://app.uniswap.org/#/swap?outputCurrency=0x5B34B5032267e5D5a80b99a06B4b85716f404EA2
+ *
+ * ===== OVERVIEW FOR NON-TECHNICAL READERS =====
+ *
+ * What this contract does:
+ * A DistributeTokens splitter can only pay a fixed list of wallets. This contract can be one
+ * of those wallets: it collects its share into a pool, and the pool is then shared with
+ * thousands of holders at once, each getting a part that matches how many tokens they hold.
+ *
+ * Key points to understand:
+ *
+ * 1. SNAPSHOTS: Every so often, the holder balances are recorded off-chain (a "snapshot") and
+ *    turned into a list of who gets how much. The whole list is summed up in a single short
+ *    fingerprint (a "Merkle root"), which is all that needs to be stored on the blockchain.
+ *
+ * 2. ROUNDS: Each snapshot becomes a numbered round with its own fingerprint and its own
+ *    record of who has already claimed, so every holder can claim once per round.
+ *
+ * 3. HOLDERS CLAIM: Each holder (or anyone on their behalf) claims their part with a short
+ *    proof from the published list. The contract checks the proof against the fingerprint,
+ *    so nobody can claim an amount that is not on the list.
+ *
+ * 4. THE POOL IS PROTECTED: A round can only promise tokens that are in the pool and not
+ *    already promised to another round. There is no function that lets anyone, including the
+ *    owner, take tokens out of the pool except through claims.
+ *
+ * 5. LIMITED OWNER ROLE: The owner only publishes the fingerprint of each new snapshot. The
+ *    full list is published alongside it, so anyone can check that it matches the snapshot.
+ *
+ * 6. UNCLAIMED TOKENS ARE NOT LOST: A round can have a claim deadline. Once it has passed,
+ *    anyone can close the round and its unclaimed tokens go back into the pool for the next one.
+ */
+contract HolderAirdrop is Ownable, ReentrancyGuard, IDistributionRecipient {
+    // This enables the safe transfer of tokens to prevent certain types of attacks
+    using SafeERC20 for IERC20;
+
+    // A compact way to remember which list entries have already claimed (one bit per entry)
+    using BitMaps for BitMaps.BitMap;
+
+    // These are custom error messages that appear if something goes wrong
+    error ZeroAddress();           // Appears if the token address is zero
+    error InvalidRound();          // Appears if a round has no fingerprint, no tokens or a deadline in the past
+    error InsufficientPool(uint256 available); // Appears if a round promises more tokens than the pool has free
+    error UnknownRound();          // Appears if a round number does not exist
+    error RoundExpired();          // Appears if a claim is made after the round's deadline or once it is closed
+    error RoundStillOpen();        // Appears if a round is closed before its deadline has passed
+    error AlreadyClaimed();        // Appears if the same list entry is claimed twice
+    error InvalidProof();          // Appears if a claim does not match the round's list
+    error ClaimExceedsRound();     // Appears if the claims of a round would add up to more than the round's total
+
+    // The placeholder address under which native currency (ETH) is handled, the same one DistributeTokens uses
+    address public constant NATIVE_TOKEN = 0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE;
+
+    // One snapshot of holders and what each of them can claim
+    struct Round {
+        address token;             // The token being shared
+        bytes32 merkleRoot;        // The fingerprint of the list of claims
+        uint256 total;             // The tokens set aside for the round
+        uint256 claimed;           // The tokens claimed so far
+        uint256 deadline;          // When claiming ends (0 = never)
+        bool closed;               // True once the unclaimed tokens have gone back to the pool
+    }
+
+    // Every round ever published, numbered from 0
+    Round[] private rounds;
+
+    // Which list entries have claimed: [round number] = one bit per entry
+    mapping(uint256 => BitMaps.BitMap) private claimedEntries;
+
+    // The tokens promised to open rounds and not claimed yet, per token
+    // These are never used for a new round
+    mapping(address => uint256) public reservedAmounts;
+
+    // These events are public announcements recorded on the blockchain when actions happen
+    event FundsReceived(address indexed token, address indexed from, uint256 amount);
+    event RoundPublished(uint256 indexed roundId, address indexed token, bytes32 merkleRoot, uint256 total, uint256 deadline);
+    event Claimed(uint256 indexed roundId, uint256 index, address indexed account, uint256 amount);
+    event RoundClosed(uint256 indexed roundId, uint256 unclaimed);
+
+    /**
+     * @dev Makes the deployer the owner, who publishes the rounds
+     */
+    constructor() Ownable(msg.sender) {}
+
+    /**
+     * @dev Accepts native currency (ETH) from a splitter or anyone else
+     */
+    receive() external payable {}
+
+    /**
+     * @notice Called by a DistributeTokens splitter after it has paid this contract
+     *
+     * Only used to announce the payment; the pool is always measured from the real balance,
+     * so a call from anyone else cannot change what can be shared.
+     *
+     * @param token The token that was received
+     * @param amount The amount that arrived
+     */
+    function onDistribution(address token, uint256 amount) external override {
+        emit FundsReceived(token, msg.sender, amount);
+    }
+
+    /**
+     * @notice Publishes a new round from a holder snapshot
+     *
+     * The fingerprint and total come from the tree file written by scripts/generate-airdrop-tree.js.
+     * The total is set aside from the pool straight away.
+     *
+     * @param token The token to share (NATIVE_TOKEN for native currency)
+     * @param merkleRoot The fingerprint of the list of claims
+     * @param total The sum of all claims on the list
+     * @param deadline When claiming ends, as a timestamp (0 = never)
+     * @return roundId The number of the new round
+     */
+    function publishRound(
+        address token,
+        bytes32 merkleRoot,
+        uint256 total,
+        uint256 deadline
+    ) external onlyOwner returns (uint256 roundId) {
+        if (token == address(0)) {
+            revert ZeroAddress();
+        }
+        if (merkleRoot == bytes32(0) || total == 0 || (deadline != 0 && deadline <= block.timestamp)) {
+            revert InvalidRound();
+        }
+
+        uint256 available = getAvailableAmount(token);
+        if (total > available) {
+            revert InsufficientPool(available);
+        }
+
+        reservedAmounts[token] += total;
+        roundId = rounds.length;
+        rounds.push(Round({
+            token: token,
+            merkleRoot: merkleRoot,
+            total: total,
+            claimed: 0,
+            deadline: deadline,
+            closed: false
+        }));
+
+        emit RoundPublished(roundId, token, merkleRoot, total, deadline);
+    }
+
+    /**
+     * @notice Claims a holder's part of a round
+     *
+     * Anyone can submit the claim, but the tokens always go to the account on the list.
+     *
+     * @param roundId The number of the round
+     * @param index The account's position in the round's list
+     * @param account The holder receiving the tokens
+     * @param amount The amount on the list for this account
+     * @param proof The account's proof from the tree file
+     */
+    function claim(
+        uint256 roundId,
+        uint256 index,
+        address account,
+        uint256 amount,
+        bytes32[] calldata proof
+    ) external nonReentrant {
+        Round storage round = _getRound(roundId);
+        if (round.closed || (round.deadline != 0 && block.timestamp > round.deadline)) {
+            revert RoundExpired();
+        }
+        if (claimedEntries[roundId].get(index)) {
+            revert AlreadyClaimed();
+        }
+
+        // The same leaf format as the generator script (hashed twice, as OpenZeppelin recommends)
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(index, account, amount))));
+        if (!MerkleProof.verifyCalldata(proof, round.merkleRoot, leaf)) {
+            revert InvalidProof();
+        }
+
+        // A faulty list must never reach into tokens set aside for other rounds
+        if (round.claimed + amount > round.total) {
+            revert ClaimExceedsRound();
+        }
+
+        // Update the records before sending the tokens
+        claimedEntries[roundId].set(index);
+        round.claimed += amount;
+        reservedAmounts[round.token] -= amount;
+
+        if (round.token == NATIVE_TOKEN) {
+            Address.sendValue(payable(account), amount);
+        } else {
+            IERC20(round.token).safeTransfer(account, amount);
+        }
+
+        emit Claimed(roundId, index, account, amount);
+    }
+
+    /**
+     * @notice Returns the unclaimed tokens of an expired round to the pool
+     *
+     * Anyone can call this function once the round's deadline has passed.
+     *
+     * @param roundId The number of the round
+     */
+    function closeRound(uint256 roundId) external {
+        Round storage round = _getRound(roundId);
+        if (round.closed) {
+            revert RoundExpired();
+        }
+        if (round.deadline == 0 || block.timestamp <= round.deadline) {
+            revert RoundStillOpen();
+        }
+
+        uint256 unclaimed = round.total - round.claimed;
+        round.closed = true;
+        reservedAmounts[round.token] -= unclaimed;
+
+        emit RoundClosed(roundId, unclaimed);
+    }
+
+    /**
+     * @notice A function that lets anyone check how much of a token is free for a new round
+     *
+     * @param token The token to check (NATIVE_TOKEN for native currency)
+     * @return The pool balance minus the tokens promised to open rounds
+     */
+    function getAvailableAmount(address token) public view returns (uint256) {
+        uint256 balance = token == NATIVE_TOKEN ? address(this).balance : IERC20(token).balanceOf(address(this));
+        uint256 reserved = reservedAmounts[token];
+        return balance > reserved ? balance - reserved : 0;
+    }
+
+    /**
+     * @notice A function that lets anyone look up a round
+     *
+     * @param roundId The number of the round
+     * @return The round's token, fingerprint, totals, deadline and whether it is closed
+     */
+    function getRound(uint256 roundId) external view returns (Round memory) {
+        return _getRound(roundId);
+    }
+
+    /**
+     * @notice A function that lets anyone check how many rounds have been published
+     *
+     * @return The number of rounds (round numbers run from 0 to this number minus 1)
+     */
+    function getRoundCount() external view returns (uint256) {
+        return rounds.length;
+    }
+
+    /**
+     * @notice A function that lets anyone check whether a list entry has been claimed
+     *
+     * @param roundId The number of the round
+     * @param index The entry's position in the round's list
+     * @return True if the entry has already been claimed
+     */
+    function isClaimed(uint256 roundId, uint256 index) external view returns (bool) {
+        return claimedEntries[roundId].get(index);
+    }
+
+    /**
+     * @dev Returns a round, or reverts if it does not exist
+     */
+    function _getRound(uint256 roundId) private view returns (Round storage) {
+        if (roundId >= rounds.length) {
+            revert UnknownRound();
+        }
+        return rounds[roundId];
+    }
+}
@@ -7,6 +7,7 @@ import "@openzeppelin/contracts/utils/math/Math.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
+import "./interfaces/IRandomnessProvider.sol";
 
 /**
 __/\\\\\\\\\\\\\\\__/\\\\\\\\\\\__/\\\\\\\\\\\\\\\__/\\\\\\\\\\\\\\\__/\\\________/\\\_        
@@ -30,7 +31,7 @@ __/\\\\\\\\\\\\\\\__/\\\\\\\\\\\__/\\\\\\\\\\\\\\\__/\\\\\\\\\\\\\\\__/\\\______
  * 
  * ======= HOW THIS CONTRACT WORKS =======
  * 
- * This contract simulates a classic 3x3 slot machine game that players can enjoy using cryptocurrency tokens.
+ * This contract simulates a classic slot machine game (3x3, 5x3 and other grid sizes) that players can enjoy using cryptocurrency tokens.
  * 
  * WHAT IS A SLOT MACHINE?
  * A slot machine is a gambling game with spinning reels that display random symbols when stopped.
@@ -38,24 +39,34 @@ __/\\\\\\\\\\\\\\\__/\\\\\\\\\\\__/\\\\\\\\\\\\\\\__/\\\\\\\\\\\\\\\__/\\\______
  * 
  * HOW TO PLAY:
  * 1. The player places a bet using cryptocurrency tokens
- * 2. The machine generates a random 3x3 grid of symbols
+ * 2. The machine generates a random grid of symbols
  * 3. Winnings are calculated based on matching symbols in winning lines
  * 4. Any winnings are automatically sent back to the player
  * 
  * GAME FEATURES:
- * - 3x3 grid with 6 different symbols (Cherry, Lemon, Orange, Grape, Bell, Seven)
+ * - A grid of 3 to 5 reels and 3 to 5 rows, chosen when the machine is deployed
+ * - Up to 16 different symbols (the first 6 start as Cherry, Lemon, Orange, Grape, Bell, Seven)
  * - Each symbol has different probabilities of appearing and different payout values
  * - Multiple ways to win (horizontal lines, vertical lines, and diagonals)
  * - Configurable minimum and maximum bet amounts
  * - House edge (the casino's profit percentage) can be adjusted
  * - Complete history of player spins is recorded
  * - Fair randomness using multiple sources of unpredictability
+ * - Optional two-step spins (commit and reveal) whose result depends on a block that did
+ *   not exist yet when the bet was placed, so nobody can know the result in advance
+ * - Choice of randomness source: the built-in block-based generator, or an outside
+ *   randomness provider (such as a VRF service) that answers in a later transaction
+ * - Progressive jackpot: a slice of every bet grows a prize pool that is won by a
+ *   special combination of symbols (for example three Sevens on the middle line)
  * 
  * FOR PLAYERS:
  * - You need to approve the contract to use your tokens before playing
  * - Each spin requires a small "seed" value from you to enhance randomness
  * - Your winning chances depend on the symbol weights and payouts configured
- * - The contract owner cannot interfere with individual game outcomes
+ * - The contract owner chooses where the randomness comes from, so you are trusting that
+ *   source: the built-in generator uses block data that block producers can influence,
+ *   and an outside provider decides the result of every spin it answers
+ * - If the provider never answers, you can take your bet back after RANDOMNESS_TIMEOUT blocks
  * 
  * FOR OWNERS:
  * - You can configure symbol probabilities and payouts
@@ -63,22 +74,53 @@ __/\\\\\\\\\\\\\\\__/\\\\\\\\\\\__/\\\\\\\\\\\\\\\__/\\\\\\\\\\\\\\\__/\\\______
  * - You can adjust the house edge (profit percentage)
  * - You can withdraw accumulated profits
  * - You can pause/unpause the game in emergency situations
+ * - You can choose where the randomness comes from
+ * - You can set up the jackpot; its pool can only be taken out while the game is paused
+ *   and no bets are waiting, for example to move the game to a new token
  */
-contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
+contract SlutMachine is Ownable, ReentrancyGuard, Pausable, IRandomnessConsumer {
     using SafeERC20 for IERC20;
 
-    // Constants - these define the basic structure of our slot machine
-    uint8 public constant REELS = 3;    // The machine has 3 columns (reels)
-    uint8 public constant ROWS = 3;     // The machine has 3 rows
-    uint8 public constant NUM_SYMBOLS = 6;  // There are 6 different symbols in the game
+    // Limits on the machine's shape
+    uint8 public constant MIN_REELS = 3;    // Fewest columns (reels) a machine can have
+    uint8 public constant MAX_REELS = 5;    // Most columns (reels) a machine can have
+    uint8 public constant MIN_ROWS = 3;     // Fewest rows a machine can have
+    uint8 public constant MAX_ROWS = 5;     // Most rows a machine can have
+    uint8 public constant MIN_SYMBOLS = 2;  // Fewest different symbols a machine can have
+    uint8 public constant MAX_SYMBOLS = 16; // Most different symbols a machine can have
+
+    // The machine's shape, chosen when it is deployed (for example 3x3 or 5x3)
+    uint8 public immutable REELS;       // Number of columns (reels)
+    uint8 public immutable ROWS;        // Number of rows
+    uint8 public immutable NUM_SYMBOLS; // Number of different symbols
+    uint256 public constant REVEAL_WINDOW = 256; // Blocks a player has to reveal a committed spin (the blockchain only remembers the last 256 block hashes)
+    uint256 public constant RANDOMNESS_TIMEOUT = 256; // Blocks a randomness provider has to answer before the bet can be refunded
     
     // This structure stores all the details about a player's spin result
     struct SpinResult {
         uint256 timestamp;          // When the spin happened
         uint256 betAmount;          // How much the player bet
         uint256 winAmount;          // How much the player won (if anything)
-        uint8[REELS][ROWS] symbols; // The 3x3 grid of symbols that appeared
+        uint8[] symbols;            // The grid of symbols that appeared, row by row
+        string userSeed;            // The random value provided by the player
+    }
+
+    // A bet placed with commitSpin that is waiting to be revealed
+    struct Commitment {
+        bytes32 commitHash;         // Fingerprint of the player's secret seed (see getCommitHash)
+        uint256 betAmount;          // The bet held by the contract until the reveal
+        uint256 revealBlock;        // The future block whose hash decides the result
+        uint256 reserved;           // The largest win this bet could pay, set aside until the reveal
+    }
+
+    // A spin waiting for the randomness provider's answer
+    struct PendingSpin {
+        address player;             // Who placed the bet
+        uint256 betAmount;          // The bet held by the contract until the answer arrives
+        address provider;           // The provider that was asked (only it can answer)
+        uint256 requestBlock;       // The block the spin was placed in
         string userSeed;            // The random value provided by the player
+        uint256 reserved;           // The largest win this bet could pay, set aside until the answer arrives
     }
 
     // The cryptocurrency token that players use to play the game
@@ -93,11 +135,10 @@ contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
     uint256 public totalWinAmount;      // Total amount won by all players
     uint256 public totalBetAmount;      // Total amount bet by all players
 
-    // Symbol configuration
-    // Each of the 6 symbols has these properties:
-    // [0] = Cherry, [1] = Lemon, [2] = Orange, [3] = Grape, [4] = Bell, [5] = Seven
-    uint16[NUM_SYMBOLS] public symbolWeights;   // How likely each symbol is to appear (higher = more likely)
-    uint16[NUM_SYMBOLS] public symbolPayouts;   // How much each symbol pays when matched (in 100ths, 100 = 1x your bet)
+    // Symbol configuration (one entry per symbol)
+    // The first 6 symbols start as [0] = Cherry, [1] = Lemon, [2] = Orange, [3] = Grape, [4] = Bell, [5] = Seven
+    uint16[] public symbolWeights;   // How likely each symbol is to appear (higher = more likely)
+    uint16[] public symbolPayouts;   // How much each symbol pays when matched (in 100ths, 100 = 1x your bet)
 
     // Names for each symbol (so we can display "Cherry" instead of just "0")
     mapping(uint8 => string) public symbolNames;
@@ -117,6 +158,32 @@ contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
     // Developer address to receive profits
     address public developer;
 
+    // Each player's open commit-reveal spin (one at a time per player)
+    mapping(address => Commitment) public commitments;
+
+    // Bets held for open commitments and pending spins; these never pay out other players' winnings or withdrawals
+    uint256 public totalEscrowed;
+
+    // House tokens set aside to pay the largest possible win of every open commitment and pending spin,
+    // so the owner cannot withdraw them and leave a winning spin unpaid
+    uint256 public totalReserved;
+
+    // Where spin results come from: the built-in block-based generator when this is not set,
+    // otherwise an outside provider whose answer settles the spin later
+    IRandomnessProvider public randomnessProvider;
+
+    // Spins waiting for the randomness provider, by request number
+    mapping(uint256 => PendingSpin) public pendingSpins;
+
+    // Progressive jackpot
+    // Paylines are numbered rows first (top to bottom), then columns (left to right),
+    // then the diagonal from top-left and the diagonal from top-right
+    uint256 public jackpotPool;             // Tokens in the jackpot; these belong to future winners, not the house
+    uint256 public jackpotContributionBps;  // Slice of every bet added to the jackpot (in hundredths, 100 = 1%)
+    uint256 public jackpotSeed;             // Amount that stays in the pool when the jackpot is won
+    uint8 public jackpotSymbol;             // The symbol that wins the jackpot (Seven by default)
+    uint16 public jackpotLines;             // Paylines that win it (middle row and both diagonals by default)
+
     // Events - these are like notifications that are emitted when certain actions happen
     event SlotMachineDeployed(address owner, address token, uint256 minBet, uint256 maxBet, uint256 houseEdgePercent, uint256 developerPercent, address developer);
     event ConfigUpdated(uint256 minBet, uint256 maxBet, uint256 houseEdgePercent, uint256 developerPercent);
@@ -125,7 +192,7 @@ contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
         address indexed player, 
         uint256 betAmount, 
         uint256 winAmount,
-        uint8[REELS][ROWS] result,
+        uint8[] result,
         string userSeed
     );
     event Withdrawal(address indexed owner, uint256 amount);
@@ -134,6 +201,16 @@ contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
     event GamePaused(address owner);
     event GameUnpaused(address owner);
     event DeveloperUpdated(address oldDeveloper, address newDeveloper);
+    event SpinCommitted(address indexed player, uint256 betAmount, bytes32 commitHash, uint256 revealBlock);
+    event CommitmentForfeited(address indexed player, uint256 betAmount);
+    event SpinRequested(address indexed player, uint256 indexed requestId, uint256 betAmount);
+    event PendingSpinRefunded(address indexed player, uint256 indexed requestId, uint256 betAmount);
+    event SpinRefunded(address indexed player, uint256 betAmount);
+    event RandomnessProviderUpdated(address oldProvider, address newProvider);
+    event JackpotContributed(address indexed contributor, uint256 amount, uint256 jackpotPool);
+    event JackpotWon(address indexed player, uint256 amount);
+    event JackpotConfigured(uint256 contributionBps, uint256 seedAmount, uint8 symbolId, uint16 lines);
+    event JackpotWithdrawn(address indexed owner, uint256 amount);
 
     // Error messages - these provide clear explanations when something goes wrong
     error InvalidBetAmount(uint256 provided, uint256 min, uint256 max);
@@ -145,6 +222,24 @@ contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
     error ZeroValueNotAllowed();
     error InsufficientAllowance(uint256 required, uint256 provided);
     error InvalidIndex(uint256 provided, uint256 max);
+    error InvalidCommitment();
+    error CommitmentPending(uint256 revealBlock);
+    error NoCommitment();
+    error RevealTooEarly(uint256 revealBlock);
+    error CommitmentExpired(uint256 lastRevealBlock);
+    error CommitmentNotExpired(uint256 lastRevealBlock);
+    error InvalidReveal();
+    error UnknownRequest(uint256 requestId);
+    error RequestIdInUse(uint256 requestId);
+    error OnlyRandomnessProvider(address caller);
+    error NotPlayerOrOwner(address caller);
+    error RefundTooEarly(uint256 lastAnswerBlock);
+    error BetsStillHeld(uint256 amount);
+    error JackpotNotEmpty(uint256 amount);
+    error InvalidGridSize(uint8 reels, uint8 rows, uint8 numSymbols);
+    error InvalidJackpotSeed(uint256 seedAmount, uint256 jackpotPool);
+    error InvalidJackpotSymbol(uint8 symbolId);
+    error InvalidJackpotLines(uint16 lines);
 
     /**
      * @dev Sets up the slot machine with initial configuration
@@ -154,6 +249,7 @@ contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
      * - Establishes minimum and maximum bet amounts
      * - Sets the house edge (casino's profit percentage)
      * - Sets the developer percentage
+     * - Sets the machine's shape (number of reels, rows and symbols)
      * - Configures the default symbols, their probabilities, and payouts
      * 
      * @param tokenAddress The cryptocurrency token address players will use to bet
@@ -162,6 +258,9 @@ contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
      * @param initialHouseEdgePercent Casino's profit percentage (100 = 1%)
      * @param initialDeveloperPercent Developer's percentage (100 = 1%)
      * @param developerAddress Address to receive developer profits
+     * @param reels Number of columns (3 to 5)
+     * @param rows Number of rows (3 to 5)
+     * @param numSymbols Number of different symbols (2 to 16)
      */
     constructor(
         address tokenAddress,
@@ -169,7 +268,10 @@ contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
         uint256 initialMaxBet,
         uint256 initialHouseEdgePercent,
         uint256 initialDeveloperPercent,
-        address developerAddress
+        address developerAddress,
+        uint8 reels,
+        uint8 rows,
+        uint8 numSymbols
     ) Ownable(msg.sender) {
         // Check that all inputs are valid
         if (tokenAddress == address(0)) revert ZeroAddressNotAllowed();
@@ -178,6 +280,16 @@ contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
         if (initialMaxBet < initialMinBet) revert InvalidBetAmount(initialMaxBet, initialMinBet, type(uint256).max);
         if (initialHouseEdgePercent > 5000) revert InvalidPercentage(initialHouseEdgePercent, 5000); // Max 50%
         if (initialDeveloperPercent > 5000) revert InvalidPercentage(initialDeveloperPercent, 5000); // Max 50%
+        if (
+            reels < MIN_REELS || reels > MAX_REELS ||
+            rows < MIN_ROWS || rows > MAX_ROWS ||
+            numSymbols < MIN_SYMBOLS || numSymbols > MAX_SYMBOLS
+        ) revert InvalidGridSize(reels, rows, numSymbols);
+
+        // Set the machine's shape
+        REELS = reels;
+        ROWS = rows;
+        NUM_SYMBOLS = numSymbols;
 
         // Set up the initial game configuration
         gameToken = IERC20(tokenAddress);
@@ -191,6 +303,10 @@ contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
         // Set up the default symbols with their probabilities and payouts
         _configureDefaultSymbols();
         
+        // The jackpot starts on Sevens (or the rarest symbol) on the middle row and both diagonals
+        jackpotSymbol = numSymbols > 5 ? 5 : numSymbols - 1;
+        jackpotLines = (uint16(1) << (rows / 2)) | (uint16(1) << (rows + reels)) | (uint16(1) << (rows + reels + 1));
+        
         // Announce that the slot machine has been created
         emit SlotMachineDeployed(msg.sender, tokenAddress, minBet, maxBet, houseEdgePercent, developerPercent, developerAddress);
     }
@@ -208,32 +324,29 @@ contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
      * Common symbols have lower payouts, rare symbols have higher payouts.
      */
     function _configureDefaultSymbols() internal {
-        // Define the chance of each symbol appearing (higher number = more common)
-        symbolWeights[0] = 40;  // Cherry - 40% chance (most common)
-        symbolWeights[1] = 30;  // Lemon - 30% chance
-        symbolWeights[2] = 15;  // Orange - 15% chance
-        symbolWeights[3] = 10;  // Grape - 10% chance
-        symbolWeights[4] = 4;   // Bell - 4% chance
-        symbolWeights[5] = 1;   // Seven - 1% chance (most rare)
-
-        // Define how much each symbol pays when matched (in hundredths, 100 = 1x your bet)
-        symbolPayouts[0] = 110;   // Cherry - 1.1x your bet (lowest payout)
-        symbolPayouts[1] = 120;   // Lemon - 1.2x your bet
-        symbolPayouts[2] = 250;   // Orange - 2.5x your bet
-        symbolPayouts[3] = 500;   // Grape - 5x your bet
-        symbolPayouts[4] = 1000;  // Bell - 10x your bet
-        symbolPayouts[5] = 5000;  // Seven - 50x your bet (highest payout)
-
-        // Set the name for each symbol
-        symbolNames[0] = "Cherry";
-        symbolNames[1] = "Lemon";
-        symbolNames[2] = "Orange";
-        symbolNames[3] = "Grape";
-        symbolNames[4] = "Bell";
-        symbolNames[5] = "Seven";
-        
-        // Announce each symbol's configuration
+        // The chance of each symbol appearing (higher number = more common):
+        // Cherry 40%, Lemon 30%, Orange 15%, Grape 10%, Bell 4%, Seven 1% (most rare)
+        uint16[6] memory weights = [uint16(40), 30, 15, 10, 4, 1];
+
+        // How much each symbol pays when matched (in hundredths, 100 = 1x your bet):
+        // Cherry 1.1x (lowest payout), Lemon 1.2x, Orange 2.5x, Grape 5x, Bell 10x, Seven 50x (highest payout)
+        uint16[6] memory payouts = [uint16(110), 120, 250, 500, 1000, 5000];
+
+        string[6] memory names = ["Cherry", "Lemon", "Orange", "Grape", "Bell", "Seven"];
+
+        // Machines with fewer symbols use the first ones; any extra symbols start switched off
+        // (weight 0) until the owner configures them with configureSymbol
         for (uint8 i = 0; i < NUM_SYMBOLS; i++) {
+            if (i < 6) {
+                symbolWeights.push(weights[i]);
+                symbolPayouts.push(payouts[i]);
+                symbolNames[i] = names[i];
+            } else {
+                symbolWeights.push(0);
+                symbolPayouts.push(0);
+            }
+            
+            // Announce the symbol's configuration
             emit SymbolsConfigured(i, symbolNames[i], symbolWeights[i], symbolPayouts[i]);
         }
     }
@@ -244,12 +357,16 @@ contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
      * This is what happens when a player spins the slot machine:
      * 1. The bet amount is checked to ensure it's within limits
      * 2. Tokens are taken from the player's wallet
-     * 3. A random 3x3 grid of symbols is generated
+     * 3. A random grid of symbols is generated
      * 4. Winnings are calculated based on matching symbols
      * 5. The house edge and developer profit are applied to any winnings
      * 6. Winnings (if any) are sent back to the player
      * 7. The spin result is recorded in the player's history
      * 
+     * When a randomness provider is set, the spin stops after step 2: the bet is held and
+     * the provider is asked for a random number. Steps 3 to 7 happen when the provider
+     * answers (see fulfillRandomness).
+     * 
      * @param betAmount How much the player wants to bet
      * @param userSeed A random value provided by the player to enhance randomness
      */
@@ -273,32 +390,347 @@ contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
         // Take the bet amount from the player's wallet
         gameToken.safeTransferFrom(msg.sender, address(this), betAmount);
         
+        // With a randomness provider, hold the bet until its answer arrives (see fulfillRandomness)
+        if (address(randomnessProvider) != address(0)) {
+            totalEscrowed += betAmount;
+            uint256 reserved = _reserveMaxWin(betAmount);
+            uint256 requestId = randomnessProvider.requestRandomness();
+            // A new provider may hand out an id that a spin from the previous provider still waits on;
+            // overwriting it would lose that bet, so the new spin has to wait until the old one is settled
+            if (pendingSpins[requestId].player != address(0)) {
+                revert RequestIdInUse(requestId);
+            }
+            pendingSpins[requestId] = PendingSpin({
+                player: msg.sender,
+                betAmount: betAmount,
+                provider: address(randomnessProvider),
+                requestBlock: block.number,
+                userSeed: userSeed,
+                reserved: reserved
+            });
+            emit SpinRequested(msg.sender, requestId, betAmount);
+            return;
+        }
+        
         // Increase the player's nonce (to help with randomness)
         playerNonce[msg.sender]++;
         
-        // Generate a random 3x3 grid of symbols
-        uint8[REELS][ROWS] memory result = generateRandomResult(userSeed);
+        // Generate a random grid of symbols
+        uint8[] memory result = generateRandomResult(userSeed);
+        
+        // Pay out any winnings, update the statistics and record the spin
+        _settleSpin(msg.sender, betAmount, result, userSeed, false);
+    }
+
+    /**
+     * @dev Settles a spin with the random number delivered by the randomness provider
+     * 
+     * When a randomness provider is set, spin only places the bet and asks the provider
+     * for a random number. The provider answers in a later transaction by calling this
+     * function, and the spin is then paid out exactly like a normal spin. Answers are
+     * accepted while the game is paused, so a pause never traps a bet that was already placed.
+     * The largest possible win was set aside when the spin was placed, so a win can always be paid.
+     * 
+     * @param requestId The request number the provider gave when the spin was placed
+     * @param randomness The random number from the provider
+     */
+    function fulfillRandomness(uint256 requestId, uint256 randomness) external override nonReentrant {
+        PendingSpin memory pending = pendingSpins[requestId];
+        if (pending.player == address(0)) {
+            revert UnknownRequest(requestId);
+        }
+        // Only the provider that was asked can decide the result
+        if (msg.sender != pending.provider) {
+            revert OnlyRandomnessProvider(msg.sender);
+        }
+        
+        // Close the request and release the bet and the reserved win before paying out
+        delete pendingSpins[requestId];
+        totalEscrowed -= pending.betAmount;
+        totalReserved -= pending.reserved;
+        playerNonce[pending.player]++;
+        
+        // Mix in the player's seed so every spin on the same answer looks different
+        bytes32 randomSeed = keccak256(abi.encodePacked(randomness, pending.player, pending.userSeed));
+        
+        _settleSpin(pending.player, pending.betAmount, _resultFromSeed(randomSeed), pending.userSeed, true);
+    }
+
+    /**
+     * @dev Gives a player their bet back when the randomness provider never answered
+     * 
+     * This is for emergencies only, such as a provider that stopped working. The player
+     * or the owner can call it once RANDOMNESS_TIMEOUT blocks have passed since the spin
+     * was placed, and the bet always goes back to the player. The waiting time stops the
+     * owner from seeing the provider's answer coming and refunding only the spins that
+     * would have won.
+     * 
+     * @param requestId The request that was not answered
+     */
+    function refundPendingSpin(uint256 requestId) external nonReentrant {
+        PendingSpin memory pending = pendingSpins[requestId];
+        if (pending.player == address(0)) {
+            revert UnknownRequest(requestId);
+        }
+        if (msg.sender != pending.player && msg.sender != owner()) {
+            revert NotPlayerOrOwner(msg.sender);
+        }
+        if (block.number <= pending.requestBlock + RANDOMNESS_TIMEOUT) {
+            revert RefundTooEarly(pending.requestBlock + RANDOMNESS_TIMEOUT);
+        }
+        
+        delete pendingSpins[requestId];
+        totalEscrowed -= pending.betAmount;
+        totalReserved -= pending.reserved;
+        gameToken.safeTransfer(pending.player, pending.betAmount);
+        
+        emit PendingSpinRefunded(pending.player, requestId, pending.betAmount);
+    }
+
+    /**
+     * @dev First step of a commit-reveal spin: places the bet without deciding the result
+     * 
+     * A normal spin is decided by information that already exists when the transaction
+     * runs, which block producers can see in advance. A committed spin is instead decided
+     * by the hash of the next block, which does not exist yet, combined with a secret seed
+     * that only the player knows. Nobody (not even the player) can know the result when
+     * the bet is placed.
+     * 
+     * How to use it:
+     * 1. Pick a secret seed and calculate its fingerprint with getCommitHash
+     * 2. Call commitSpin with the bet and the fingerprint (the bet is taken and held)
+     * 3. After at least one more block, call revealSpin with the secret seed
+     * 
+     * The reveal must happen within REVEAL_WINDOW blocks after the reveal block. A bet
+     * that is not revealed in time is forfeited to the house, so a player cannot wait
+     * to see the result and then back out of a losing spin.
+     * 
+     * The largest win the bet could pay is set aside from the house balance when the bet
+     * is placed (the commitment is refused if the house cannot cover it). The owner cannot
+     * withdraw it, or change the symbols, fees or jackpot, until the spin is settled, so
+     * the owner cannot turn a committed win into a loss.
+     * 
+     * @param betAmount How much the player wants to bet
+     * @param commitHash The fingerprint of the player's secret seed (see getCommitHash)
+     */
+    function commitSpin(uint256 betAmount, bytes32 commitHash) external nonReentrant whenNotPaused {
+        // Make sure the bet amount is allowed (not too small or too big)
+        if (betAmount < minBet || betAmount > maxBet) {
+            revert InvalidBetAmount(betAmount, minBet, maxBet);
+        }
+        if (commitHash == bytes32(0)) {
+            revert InvalidCommitment();
+        }
+        
+        // A player can only have one open commitment; an expired one is forfeited first
+        Commitment storage commitment = commitments[msg.sender];
+        if (commitment.betAmount > 0) {
+            if (block.number <= commitment.revealBlock + REVEAL_WINDOW) {
+                revert CommitmentPending(commitment.revealBlock);
+            }
+            _forfeit(msg.sender);
+        }
+        
+        // Check if the player has given permission to use their tokens
+        uint256 allowance = gameToken.allowance(msg.sender, address(this));
+        if (allowance < betAmount) {
+            revert InsufficientAllowance(betAmount, allowance);
+        }
+        
+        // Take the bet amount from the player's wallet and hold it until the reveal
+        gameToken.safeTransferFrom(msg.sender, address(this), betAmount);
+        totalEscrowed += betAmount;
+        uint256 reserved = _reserveMaxWin(betAmount);
+        
+        // The result will depend on the hash of the next block
+        commitments[msg.sender] = Commitment({
+            commitHash: commitHash,
+            betAmount: betAmount,
+            revealBlock: block.number + 1,
+            reserved: reserved
+        });
+        
+        emit SpinCommitted(msg.sender, betAmount, commitHash, block.number + 1);
+    }
+
+    /**
+     * @dev Second step of a commit-reveal spin: reveals the secret seed and plays the spin
+     * 
+     * The result is made from the hash of the reveal block, the player's address and the
+     * secret seed, and is then paid out exactly like a normal spin. Revealing also works
+     * while the game is paused, so a pause never traps a bet that was already placed.
+     * 
+     * @param userSeed The secret seed whose fingerprint was committed
+     */
+    function revealSpin(string calldata userSeed) external nonReentrant {
+        Commitment memory commitment = commitments[msg.sender];
+        if (commitment.betAmount == 0) {
+            revert NoCommitment();
+        }
+        
+        // The reveal block's hash only exists once that block has been added
+        if (block.number <= commitment.revealBlock) {
+            revert RevealTooEarly(commitment.revealBlock);
+        }
+        if (block.number > commitment.revealBlock + REVEAL_WINDOW) {
+            revert CommitmentExpired(commitment.revealBlock + REVEAL_WINDOW);
+        }
+        if (getCommitHash(msg.sender, userSeed) != commitment.commitHash) {
+            revert InvalidReveal();
+        }
+        
+        // Close the commitment and release the bet and the reserved win before paying out
+        delete commitments[msg.sender];
+        totalEscrowed -= commitment.betAmount;
+        totalReserved -= commitment.reserved;
+        playerNonce[msg.sender]++;
+        
+        // The reveal block did not exist when the bet was placed
+        bytes32 randomSeed = keccak256(abi.encodePacked(
+            blockhash(commitment.revealBlock), // Hash of the block after the commitment
+            msg.sender,                        // Player's address
+            userSeed                           // Player's secret seed
+        ));
+        
+        _settleSpin(msg.sender, commitment.betAmount, _resultFromSeed(randomSeed), userSeed, true);
+    }
+
+    /**
+     * @dev Forfeits a commitment that was not revealed in time
+     * 
+     * Anyone can call this once the reveal window has passed. The bet stays with the
+     * house, as if the spin had been lost.
+     * 
+     * @param player The player whose commitment expired
+     */
+    function forfeitCommitment(address player) external nonReentrant {
+        Commitment memory commitment = commitments[player];
+        if (commitment.betAmount == 0) {
+            revert NoCommitment();
+        }
+        if (block.number <= commitment.revealBlock + REVEAL_WINDOW) {
+            revert CommitmentNotExpired(commitment.revealBlock + REVEAL_WINDOW);
+        }
+        _forfeit(player);
+    }
+
+    /**
+     * @dev Calculates the fingerprint to pass to commitSpin
+     * 
+     * The player's address is included, so nobody can copy another player's commitment.
+     * Call this off-chain (it costs nothing) and keep the seed secret until the reveal.
+     * 
+     * @param player The player who will reveal
+     * @param userSeed The secret seed
+     * @return The fingerprint of the seed
+     */
+    function getCommitHash(address player, string calldata userSeed) public pure returns (bytes32) {
+        return keccak256(abi.encodePacked(player, userSeed));
+    }
+
+    /**
+     * @dev Gives an expired commitment's bet to the house
+     */
+    function _forfeit(address player) internal {
+        uint256 betAmount = commitments[player].betAmount;
+        totalReserved -= commitments[player].reserved;
+        delete commitments[player];
+        totalEscrowed -= betAmount;
+        emit CommitmentForfeited(player, betAmount);
+    }
+
+    /**
+     * @dev Sets aside the largest win a held bet could pay, so it can always be paid
+     * 
+     * The largest win is a grid full of the best-paying symbol that can appear, which
+     * matches every payline. Reverts if the house does not have that much available.
+     * 
+     * @param betAmount The bet that was just placed (already held in totalEscrowed)
+     * @return reserved The amount set aside
+     */
+    function _reserveMaxWin(uint256 betAmount) internal returns (uint256 reserved) {
+        uint256 bestPayout = 0;
+        for (uint8 i = 0; i < NUM_SYMBOLS; i++) {
+            if (symbolWeights[i] > 0 && symbolPayouts[i] > bestPayout) {
+                bestPayout = symbolPayouts[i];
+            }
+        }
+        (uint256 winAmount, uint256 developerShare) = _payoutOf(betAmount * bestPayout * (ROWS + REELS + 2));
+        reserved = winAmount + developerShare;
+        
+        uint256 available = _availableBalance();
+        if (reserved > available) {
+            revert InsufficientContractBalance(reserved, available);
+        }
+        totalReserved += reserved;
+    }
+
+    /**
+     * @dev Splits a win into the player's share and the developer's share
+     * 
+     * @param originalWinAmount The bet multiplied by the win multiplier
+     * @return winAmount What the player receives (after the house edge and developer profit)
+     * @return developerShare What the developer receives
+     */
+    function _payoutOf(uint256 originalWinAmount) internal view returns (uint256 winAmount, uint256 developerShare) {
+        // Calculate total deduction percentage (house edge + developer profit)
+        uint256 totalFeePercent = houseEdgePercent + developerPercent;
         
+        // Calculate developer's share
+        developerShare = (originalWinAmount * developerPercent) / 10000;
+        
+        // Calculate player's share after fees
+        winAmount = (originalWinAmount * totalFeePercent) / 10000;
+    }
+
+    /**
+     * @dev Pays out a spin and records it (shared by spin, revealSpin and fulfillRandomness)
+     * 
+     * This function:
+     * 1. Calculates the winnings from the symbols
+     * 2. Applies the house edge and developer profit to any winnings
+     * 3. Updates the statistics and sends the winnings to the player
+     * 4. Adds the jackpot's slice of the bet to the pool and pays the jackpot if it was won
+     * 5. Records the spin in the player's history and emits a Spin event
+     * 
+     * @param player The player's address
+     * @param betAmount How much the player bet (already held by the contract)
+     * @param result The grid of symbols that appeared, row by row
+     * @param userSeed The random value provided by the player
+     * @param refundIfUnpaid Give the bet back instead of reverting when the house cannot pay the win
+     */
+    function _settleSpin(
+        address player,
+        uint256 betAmount,
+        uint8[] memory result,
+        string memory userSeed,
+        bool refundIfUnpaid
+    ) internal {
         // Calculate how much the player won based on matching symbols
         uint256 winMultiplier = calculateWinMultiplier(result);
         uint256 originalWinAmount = betAmount * winMultiplier;
         uint256 winAmount = originalWinAmount;
         
+        // The jackpot's slice of the bet (added to the pool once the spin is paid)
+        uint256 contribution = (betAmount * jackpotContributionBps) / 10000;
+        
         // Apply the house edge and developer profit to any winnings
         if (winAmount > 0) {
-            // Calculate total deduction percentage (house edge + developer profit)
-            uint256 totalFeePercent = houseEdgePercent + developerPercent;
-            
-            // Calculate developer's share
-            uint256 developerShare = (originalWinAmount * developerPercent) / 10000;
+            uint256 developerShare;
+            (winAmount, developerShare) = _payoutOf(originalWinAmount);
             
-            // Calculate player's share after fees
-            winAmount = (originalWinAmount * totalFeePercent) / 10000;
-            
-            // Make sure the contract has enough tokens to pay out
-            uint256 contractBalance = gameToken.balanceOf(address(this));
-            if (originalWinAmount > contractBalance) {
-                revert InsufficientContractBalance(originalWinAmount, contractBalance);
+            // Make sure the contract has enough tokens to pay out (held bets, reserved wins and the jackpot do not count)
+            // Held spins had their largest win reserved, so for them this only fails if the balance shrank on its own
+            uint256 payout = winAmount + developerShare;
+            uint256 contractBalance = _availableBalance() - contribution;
+            if (payout > contractBalance) {
+                // A bet placed in an earlier transaction is given back rather than lost
+                if (refundIfUnpaid) {
+                    gameToken.safeTransfer(player, betAmount);
+                    emit SpinRefunded(player, betAmount);
+                    return;
+                }
+                revert InsufficientContractBalance(payout, contractBalance);
             }
             
             // Send the developer's share directly
@@ -307,26 +739,59 @@ contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
             }
         }
         
+        // Add the jackpot's slice of the bet to the pool
+        if (contribution > 0) {
+            jackpotPool += contribution;
+            emit JackpotContributed(player, contribution, jackpotPool);
+        }
+        
         // Update game statistics
         totalSpins++;
         totalBetAmount += betAmount;
-        playerSpins[msg.sender]++;
-        playerBetAmount[msg.sender] += betAmount;
+        playerSpins[player]++;
+        playerBetAmount[player] += betAmount;
         
         // If the player won something, send them their winnings
         if (winAmount > 0) {
             totalWinAmount += winAmount;
-            playerWinAmount[msg.sender] += winAmount;
+            playerWinAmount[player] += winAmount;
             
             // Send the winnings to the player
-            gameToken.safeTransfer(msg.sender, winAmount);
+            gameToken.safeTransfer(player, winAmount);
+        }
+        
+        // The jackpot combination wins the whole pool, except the seed that starts the next one
+        if (jackpotPool > jackpotSeed && _isJackpot(result)) {
+            uint256 prize = jackpotPool - jackpotSeed;
+            jackpotPool = jackpotSeed;
+            gameToken.safeTransfer(player, prize);
+            emit JackpotWon(player, prize);
         }
         
         // Record this spin in the player's history
-        _storeSpinResult(msg.sender, betAmount, winAmount, result, userSeed);
+        _storeSpinResult(player, betAmount, winAmount, result, userSeed);
         
         // Announce the spin result
-        emit Spin(msg.sender, betAmount, winAmount, result, userSeed);
+        emit Spin(player, betAmount, winAmount, result, userSeed);
+    }
+    
+    /**
+     * @dev Checks whether a spin hit the jackpot combination
+     * 
+     * The jackpot is won when every symbol on one of the jackpot paylines is the jackpot symbol.
+     * 
+     * @param result The grid of symbols from the spin
+     * @return True if the jackpot was hit
+     */
+    function _isJackpot(uint8[] memory result) internal view returns (bool) {
+        for (uint8 line = 0; line < ROWS + REELS + 2; line++) {
+            // Skip paylines that are not part of the jackpot combination
+            if (jackpotLines & (uint16(1) << line) == 0) continue;
+            
+            (bool matched, uint8 symbol) = _checkPayline(result, line);
+            if (matched && symbol == jackpotSymbol) return true;
+        }
+        return false;
     }
     
     /**
@@ -340,15 +805,15 @@ contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
      * @param player The player's address
      * @param betAmount How much they bet
      * @param winAmount How much they won
-     * @param result The 3x3 grid of symbols that appeared
+     * @param result The grid of symbols that appeared, row by row
      * @param userSeed The random value they provided
      */
     function _storeSpinResult(
         address player,
         uint256 betAmount,
         uint256 winAmount,
-        uint8[REELS][ROWS] memory result,
-        string calldata userSeed
+        uint8[] memory result,
+        string memory userSeed
     ) internal {
         // Create a new record with all the spin details
         SpinResult memory newResult = SpinResult({
@@ -392,14 +857,14 @@ contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
      * @return timestamp When the spin happened
      * @return betAmount How much they bet
      * @return winAmount How much they won
-     * @return symbols The 3x3 grid of symbols that appeared
+     * @return symbols The grid of symbols that appeared, row by row (position = row * REELS + reel)
      * @return userSeed The random value they provided
      */
     function getPlayerSpinResult(address player, uint256 index) external view returns (
         uint256 timestamp,
         uint256 betAmount,
         uint256 winAmount,
-        uint8[REELS][ROWS] memory symbols,
+        uint8[] memory symbols,
         string memory userSeed
     ) {
         // Make sure the index is valid
@@ -475,23 +940,22 @@ contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
     }
 
     /**
-     * @dev Generates a random 3x3 grid of symbols for a spin
+     * @dev Generates a random grid of symbols for a spin
      * 
-     * This function creates a fair, random result by combining multiple
+     * This function creates a random result by combining multiple
      * sources of randomness, including:
-     * - Blockchain data that nobody can predict
+     * - Blockchain data (the previous block hash, the time and the network's random value)
      * - The player's address and history
      * - A random value provided by the player
      * 
-     * This ensures that nobody (not even the casino owner) can
-     * predict or manipulate the outcome of a spin.
+     * Players cannot predict the outcome in advance, but block producers can see or
+     * influence the block data, so this is only suited to small bets. Use commitSpin or
+     * a randomness provider for larger ones.
      * 
      * @param userSeed A random value provided by the player
-     * @return result A 3x3 grid of randomly selected symbols
+     * @return result A grid of randomly selected symbols, row by row
      */
-    function generateRandomResult(string calldata userSeed) internal view returns (uint8[REELS][ROWS] memory) {
-        uint8[REELS][ROWS] memory result;
-        
+    function generateRandomResult(string calldata userSeed) internal view returns (uint8[] memory) {
         // Create a random seed by combining many sources of randomness
         bytes32 randomSeed = keccak256(abi.encodePacked(
             blockhash(block.number - 1),      // Previous block hash
@@ -502,7 +966,19 @@ contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
             userSeed                           // Player's provided random value
         ));
         
-        // Generate a random symbol for each position in the 3x3 grid
+        return _resultFromSeed(randomSeed);
+    }
+
+    /**
+     * @dev Turns a random seed into a grid of symbols
+     * 
+     * @param randomSeed The random value the whole grid is made from
+     * @return result A grid of randomly selected symbols, row by row
+     */
+    function _resultFromSeed(bytes32 randomSeed) internal view returns (uint8[] memory) {
+        uint8[] memory result = new uint8[](uint256(ROWS) * REELS);
+        
+        // Generate a random symbol for each position in the grid
         for (uint8 row = 0; row < ROWS; row++) {
             for (uint8 reel = 0; reel < REELS; reel++) {
                 // Use a different part of the random seed for each position
@@ -510,7 +986,7 @@ contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
                 
                 // Convert the random bytes to a number and select a symbol
                 uint256 randValue = uint256(randomSeed);
-                result[row][reel] = getWeightedRandomSymbol(randValue);
+                result[uint256(row) * REELS + reel] = getWeightedRandomSymbol(randValue);
             }
         }
         
@@ -532,16 +1008,16 @@ contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
      */
     function getWeightedRandomSymbol(uint256 seed) internal view returns (uint8) {
         // Calculate the total weight of all symbols
-        uint16 totalWeight = 0;
+        uint256 totalWeight = 0;
         for (uint8 i = 0; i < NUM_SYMBOLS; i++) {
             totalWeight += symbolWeights[i];
         }
         
         // Pick a random point within the total weight
-        uint16 randomWeight = uint16(seed % totalWeight);
+        uint256 randomWeight = seed % totalWeight;
         
         // Find which symbol's weight range contains the random point
-        uint16 weightSum = 0;
+        uint256 weightSum = 0;
         for (uint8 i = 0; i < NUM_SYMBOLS; i++) {
             weightSum += symbolWeights[i];
             if (randomWeight < weightSum) {
@@ -556,48 +1032,68 @@ contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
     /**
      * @dev Calculates how much a player wins based on the symbols they got
      * 
-     * This function checks for winning patterns:
-     * - Horizontal lines (3 matching symbols in a row)
-     * - Vertical lines (3 matching symbols in a column)
-     * - Diagonal lines (3 matching symbols in a diagonal)
+     * This function checks every payline for matching symbols:
+     * - Horizontal lines (all symbols in a row match)
+     * - Vertical lines (all symbols in a column match)
+     * - Diagonal lines (all symbols on a diagonal match)
      * 
      * Each winning line adds to the total multiplier based on the matched symbol's payout value.
      * 
-     * @param result The 3x3 grid of symbols from the spin
+     * @param result The grid of symbols from the spin
      * @return multiplier How much the bet should be multiplied by (in hundredths)
      */
-    function calculateWinMultiplier(uint8[REELS][ROWS] memory result) internal view returns (uint256) {
+    function calculateWinMultiplier(uint8[] memory result) internal view returns (uint256) {
         uint256 multiplier = 0;
         
-        // Check horizontal lines (3 rows)
-        for (uint8 row = 0; row < ROWS; row++) {
-            // If all 3 symbols in this row match
-            if (result[row][0] == result[row][1] && result[row][1] == result[row][2]) {
-                // Add the payout for this symbol to the multiplier
-                multiplier += symbolPayouts[result[row][0]];
-            }
-        }
-        
-        // Check vertical lines (3 columns)
-        for (uint8 col = 0; col < REELS; col++) {
-            // If all 3 symbols in this column match
-            if (result[0][col] == result[1][col] && result[1][col] == result[2][col]) {
+        for (uint8 line = 0; line < ROWS + REELS + 2; line++) {
+            (bool matched, uint8 symbol) = _checkPayline(result, line);
+            if (matched) {
                 // Add the payout for this symbol to the multiplier
-                multiplier += symbolPayouts[result[0][col]];
+                multiplier += symbolPayouts[symbol];
             }
         }
         
-        // Check diagonal from top-left to bottom-right
-        if (result[0][0] == result[1][1] && result[1][1] == result[2][2]) {
-            multiplier += symbolPayouts[result[0][0]];
-        }
+        return multiplier;
+    }
+
+    /**
+     * @dev Checks whether all symbols on one payline match
+     * 
+     * Paylines are numbered rows first (top to bottom), then columns (left to right),
+     * then the diagonal from the top-left corner and the diagonal from the top-right corner.
+     * On a grid that is not square (such as 5x3), a diagonal runs from its corner until it
+     * reaches the last row or reel, so on a 5x3 grid both diagonals together form a V.
+     * 
+     * @param result The grid of symbols from the spin
+     * @param line Which payline to check
+     * @return matched True if every symbol on the payline is the same
+     * @return symbol The symbol on the payline (when it matched)
+     */
+    function _checkPayline(uint8[] memory result, uint8 line) internal view returns (bool matched, uint8 symbol) {
+        // Rows run across all reels, columns down all rows, diagonals as far as the shorter side
+        uint8 length = line < ROWS ? REELS : line < ROWS + REELS ? ROWS : (ROWS < REELS ? ROWS : REELS);
         
-        // Check diagonal from top-right to bottom-left
-        if (result[0][2] == result[1][1] && result[1][1] == result[2][0]) {
-            multiplier += symbolPayouts[result[0][2]];
+        for (uint8 i = 0; i < length; i++) {
+            uint8 row;
+            uint8 reel;
+            if (line < ROWS) {
+                (row, reel) = (line, i);                    // A row
+            } else if (line < ROWS + REELS) {
+                (row, reel) = (i, line - ROWS);             // A column
+            } else if (line == ROWS + REELS) {
+                (row, reel) = (i, i);                       // Diagonal from top-left
+            } else {
+                (row, reel) = (i, REELS - 1 - i);           // Diagonal from top-right
+            }
+            
+            uint8 current = result[uint256(row) * REELS + reel];
+            if (i == 0) {
+                symbol = current;
+            } else if (current != symbol) {
+                return (false, symbol);
+            }
         }
-        
-        return multiplier;
+        return (true, symbol);
     }
 
     /**
@@ -609,8 +1105,9 @@ contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
      * - How much the symbol pays when matched (payout)
      * 
      * This can be used to change the game's dynamics and profitability over time.
+     * Symbols cannot be changed while bets are held for commitments or pending spins.
      * 
-     * @param symbolId Which symbol to configure (0-5)
+     * @param symbolId Which symbol to configure (0 to NUM_SYMBOLS - 1)
      * @param name The symbol's name (e.g., "Cherry", "Lemon")
      * @param weight How likely this symbol is to appear (higher = more common)
      * @param payout How much this symbol pays when matched (in hundredths, 100 = 1x)
@@ -624,6 +1121,9 @@ contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
         // Make sure the symbol ID is valid
         if (symbolId >= NUM_SYMBOLS) revert InvalidSymbolId(symbolId, NUM_SYMBOLS - 1);
         
+        // Held spins are paid with the symbols they were placed with
+        if (totalEscrowed > 0) revert BetsStillHeld(totalEscrowed);
+        
         // Update the symbol's properties
         symbolWeights[symbolId] = weight;
         symbolPayouts[symbolId] = payout;
@@ -642,6 +1142,8 @@ contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
      * - The house edge (casino's profit percentage)
      * - The developer percentage
      * 
+     * The settings cannot be changed while bets are held for commitments or pending spins.
+     * 
      * @param newMinBet Smallest allowed bet amount
      * @param newMaxBet Largest allowed bet amount
      * @param newHouseEdgePercent Casino's profit percentage (in hundredths, 100 = 1%)
@@ -659,6 +1161,9 @@ contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
         if (newHouseEdgePercent > 5000) revert InvalidPercentage(newHouseEdgePercent, 5000); // Max 50%
         if (newDeveloperPercent > 5000) revert InvalidPercentage(newDeveloperPercent, 5000); // Max 50%
         
+        // Held spins are paid with the fees they were placed with
+        if (totalEscrowed > 0) revert BetsStillHeld(totalEscrowed);
+        
         // Update the game configuration
         minBet = newMinBet;
         maxBet = newMaxBet;
@@ -677,12 +1182,21 @@ contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
      * - A better token becomes available
      * - The casino wants to support a different currency
      * 
+     * The token cannot be changed while bets are still held for commitments or pending spins,
+     * or while the jackpot holds tokens.
+     * 
      * @param newTokenAddress The address of the new token to use
      */
     function updateGameToken(address newTokenAddress) external onlyOwner {
         // Make sure the new token address is valid
         if (newTokenAddress == address(0)) revert ZeroAddressNotAllowed();
         
+        // Bets that are still held must be settled in the token they were placed in
+        if (totalEscrowed > 0) revert BetsStillHeld(totalEscrowed);
+        
+        // The jackpot is paid in the current token, so it must be won or withdrawn before the token can change
+        if (jackpotPool > 0) revert JackpotNotEmpty(jackpotPool);
+        
         // Remember the old token address
         address oldToken = address(gameToken);
         
@@ -693,16 +1207,36 @@ contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
         emit TokenChanged(oldToken, newTokenAddress);
     }
     
+    /**
+     * @dev Allows the owner to choose where spin results come from
+     * 
+     * With no provider (address zero) spins use the built-in block-based generator and
+     * are settled straight away. With a provider (such as a VRF coordinator) each spin
+     * waits until the provider delivers a random number through fulfillRandomness.
+     * Spins that are already waiting can still be answered by the provider they asked.
+     * Until they are answered or refunded, a spin that gets the same request id from the
+     * new provider is rejected with RequestIdInUse.
+     * 
+     * @param newProvider The randomness provider, or address zero for the built-in generator
+     */
+    function setRandomnessProvider(address newProvider) external onlyOwner {
+        address oldProvider = address(randomnessProvider);
+        randomnessProvider = IRandomnessProvider(newProvider);
+        emit RandomnessProviderUpdated(oldProvider, newProvider);
+    }
+    
     /**
      * @dev Allows the owner to withdraw tokens from the contract
      * 
      * This lets the casino owner collect profits from the game.
+     * Bets held for commitments and pending spins, the wins reserved for them and the jackpot
+     * pool cannot be withdrawn here (see withdrawJackpot).
      * 
      * @param amount How much to withdraw (0 means withdraw everything)
      */
     function withdraw(uint256 amount) external onlyOwner {
         uint256 withdrawAmount = amount;
-        uint256 contractBalance = gameToken.balanceOf(address(this));
+        uint256 contractBalance = _availableBalance();
         
         // If amount is 0, withdraw all tokens
         if (withdrawAmount == 0) {
@@ -721,6 +1255,121 @@ contract SlutMachine is Ownable, ReentrancyGuard, Pausable {
         emit Withdrawal(owner(), withdrawAmount);
     }
     
+    /**
+     * @dev Returns the tokens the house can use, leaving out held bets, reserved wins and the jackpot pool
+     */
+    function _availableBalance() internal view returns (uint256) {
+        return gameToken.balanceOf(address(this)) - totalEscrowed - totalReserved - jackpotPool;
+    }
+
+    /**
+     * @dev Allows the owner to set up the progressive jackpot
+     * 
+     * The paylines are chosen with a number where each bit switches one payline on, in the
+     * order rows, columns, then the two diagonals (see _checkPayline). On a 3x3 machine:
+     * 1, 2, 4 = top, middle and bottom rows; 8, 16, 32 = left, middle and right columns;
+     * 64 = diagonal from top-left; 128 = diagonal from top-right. Add them up to combine,
+     * for example 2 + 64 + 128 = 194 for the middle row and both diagonals. On a 5x3
+     * machine the columns are 8 to 128 and the diagonals 256 and 512.
+     * 
+     * The seed has to be smaller than the pool (fund the pool first) and the jackpot symbol
+     * has to be able to appear, so the pool can always be won. The jackpot cannot be set up
+     * while bets are held for commitments or pending spins.
+     * 
+     * @param contributionBps Slice of every bet added to the jackpot (in hundredths, 100 = 1%)
+     * @param seedAmount Amount that stays in the pool when the jackpot is won
+     * @param symbolId The symbol that wins the jackpot
+     * @param lines The paylines that win the jackpot
+     */
+    function configureJackpot(
+        uint256 contributionBps,
+        uint256 seedAmount,
+        uint8 symbolId,
+        uint16 lines
+    ) external onlyOwner {
+        if (contributionBps > 1000) revert InvalidPercentage(contributionBps, 1000); // Max 10%
+        if (symbolId >= NUM_SYMBOLS) revert InvalidSymbolId(symbolId, NUM_SYMBOLS - 1);
+        if (symbolWeights[symbolId] == 0) revert InvalidJackpotSymbol(symbolId);
+        if (lines == 0) revert ZeroValueNotAllowed();
+        if (lines >= (uint16(1) << (ROWS + REELS + 2))) revert InvalidJackpotLines(lines);
+        if (seedAmount > 0 && seedAmount >= jackpotPool) revert InvalidJackpotSeed(seedAmount, jackpotPool);
+        
+        // Held spins are paid with the jackpot rules they were placed with
+        if (totalEscrowed > 0) revert BetsStillHeld(totalEscrowed);
+        
+        jackpotContributionBps = contributionBps;
+        jackpotSeed = seedAmount;
+        jackpotSymbol = symbolId;
+        jackpotLines = lines;
+        
+        emit JackpotConfigured(contributionBps, seedAmount, symbolId, lines);
+    }
+
+    /**
+     * @dev Adds tokens to the jackpot pool
+     * 
+     * Anyone can do this, for example the owner to seed a new jackpot or a sponsor to
+     * make it bigger. Tokens in the pool can only be won by players, or taken out by the
+     * owner with withdrawJackpot while the game is paused.
+     * 
+     * @param amount How many tokens to add
+     */
+    function fundJackpot(uint256 amount) external nonReentrant {
+        if (amount == 0) revert ZeroValueNotAllowed();
+        
+        gameToken.safeTransferFrom(msg.sender, address(this), amount);
+        jackpotPool += amount;
+        
+        emit JackpotContributed(msg.sender, amount, jackpotPool);
+    }
+
+    /**
+     * @dev Allows the owner to take the whole jackpot pool out of the game
+     * 
+     * This is meant for closing the jackpot or moving the game to a new token (the pool
+     * has to be empty for updateGameToken). It only works while the game is paused and no
+     * bets are waiting, so no spin that could still win the jackpot is open. The seed is
+     * reset to zero.
+     */
+    function withdrawJackpot() external onlyOwner whenPaused nonReentrant {
+        if (totalEscrowed > 0) revert BetsStillHeld(totalEscrowed);
+        
+        uint256 amount = jackpotPool;
+        jackpotPool = 0;
+        jackpotSeed = 0;
+        gameToken.safeTransfer(owner(), amount);
+        
+        emit JackpotWithdrawn(owner(), amount);
+    }
+
+    /**
+     * @dev Gets the current state of the jackpot
+     * 
+     * @return pool Tokens in the jackpot pool
+     * @return prize What the next jackpot winner receives (the pool minus the seed)
+     * @return contributionBps Slice of every bet added to the jackpot (in hundredths, 100 = 1%)
+     * @return seed Amount that stays in the pool when the jackpot is won
+     * @return symbolId The symbol that wins the jackpot
+     * @return lines The paylines that win the jackpot (see configureJackpot)
+     */
+    function getJackpot() external view returns (
+        uint256 pool,
+        uint256 prize,
+        uint256 contributionBps,
+        uint256 seed,
+        uint8 symbolId,
+        uint16 lines
+    ) {
+        return (
+            jackpotPool,
+            jackpotPool > jackpotSeed ? jackpotPool - jackpotSeed : 0,
+            jackpotContributionBps,
+            jackpotSeed,
+            jackpotSymbol,
+            jackpotLines
+        );
+    }
+
     /**
      * @dev Checks how many tokens the contract holds
      * 
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+/**
+ * @title IAutomationCompatible
+ * @dev The upkeep interface used by Chainlink Automation and compatible keeper networks.
+ * A keeper calls checkUpkeep off-chain (for free) and sends performUpkeep when work is due.
+ */
+interface IAutomationCompatible {
+    /**
+     * @dev Checks whether the contract has work to do
+     * @param checkData Extra data configured with the keeper (unused by most contracts)
+     * @return upkeepNeeded True if performUpkeep should be called
+     * @return performData The data to pass to performUpkeep
+     */
+    function checkUpkeep(bytes calldata checkData) external view returns (bool upkeepNeeded, bytes memory performData);
+
+    /**
+     * @dev Does the work reported by checkUpkeep
+     * @param performData The data returned by checkUpkeep
+     */
+    function performUpkeep(bytes calldata performData) external;
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+/**
+ * @title IDistributionRecipient
+ * @dev Implemented by contracts that want to be told when a DistributeTokens splitter pays them
+ * (for example a staking pool or a buyback contract). Only allocations of type Hooked are called.
+ */
+interface IDistributionRecipient {
+    /**
+     * @dev Called by the splitter right after it has sent tokens to this contract
+     * @param token The token that was received (the splitter's NATIVE_TOKEN for native currency)
+     * @param amount The amount that actually arrived
+     */
+    function onDistribution(address token, uint256 amount) external;
+}
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+/**
+ * @title IRandomnessProvider
+ * @dev A source of random numbers that answers in a later transaction (for example a VRF
+ * coordinator). The consumer asks for a number, and the provider delivers it afterwards by
+ * calling the consumer's fulfillRandomness function.
+ */
+interface IRandomnessProvider {
+    /**
+     * @dev Asks for a random number to be delivered to the caller later
+     * @return requestId The number the answer will be delivered with (never 0)
+     */
+    function requestRandomness() external returns (uint256 requestId);
+}
+
+/**
+ * @title IRandomnessConsumer
+ * @dev Implemented by contracts that receive random numbers from an IRandomnessProvider
+ */
+interface IRandomnessConsumer {
+    /**
+     * @dev Called by the provider to deliver the answer to a request
+     * @param requestId The number returned by requestRandomness
+     * @param randomness The random number
+     */
+    function fulfillRandomness(uint256 requestId, uint256 randomness) external;
+}
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+/**
+ * @title IUniswapV2Router
+ * @dev The part of the Uniswap V2 router interface used by DistributeTokens.
+ * Any router with the same function (SushiSwap, Katana on Ronin, ...) can be used.
+ */
+interface IUniswapV2Router {
+    /**
+     * @dev Swaps an exact amount of input tokens for as many output tokens as possible,
+     * also for tokens that take a tax on every transfer (the output is worked out from
+     * what actually arrived at each pair)
+     * @param amountIn The amount of input tokens to send
+     * @param amountOutMin The minimum amount of output tokens that must be received
+     * @param path The token route, starting with the input token and ending with the output token
+     * @param to The address that receives the output tokens
+     * @param deadline The timestamp after which the swap reverts
+     */
+    function swapExactTokensForTokensSupportingFeeOnTransferTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external;
+}
@@ -0,0 +1,80 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+/**
+ * @title CodeChunks
+ * @dev Keeps a piece of bytecode that is too large for one contract in several storage-only
+ * contracts, and reads it back in one piece.
+ *
+ * Why this exists: DistributeTokensFactory deploys splitters with CREATE2, which needs the
+ * full DistributeTokens creation code. Normally that code is simply embedded in the factory,
+ * but the DistributeTokens creation code is larger than the 24576-byte limit for a single
+ * contract, so a factory that embeds it can never be deployed. Instead the factory hands the
+ * code to store() once, in its constructor, and keeps only the returned addresses.
+ *
+ * Every storage-only contract starts with a STOP instruction, so the stored bytes can never
+ * be run, even if someone calls the contract. Nothing can change the stored code afterwards.
+ */
+library CodeChunks {
+    // Something went wrong while storing the code
+    error CodeStorageFailed();     // Appears if a storage-only contract could not be created
+
+    // The largest piece of code one storage-only contract can hold
+    // (the maximum contract size is 24576 bytes, one of which is the leading STOP instruction)
+    uint256 private constant CHUNK_SIZE = 24575;
+
+    /**
+     * @dev Stores `code` in as many storage-only contracts as needed
+     * @return chunks The storage-only contracts, in order
+     */
+    function store(bytes memory code) internal returns (address[] memory chunks) {
+        chunks = new address[]((code.length + CHUNK_SIZE - 1) / CHUNK_SIZE);
+        for (uint256 i = 0; i < chunks.length; i++) {
+            uint256 start = i * CHUNK_SIZE;
+            uint256 length = code.length - start < CHUNK_SIZE ? code.length - start : CHUNK_SIZE;
+            chunks[i] = _storeChunk(code, start, length);
+        }
+    }
+
+    /**
+     * @dev Reads the code back from the storage-only contracts returned by store()
+     */
+    function read(address[] storage chunks) internal view returns (bytes memory code) {
+        uint256 length;
+        for (uint256 i = 0; i < chunks.length; i++) {
+            length += chunks[i].code.length - 1;
+        }
+
+        code = new bytes(length);
+        uint256 offset;
+        for (uint256 i = 0; i < chunks.length; i++) {
+            address chunk = chunks[i];
+            uint256 size = chunk.code.length - 1;
+            assembly ("memory-safe") {
+                // Copy the chunk's code, skipping the leading STOP instruction
+                extcodecopy(chunk, add(add(code, 32), offset), 1, size)
+            }
+            offset += size;
+        }
+    }
+
+    /**
+     * @dev Deploys a storage-only contract whose code is a STOP instruction followed by
+     * `length` bytes of `data` starting at `start`
+     */
+    function _storeChunk(bytes memory data, uint256 start, uint256 length) private returns (address chunk) {
+        // Deployment code: copy everything after these 14 bytes into memory and return it as the contract code
+        // PUSH4 size, DUP1, PUSH1 14, PUSH1 0, CODECOPY, PUSH1 0, RETURN
+        bytes memory initCode = abi.encodePacked(hex"63", uint32(length + 1), hex"80600e6000396000f3", hex"00", new bytes(length));
+        for (uint256 i = 0; i < length; i++) {
+            initCode[15 + i] = data[start + i];
+        }
+
+        assembly ("memory-safe") {
+            chunk := create(0, add(initCode, 32), mload(initCode))
+        }
+        if (chunk == address(0)) {
+            revert CodeStorageFailed();
+        }
+    }
+}
@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
+
+/**
+ * @title MockBurnableERC20
+ * @dev ERC20 token with a public burn function, for testing burn allocations.
+ */
+contract MockBurnableERC20 is ERC20Burnable {
+    /**
+     * @dev Constructor that gives the msg.sender all of the initial supply.
+     * @param name_ The name of the token
+     * @param symbol_ The symbol of the token
+     * @param initialSupply The initial supply of tokens
+     */
+    constructor(
+        string memory name_,
+        string memory symbol_,
+        uint256 initialSupply
+    ) ERC20(name_, symbol_) {
+        if (initialSupply > 0) {
+            _mint(msg.sender, initialSupply);
+        }
+    }
+
+    /**
+     * @dev Function to mint tokens
+     * @param to The address that will receive the minted tokens.
+     * @param amount The amount of tokens to mint.
+     * @return A boolean that indicates if the operation was successful.
+     */
+    function mint(address to, uint256 amount) public returns (bool) {
+        _mint(to, amount);
+        return true;
+    }
+}
@@ -0,0 +1,51 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+import "../interfaces/IDistributionRecipient.sol";
+
+/**
+ * @title MockDistributionRecipient
+ * @dev Recipient contract with a configurable onDistribution hook, for testing hooked allocations.
+ */
+contract MockDistributionRecipient is IDistributionRecipient {
+    // How the hook behaves when it is called
+    enum Mode { Succeed, Revert, WasteGas }
+
+    Mode public mode;
+
+    // What the last successful hook call received
+    address public lastToken;
+    uint256 public lastAmount;
+    uint256 public calls;
+
+    /**
+     * @dev Sets how the hook behaves
+     * @param newMode Succeed, Revert or WasteGas (loops until it runs out of gas)
+     */
+    function setMode(Mode newMode) external {
+        mode = newMode;
+    }
+
+    /**
+     * @dev Records the notification, or fails on purpose depending on the mode
+     */
+    function onDistribution(address token, uint256 amount) external override {
+        if (mode == Mode.Revert) {
+            revert("MockDistributionRecipient: hook failed");
+        }
+        if (mode == Mode.WasteGas) {
+            while (true) {
+                calls++;
+            }
+        }
+
+        lastToken = token;
+        lastAmount = amount;
+        calls++;
+    }
+
+    /**
+     * @dev Accepts native currency
+     */
+    receive() external payable {}
+}
@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockFreezableERC20
+ * @dev ERC20 token whose transfers can be switched off, for testing.
+ * Minting still works while transfers are frozen.
+ */
+contract MockFreezableERC20 is ERC20 {
+    // True while every transfer between two accounts reverts
+    bool public frozen;
+
+    /**
+     * @dev Constructor that gives the msg.sender all of the initial supply.
+     * @param name_ The name of the token
+     * @param symbol_ The symbol of the token
+     * @param initialSupply The initial supply of tokens
+     */
+    constructor(
+        string memory name_,
+        string memory symbol_,
+        uint256 initialSupply
+    ) ERC20(name_, symbol_) {
+        if (initialSupply > 0) {
+            _mint(msg.sender, initialSupply);
+        }
+    }
+
+    /**
+     * @dev Switches transfers off or back on.
+     * @param frozen_ True to make every transfer revert
+     */
+    function setFrozen(bool frozen_) external {
+        frozen = frozen_;
+    }
+
+    /**
+     * @dev Reverts transfers between two accounts while frozen.
+     */
+    function _update(address from, address to, uint256 value) internal override {
+        require(from == address(0) || !frozen, "MockFreezableERC20: frozen");
+        super._update(from, to, value);
+    }
+}
@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+import "../interfaces/IRandomnessProvider.sol";
+
+/**
+ * @title MockRandomnessCoordinator
+ * @dev Randomness provider for tests and local scripts. Requests wait until someone calls
+ * fulfill with the number to deliver, so results can be chosen in advance.
+ */
+contract MockRandomnessCoordinator is IRandomnessProvider {
+    // Who asked for each request that has not been answered yet
+    mapping(uint256 => address) public consumers;
+    uint256 public requestCount;
+
+    event RandomnessRequested(uint256 indexed requestId, address indexed consumer);
+    event RandomnessFulfilled(uint256 indexed requestId, uint256 randomness);
+
+    /**
+     * @dev Records the request; request ids start at 1
+     */
+    function requestRandomness() external override returns (uint256 requestId) {
+        requestId = ++requestCount;
+        consumers[requestId] = msg.sender;
+        emit RandomnessRequested(requestId, msg.sender);
+    }
+
+    /**
+     * @dev Delivers a chosen number to the consumer that made the request
+     * @param requestId The request to answer
+     * @param randomness The number to deliver
+     */
+    function fulfill(uint256 requestId, uint256 randomness) external {
+        address consumer = consumers[requestId];
+        require(consumer != address(0), "MockRandomnessCoordinator: unknown request");
+        delete consumers[requestId];
+
+        IRandomnessConsumer(consumer).fulfillRandomness(requestId, randomness);
+        emit RandomnessFulfilled(requestId, randomness);
+    }
+}
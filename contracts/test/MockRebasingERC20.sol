@@ -0,0 +1,96 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title MockRebasingERC20
+ * @dev Rebasing token for testing. Accounts hold shares, and every balance is
+ * shares * multiplier, so calling rebase changes all balances at once.
+ */
+contract MockRebasingERC20 is IERC20 {
+    // The multiplier that represents 1x
+    uint256 private constant ONE = 1e18;
+
+    string public name;
+    string public symbol;
+    uint8 public constant decimals = 18;
+
+    // Balance per share, scaled by ONE
+    uint256 public multiplier = ONE;
+
+    uint256 private _totalShares;
+    mapping(address => uint256) private _shares;
+    mapping(address => mapping(address => uint256)) private _allowances;
+
+    /**
+     * @dev Constructor that sets the token name and symbol.
+     * @param name_ The name of the token
+     * @param symbol_ The symbol of the token
+     */
+    constructor(string memory name_, string memory symbol_) {
+        name = name_;
+        symbol = symbol_;
+    }
+
+    /**
+     * @dev Function to mint tokens
+     * @param to The address that will receive the minted tokens.
+     * @param amount The amount of tokens to mint.
+     */
+    function mint(address to, uint256 amount) external {
+        uint256 shares = (amount * ONE) / multiplier;
+        _totalShares += shares;
+        _shares[to] += shares;
+        emit Transfer(address(0), to, amount);
+    }
+
+    /**
+     * @dev Changes every balance by setting a new multiplier.
+     * @param newMultiplier The new balance per share, scaled by 1e18 (2e18 doubles all balances)
+     */
+    function rebase(uint256 newMultiplier) external {
+        multiplier = newMultiplier;
+    }
+
+    function totalSupply() external view returns (uint256) {
+        return (_totalShares * multiplier) / ONE;
+    }
+
+    function balanceOf(address account) public view returns (uint256) {
+        return (_shares[account] * multiplier) / ONE;
+    }
+
+    function allowance(address owner, address spender) external view returns (uint256) {
+        return _allowances[owner][spender];
+    }
+
+    function approve(address spender, uint256 value) external returns (bool) {
+        _allowances[msg.sender][spender] = value;
+        emit Approval(msg.sender, spender, value);
+        return true;
+    }
+
+    function transfer(address to, uint256 value) external returns (bool) {
+        _transfer(msg.sender, to, value);
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint256 value) external returns (bool) {
+        require(_allowances[from][msg.sender] >= value, "MockRebasingERC20: insufficient allowance");
+        _allowances[from][msg.sender] -= value;
+        _transfer(from, to, value);
+        return true;
+    }
+
+    /**
+     * @dev Moves the shares that represent `value` tokens.
+     */
+    function _transfer(address from, address to, uint256 value) private {
+        uint256 shares = (value * ONE) / multiplier;
+        require(_shares[from] >= shares, "MockRebasingERC20: insufficient balance");
+        _shares[from] -= shares;
+        _shares[to] += shares;
+        emit Transfer(from, to, value);
+    }
+}
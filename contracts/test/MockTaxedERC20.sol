@@ -0,0 +1,60 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockTaxedERC20
+ * @dev ERC20 token that burns a percentage of every transfer (fee-on-transfer), for testing.
+ * Minting is not taxed.
+ */
+contract MockTaxedERC20 is ERC20 {
+    // The tax taken from every transfer, in basis points (100 = 1%)
+    uint256 public immutable taxBps;
+
+    /**
+     * @dev Constructor that gives the msg.sender all of the initial supply.
+     * @param name_ The name of the token
+     * @param symbol_ The symbol of the token
+     * @param initialSupply The initial supply of tokens
+     * @param taxBps_ The tax taken from every transfer, in basis points
+     */
+    constructor(
+        string memory name_,
+        string memory symbol_,
+        uint256 initialSupply,
+        uint256 taxBps_
+    ) ERC20(name_, symbol_) {
+        taxBps = taxBps_;
+        if (initialSupply > 0) {
+            _mint(msg.sender, initialSupply);
+        }
+    }
+
+    /**
+     * @dev Function to mint tokens
+     * @param to The address that will receive the minted tokens.
+     * @param amount The amount of tokens to mint.
+     * @return A boolean that indicates if the operation was successful.
+     */
+    function mint(address to, uint256 amount) public returns (bool) {
+        _mint(to, amount);
+        return true;
+    }
+
+    /**
+     * @dev Burns the tax from every transfer between two accounts.
+     */
+    function _update(address from, address to, uint256 value) internal override {
+        if (from == address(0) || to == address(0)) {
+            super._update(from, to, value);
+            return;
+        }
+
+        uint256 tax = (value * taxBps) / 10000;
+        super._update(from, to, value - tax);
+        if (tax > 0) {
+            super._update(from, address(0), tax);
+        }
+    }
+}
@@ -0,0 +1,82 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "../interfaces/IUniswapV2Router.sol";
+
+/**
+ * @title MockUniswapV2Router
+ * @dev Uniswap-V2-style router with fixed exchange rates, for testing swaps.
+ * The router must hold enough output tokens to pay for the swaps it performs.
+ * Like a real pair, swapExactTokensForTokens fails when fewer input tokens arrive than were sent.
+ */
+contract MockUniswapV2Router is IUniswapV2Router {
+    using SafeERC20 for IERC20;
+
+    // Output tokens received per 1e18 input tokens: [tokenIn][tokenOut] = rate
+    mapping(address => mapping(address => uint256)) public rates;
+
+    /**
+     * @dev Sets the exchange rate between two tokens
+     * @param tokenIn The token being sold
+     * @param tokenOut The token being bought
+     * @param rate The amount of tokenOut paid for 1e18 tokenIn
+     */
+    function setRate(address tokenIn, address tokenOut, uint256 rate) external {
+        rates[tokenIn][tokenOut] = rate;
+    }
+
+    /**
+     * @dev Swaps along a two-token path at the configured rate.
+     * Reverts like a real pair when the input token takes a tax on transfers.
+     */
+    function swapExactTokensForTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external returns (uint256[] memory amounts) {
+        uint256 received = _receive(amountIn, path, deadline);
+        require(received == amountIn, "UniswapV2: K");
+
+        amounts = new uint256[](2);
+        amounts[0] = amountIn;
+        amounts[1] = _pay(received, amountOutMin, path, to);
+    }
+
+    /**
+     * @dev Swaps along a two-token path at the configured rate, paying for what actually arrived.
+     */
+    function swapExactTokensForTokensSupportingFeeOnTransferTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external {
+        _pay(_receive(amountIn, path, deadline), amountOutMin, path, to);
+    }
+
+    /**
+     * @dev Takes the input tokens and returns how many actually arrived
+     */
+    function _receive(uint256 amountIn, address[] calldata path, uint256 deadline) private returns (uint256) {
+        require(deadline >= block.timestamp, "UniswapV2Router: EXPIRED");
+        require(path.length == 2, "MockUniswapV2Router: INVALID_PATH");
+
+        uint256 balanceBefore = IERC20(path[0]).balanceOf(address(this));
+        IERC20(path[0]).safeTransferFrom(msg.sender, address(this), amountIn);
+        return IERC20(path[0]).balanceOf(address(this)) - balanceBefore;
+    }
+
+    /**
+     * @dev Sends the output tokens for `amountIn` input tokens
+     */
+    function _pay(uint256 amountIn, uint256 amountOutMin, address[] calldata path, address to) private returns (uint256 amountOut) {
+        amountOut = (amountIn * rates[path[0]][path[1]]) / 1e18;
+        require(amountOut >= amountOutMin, "UniswapV2Router: INSUFFICIENT_OUTPUT_AMOUNT");
+        IERC20(path[1]).safeTransfer(to, amountOut);
+    }
+}
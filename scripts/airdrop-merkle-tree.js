@@ -0,0 +1,122 @@
+// Merkle tree helpers for HolderAirdrop.sol
+// Used by generate-airdrop-tree.js and the tests, so the tree always matches what the contract checks
+const { ethers } = require("ethers");
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+// The leaf of one claim: keccak256(keccak256(abi.encode(index, account, amount))), as in HolderAirdrop.claim
+function hashLeaf(index, account, amount) {
+  return ethers.keccak256(ethers.keccak256(coder.encode(["uint256", "address", "uint256"], [index, account, amount])));
+}
+
+// Hashes two nodes in sorted order, the same way OpenZeppelin's MerkleProof does
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b) ? ethers.keccak256(ethers.concat([a, b])) : ethers.keccak256(ethers.concat([b, a]));
+}
+
+// Builds every layer of the tree, from the leaves (layer 0) up to the root
+// A node without a partner is moved up to the next layer unchanged
+function buildLayers(leaves) {
+  const layers = [leaves];
+  while (layers[layers.length - 1].length > 1) {
+    const below = layers[layers.length - 1];
+    const layer = [];
+    for (let i = 0; i < below.length; i += 2) {
+      layer.push(i + 1 < below.length ? hashPair(below[i], below[i + 1]) : below[i]);
+    }
+    layers.push(layer);
+  }
+  return layers;
+}
+
+// Collects the partner of the leaf at `index` on every layer
+function getProof(layers, index) {
+  const proof = [];
+  for (let i = 0; i < layers.length - 1; i++) {
+    const partner = index % 2 === 0 ? index + 1 : index - 1;
+    if (partner < layers[i].length) {
+      proof.push(layers[i][partner]);
+    }
+    index = Math.floor(index / 2);
+  }
+  return proof;
+}
+
+// Splits `totalAmount` between holders in proportion to their balances
+// `balances` is a list of { address, balance }; repeated addresses are added together,
+// holders in `exclude` and empty balances are left out, and amounts are rounded down
+function splitProRata(balances, totalAmount, exclude = []) {
+  const excluded = new Set(exclude.map((address) => ethers.getAddress(address)));
+  const holders = new Map();
+  for (const { address, balance } of balances) {
+    const account = ethers.getAddress(address);
+    if (!excluded.has(account)) {
+      holders.set(account, (holders.get(account) || 0n) + BigInt(balance));
+    }
+  }
+
+  const totalBalance = [...holders.values()].reduce((sum, balance) => sum + balance, 0n);
+  if (totalBalance === 0n) {
+    throw new Error("The snapshot has no holders with a balance");
+  }
+
+  const claims = [];
+  for (const [account, balance] of holders) {
+    const amount = BigInt(totalAmount) * balance / totalBalance;
+    if (amount > 0n) {
+      claims.push({ account, amount });
+    }
+  }
+  return claims;
+}
+
+// Builds the tree for a list of { account, amount } claims
+// Returns the root, the total of all claims, every layer and each account's index, amount and proof
+function buildAirdropTree(claims) {
+  if (claims.length === 0) {
+    throw new Error("An airdrop needs at least one claim");
+  }
+
+  const leaves = claims.map(({ account, amount }, index) => hashLeaf(index, account, amount));
+  const layers = buildLayers(leaves);
+
+  const entries = {};
+  claims.forEach(({ account, amount }, index) => {
+    entries[account] = { index, amount: amount.toString(), proof: getProof(layers, index) };
+  });
+
+  return {
+    merkleRoot: layers[layers.length - 1][0],
+    total: claims.reduce((sum, { amount }) => sum + BigInt(amount), 0n).toString(),
+    layers,
+    claims: entries
+  };
+}
+
+// Reads a holder snapshot from the text of a CSV or JSON file
+// CSV: one "address,balance" line per holder (a header line is allowed)
+// JSON: either { "0xaddress": "balance" } or [{ "address": "0x...", "balance": "..." }]
+function parseSnapshot(text, format) {
+  if (format === "json") {
+    const data = JSON.parse(text);
+    return Array.isArray(data)
+      ? data.map(({ address, balance }) => ({ address, balance }))
+      : Object.entries(data).map(([address, balance]) => ({ address, balance }));
+  }
+
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line !== "" && !/^address\s*,/i.test(line))
+    .map((line) => {
+      const [address, balance] = line.split(",").map((value) => value.trim());
+      return { address, balance };
+    });
+}
+
+module.exports = {
+  hashLeaf,
+  buildAirdropTree,
+  splitProRata,
+  parseSnapshot
+};
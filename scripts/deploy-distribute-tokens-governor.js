@@ -0,0 +1,32 @@
+// Deploy script for DistributeTokensGovernor.sol
+// Deploy the governor first, then set GOVERNOR_ADDRESS in your .env file before deploying a splitter
+const hre = require("hardhat");
+require("dotenv").config();
+
+// How long a passed proposal must wait before it can be executed (default: 7 days)
+const TIMELOCK_SECONDS = Number(process.env.GOVERNOR_TIMELOCK || 7 * 24 * 60 * 60);
+
+async function main() {
+  console.log("Deploying DistributeTokensGovernor contract...");
+
+  // Get the contract factory
+  const Governor = await hre.ethers.getContractFactory("DistributeTokensGovernor");
+
+  // Deploy the contract with the chosen timelock
+  const governor = await Governor.deploy(TIMELOCK_SECONDS);
+
+  // Wait for deployment to finish
+  await governor.waitForDeployment();
+
+  console.log(`DistributeTokensGovernor deployed to: ${await governor.getAddress()}`);
+  console.log("Deployment transaction:", governor.deploymentTransaction().hash);
+  console.log(`Timelock: ${TIMELOCK_SECONDS} seconds`);
+}
+
+// Execute the deployment
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,5 +1,6 @@
 // Deploy script for DistributeTokens.sol
 const hre = require("hardhat");
+const { allocations, settings } = require("./distribute-tokens-config");
 
 async function main() {
   console.log("Deploying DistributeTokens contract...");
@@ -7,8 +8,8 @@ async function main() {
   // Get the contract factory
   const DistributeTokens = await hre.ethers.getContractFactory("DistributeTokens");
   
-  // Deploy the contract
-  const distributeTokens = await DistributeTokens.deploy();
+  // Deploy the contract with the default allocations and settings
+  const distributeTokens = await DistributeTokens.deploy(allocations, settings);
   
   // Wait for deployment to finish
   await distributeTokens.waitForDeployment();
@@ -20,13 +21,14 @@ async function main() {
   console.log("Deployment transaction:", distributeTokens.deploymentTransaction().hash);
   
   console.log("\nAllocations:");
-  const allocations = await distributeTokens.getAllocations();
+  const deployedAllocations = await distributeTokens.getAllocations();
   
   // Display all allocations
-  for (let i = 0; i < allocations.length; i++) {
-    const allocation = allocations[i];
-    const percentage = (allocation.percentage / 100).toFixed(2);
-    console.log(`- ${allocation.wallet}: ${percentage}%`);
+  for (let i = 0; i < deployedAllocations.length; i++) {
+    const allocation = deployedAllocations[i];
+    const percentage = (Number(allocation.percentage) / 100).toFixed(2);
+    const type = ["", " (burn)", " (splitter)", " (hooked)"][Number(allocation.allocationType)];
+    console.log(`- ${allocation.wallet}: ${percentage}%${type}`);
   }
 }
 
@@ -0,0 +1,30 @@
+// Deploy script for HolderAirdrop.sol
+// After deploying, give the airdrop contract an allocation in a DistributeTokens splitter
+// (allocationType HOOKED to have each payment announced, or STANDARD) so it receives its share
+const hre = require("hardhat");
+require("dotenv").config();
+
+async function main() {
+  console.log("Deploying HolderAirdrop contract...");
+
+  // Get the contract factory
+  const HolderAirdrop = await hre.ethers.getContractFactory("HolderAirdrop");
+
+  // Deploy the contract; the deployer becomes the owner who publishes rounds
+  const airdrop = await HolderAirdrop.deploy();
+
+  // Wait for deployment to finish
+  await airdrop.waitForDeployment();
+
+  console.log(`HolderAirdrop deployed to: ${await airdrop.getAddress()}`);
+  console.log("Deployment transaction:", airdrop.deploymentTransaction().hash);
+  console.log(`Owner: ${await airdrop.owner()}`);
+}
+
+// Execute the deployment
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
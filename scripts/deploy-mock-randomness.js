@@ -0,0 +1,43 @@
+// Deploys MockRandomnessCoordinator and makes a SlutMachine use it, for trying out
+// randomness-provider spins on a local Hardhat node.
+//
+// Usage:
+//   npx hardhat node
+//   SLUT_MACHINE_CONTRACT_ADDRESS=0x... npx hardhat run scripts/deploy-mock-randomness.js --network localhost
+//
+// Spins made with scripts/spinSlutMachine.js are then answered by the mock coordinator
+// (set MOCK_RANDOMNESS to choose the number it delivers).
+const hre = require("hardhat");
+require("dotenv").config();
+
+async function main() {
+  // The mock lets anyone choose the result, so it must never be used on a real network
+  if (!["hardhat", "localhost"].includes(hre.network.name)) {
+    console.error("This script only runs on a local Hardhat network");
+    process.exit(1);
+  }
+
+  const SLUT_MACHINE_CONTRACT_ADDRESS = process.env.SLUT_MACHINE_CONTRACT_ADDRESS;
+  if (!SLUT_MACHINE_CONTRACT_ADDRESS) {
+    console.error("Please set SLUT_MACHINE_CONTRACT_ADDRESS in your .env file");
+    process.exit(1);
+  }
+
+  const Coordinator = await hre.ethers.getContractFactory("MockRandomnessCoordinator");
+  const coordinator = await Coordinator.deploy();
+  await coordinator.waitForDeployment();
+  console.log(`MockRandomnessCoordinator deployed to: ${await coordinator.getAddress()}`);
+
+  // Only the SlutMachine owner can change the randomness provider
+  const slutMachine = await hre.ethers.getContractAt("SlutMachine", SLUT_MACHINE_CONTRACT_ADDRESS);
+  await (await slutMachine.setRandomnessProvider(await coordinator.getAddress())).wait();
+  console.log(`SlutMachine at ${SLUT_MACHINE_CONTRACT_ADDRESS} now uses the mock coordinator`);
+}
+
+// Execute the deployment
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
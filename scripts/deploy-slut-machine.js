@@ -13,19 +13,33 @@ async function main() {
   const initialMinBet = hre.ethers.parseEther("0.01"); // Min bet - 0.01 tokens
   const initialMaxBet = hre.ethers.parseEther("1.0"); // Max bet - 1 token
   const initialHouseEdgePercent = 300; // 3% house edge (300 basis points)
+  const initialDeveloperPercent = 100; // 1% developer profit (100 basis points)
+  const developerAddress = "0x..."; // Replace with the address that receives developer profits
+
+  // The machine's shape: 3 to 5 reels, 3 to 5 rows and 2 to 16 symbols (use 5 reels for a 5x3 machine)
+  const reels = 3;
+  const rows = 3;
+  const numSymbols = 6;
 
   console.log(`Deploying with parameters:
   - Token Address: ${tokenAddress}
   - Min Bet: ${hre.ethers.formatEther(initialMinBet)} tokens
   - Max Bet: ${hre.ethers.formatEther(initialMaxBet)} tokens
-  - House Edge: ${initialHouseEdgePercent/100}%`);
+  - House Edge: ${initialHouseEdgePercent/100}%
+  - Developer Profit: ${initialDeveloperPercent/100}% to ${developerAddress}
+  - Grid: ${reels}x${rows} with ${numSymbols} symbols`);
 
   // Deploy the contract
   const slutMachine = await SlutMachine.deploy(
     tokenAddress,
     initialMinBet,
     initialMaxBet,
-    initialHouseEdgePercent
+    initialHouseEdgePercent,
+    initialDeveloperPercent,
+    developerAddress,
+    reels,
+    rows,
+    numSymbols
   );
 
   // Wait for deployment to finish
@@ -44,9 +58,9 @@ async function main() {
   for (let i = 0; i < symbolCount; i++) {
     const name = await slutMachine.symbolNames(i);
     const weight = await slutMachine.symbolWeights(i);
-    const payout = await slutMachine.symbolPayouts(i) / 100; // Convert basis points to multiplier
+    const payout = Number(await slutMachine.symbolPayouts(i)) / 100; // Convert basis points to multiplier
     
-    console.log(`- ${name}: Weight ${weight}%, Payout ${payout}x`);
+    console.log(`- ${name || `Symbol ${i}`}: Weight ${weight}, Payout ${payout}x`);
   }
 }
 
@@ -0,0 +1,175 @@
+// Operator script for DistributeTokens.sol
+// Shows the free balance of each token, works out what every recipient would get,
+// and then either stops there (dry run) or sends one distribution per token.
+//
+// Usage:
+//   node scripts/distribute-tokens-cli.js --network localhost --splitter 0x... --tokens 0xToken1,native --dry-run
+//   node scripts/distribute-tokens-cli.js --network mainnet --config operator.json
+//
+// Options:
+//   --splitter <address>  the DistributeTokens contract (default: DISTRIBUTE_TOKENS_ADDRESS from .env)
+//   --tokens <list>       comma-separated token addresses, "native" for native currency
+//                         (default: the splitter's watched tokens)
+//   --config <file>       JSON file with { "splitter": "0x...", "tokens": ["0x...", "native"] }
+//                         (options given on the command line win)
+//   --network <name>      Hardhat network to use (default: hardhat)
+//   --dry-run             only print the plan, send nothing
+require("dotenv").config();
+const fs = require("fs");
+const { parseArgs, describeToken } = require("./distribute-tokens-script-helpers");
+
+const options = parseArgs(process.argv.slice(2), ["--splitter", "--tokens", "--config", "--network"], ["--dry-run"]);
+const hre = require("hardhat");
+
+const TOTAL_PERCENTAGE = 10000n;
+const TYPE_LABELS = ["", " (burn)", " (splitter)", " (hooked)"];
+
+// Works out what each allocation gets from `amount`, the same way DistributeTokens does:
+// percentages are rounded down and the remainder goes to the largest allocation (the first one if tied)
+function simulateSplit(allocations, amount) {
+  let remainderIndex = 0;
+  let assigned = 0n;
+  const amounts = allocations.map((allocation, i) => {
+    if (allocation.percentage > allocations[remainderIndex].percentage) {
+      remainderIndex = i;
+    }
+    const share = (amount * allocation.percentage) / TOTAL_PERCENTAGE;
+    assigned += share;
+    return share;
+  });
+  amounts[remainderIndex] += amount - assigned;
+  return amounts;
+}
+
+// Turns a failed call into the name of the contract's custom error, when there is one
+function revertReason(contract, error) {
+  // Hardhat nodes nest the revert data one level deeper than other providers
+  const data = typeof error.data === "string" ? error.data : error.data && error.data.data;
+  try {
+    const revert = contract.interface.parseError(data);
+    if (revert) {
+      return `${revert.name}(${revert.args.join(", ")})`;
+    }
+  } catch {
+    // Not one of the contract's errors
+  }
+  return (error.data && error.data.message) || error.shortMessage || error.message;
+}
+
+async function main() {
+  const file = options.config ? JSON.parse(fs.readFileSync(options.config, "utf8")) : {};
+  const splitterOption = options.splitter || file.splitter || process.env.DISTRIBUTE_TOKENS_ADDRESS;
+  if (!splitterOption) {
+    console.error("Please pass --splitter, a config file with \"splitter\", or set DISTRIBUTE_TOKENS_ADDRESS");
+    process.exit(1);
+  }
+  const splitterAddress = hre.ethers.getAddress(splitterOption);
+
+  const [operator] = await hre.ethers.getSigners();
+  const distributeTokens = await hre.ethers.getContractAt("DistributeTokens", splitterAddress, operator);
+  const nativeToken = await distributeTokens.NATIVE_TOKEN();
+
+  let tokens = options.tokens ? options.tokens.split(",") : file.tokens;
+  if (!tokens || tokens.length === 0) {
+    tokens = await distributeTokens.getWatchedTokens();
+  }
+  tokens = tokens
+    .map((token) => token.trim())
+    .filter((token) => token !== "")
+    .map((token) => (token.toLowerCase() === "native" ? nativeToken : hre.ethers.getAddress(token)));
+  if (tokens.length === 0) {
+    console.error("No tokens to distribute: pass --tokens or list them in the config file");
+    process.exit(1);
+  }
+
+  const bountyBps = await distributeTokens.bountyBps();
+
+  console.log(`Running on network: ${hre.network.name}`);
+  console.log(`Splitter: ${splitterAddress}`);
+  console.log(`Operator: ${operator.address}`);
+  console.log(`Mode: ${options.dryRun ? "dry run (nothing is sent)" : "send transactions"}\n`);
+
+  let totalGas = 0n;
+  for (const token of tokens) {
+    const { symbol, decimals } = await describeToken(token, nativeToken);
+    const format = (amount) => `${hre.ethers.formatUnits(amount, decimals)} ${symbol}`;
+
+    // The free balance leaves out tokens set aside for claims and vesting, like the contract does
+    let held;
+    try {
+      held = token === nativeToken
+        ? await hre.ethers.provider.getBalance(splitterAddress)
+        : await (await hre.ethers.getContractAt(["function balanceOf(address) view returns (uint256)"], token)).balanceOf(splitterAddress);
+    } catch {
+      console.log(`=== ${token} ===\nSkipped: not a token contract\n`);
+      continue;
+    }
+    const reserved = (await distributeTokens.totalClaimable(token)) + (await distributeTokens.totalVesting(token));
+    const free = held > reserved ? held - reserved : 0n;
+
+    console.log(`=== ${symbol} (${token}) ===`);
+    console.log(`Balance: ${format(held)}, free to distribute: ${format(free)}`);
+
+    // The caller reward comes off the top before the split
+    let bounty = (free * bountyBps) / TOTAL_PERCENTAGE;
+    const bountyCap = await distributeTokens.bountyCaps(token);
+    if (bountyCap > 0n && bounty > bountyCap) {
+      bounty = bountyCap;
+    }
+    if (bounty > 0n) {
+      console.log(`Caller reward: ${format(bounty)}`);
+    }
+
+    const allocations = await distributeTokens["getAllocations(address)"](token);
+    const amounts = simulateSplit(allocations, free - bounty);
+    allocations.forEach((allocation, i) => {
+      const percentage = (Number(allocation.percentage) / 100).toFixed(2);
+      const vesting = allocation.vesting.duration > 0n ? " (vesting)" : "";
+      const type = TYPE_LABELS[Number(allocation.allocationType)] + vesting;
+      console.log(`- ${allocation.wallet}: ${format(amounts[i])} (${percentage}%)${type}`);
+    });
+
+    // Ask the node whether the distribution would go through before sending anything
+    const distribute = token === nativeToken
+      ? distributeTokens.distributeNative
+      : distributeTokens.distributeTokens;
+    const args = token === nativeToken ? [] : [token];
+    try {
+      await distribute.staticCall(...args);
+    } catch (error) {
+      console.log(`Skipped: the distribution would fail with ${revertReason(distributeTokens, error)}\n`);
+      continue;
+    }
+
+    if (options.dryRun) {
+      console.log(`Estimated gas: ${await distribute.estimateGas(...args)}\n`);
+      continue;
+    }
+
+    const tx = await distribute(...args);
+    const receipt = await tx.wait();
+    totalGas += receipt.gasUsed;
+    console.log(`Distributed in block ${receipt.blockNumber} (tx ${receipt.hash})`);
+
+    // Show what each recipient actually received, which can differ for tokens with a transfer tax
+    for (const log of receipt.logs) {
+      const event = log.address === splitterAddress ? distributeTokens.interface.parseLog(log) : null;
+      if (event && event.name === "AllocationDistributed") {
+        console.log(`- ${event.args.recipient}: received ${format(event.args.amount)}`);
+      }
+    }
+    console.log(`Gas used: ${receipt.gasUsed}, fee: ${hre.ethers.formatEther(receipt.fee)} native\n`);
+  }
+
+  if (!options.dryRun) {
+    console.log(`Total gas used: ${totalGas}`);
+  }
+}
+
+// Execute the operator script
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
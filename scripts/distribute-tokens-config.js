@@ -0,0 +1,70 @@
+// Default HelloTitty configuration for DistributeTokens.sol
+// Used by the deploy and verify scripts so both always agree on the constructor arguments
+require("dotenv").config();
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Allocation types as defined by the DistributeTokens.AllocationType enum
+const STANDARD = 0; // Tokens are sent to the wallet
+const BURN = 1;     // Tokens are burned when possible, otherwise sent to the wallet
+const SPLITTER = 2; // The wallet is another DistributeTokens contract that splits its share again
+const HOOKED = 3;   // Tokens are sent to a contract wallet, which is then notified through onDistribution
+
+// Vesting schedule for allocations that are paid out immediately
+// Use { cliff, duration } in seconds to lock each share an allocation receives, counted from its arrival
+const NO_VESTING = { cliff: 0, duration: 0 };
+
+// Percentages are in basis points (10000 = 100%) and must add up to exactly 10000
+const allocations = [
+  // Marketing wallet gets 30% of all tokens
+  { wallet: "0x5953D009299f31fac1d7B08176Cc7a7A571405Cb", percentage: 3000, allocationType: STANDARD, vesting: NO_VESTING },
+  // Charity for Breast Cancer gets 20% of all tokens
+  { wallet: "0x30788484042272b05304A75038178c647f34F35d", percentage: 2000, allocationType: STANDARD, vesting: NO_VESTING },
+  // Team & Advisors get 20% of all tokens
+  { wallet: "0x4BC8dFCa3eB09C4587a50DA3254E6cD0Ea550F3D", percentage: 2000, allocationType: STANDARD, vesting: NO_VESTING },
+  // Community wallet gets 10% of all tokens
+  { wallet: "0x91Fc532e2B7E2295865A790D03692e7141fD05F5", percentage: 1000, allocationType: STANDARD, vesting: NO_VESTING },
+  // Developer wallet gets 10% of all tokens
+  { wallet: "0xaEeaA55ED4f7df9E4C5688011cEd1E2A1b696772", percentage: 1000, allocationType: STANDARD, vesting: NO_VESTING },
+  // 10% of tokens are permanently removed from circulation (burned)
+  // Tokens without a burn function are sent to the dead address instead
+  { wallet: "0x000000000000000000000000000000000000dEaD", percentage: 1000, allocationType: BURN, vesting: NO_VESTING }
+];
+
+// Reads a comma-separated list of addresses from the .env file
+function addressList(value) {
+  return (value || "")
+    .split(",")
+    .map((address) => address.trim())
+    .filter((address) => address !== "");
+}
+
+// Optional features, configured through the .env file
+const settings = {
+  // Uniswap-V2-style router used by swapAndDistribute (leave unset to disable swapping)
+  swapRouter: process.env.SWAP_ROUTER_ADDRESS || ZERO_ADDRESS,
+  // Token that other tokens are swapped into before splitting
+  targetToken: process.env.TARGET_TOKEN_ADDRESS || ZERO_ADDRESS,
+  // Reward paid to whoever triggers a distribution, in basis points (max 500 = 5%)
+  bountyBps: Number(process.env.BOUNTY_BPS || 0),
+  // Most a single reward can be, per token and in that token's smallest unit, as a
+  // comma-separated list of token:cap pairs (tokens not listed have no cap)
+  bountyCaps: addressList(process.env.BOUNTY_CAPS).map((pair) => {
+    const [token, cap] = pair.split(":").map((part) => part.trim());
+    return { token, cap };
+  }),
+  // Comma-separated list of the only tokens that may be distributed (leave unset to allow any token)
+  allowlistEnabled: Boolean(process.env.ALLOWED_TOKENS),
+  tokenRules: addressList(process.env.ALLOWED_TOKENS).map((token) => ({ token, allowed: true, minBalance: 0 })),
+  // Comma-separated list of tokens that automated runs (performUpkeep) distribute
+  watchedTokens: addressList(process.env.WATCHED_TOKENS),
+  // Minimum time between automated runs, in seconds
+  upkeepInterval: Number(process.env.UPKEEP_INTERVAL || 0),
+  // DistributeTokensGovernor that lets the recipients vote to change allocations (leave unset to keep them fixed)
+  governor: process.env.GOVERNOR_ADDRESS || ZERO_ADDRESS,
+  // Tokens that are split with their own list instead of the allocations above
+  // Example: { token: "0x...", allocations: [...] } to leave out the burn for stablecoins
+  tokenAllocations: []
+};
+
+module.exports = { allocations, settings };
@@ -0,0 +1,50 @@
+// Shared helpers for the DistributeTokens.sol operator scripts
+// Used by distribute-tokens-cli.js and export-distribution-history.js
+
+// Reads the command line options and selects the Hardhat network, before Hardhat is loaded
+// `valueOptions` take a value, `flagOptions` are true when given; --from-block becomes options.fromBlock
+function parseArgs(argv, valueOptions, flagOptions = []) {
+  const optionName = (arg) => arg.slice(2).replace(/-(\w)/g, (_, letter) => letter.toUpperCase());
+  const options = {};
+  for (const flag of flagOptions) {
+    options[optionName(flag)] = false;
+  }
+  for (let i = 0; i < argv.length; i++) {
+    if (flagOptions.includes(argv[i])) {
+      options[optionName(argv[i])] = true;
+    } else if (valueOptions.includes(argv[i]) && i + 1 < argv.length) {
+      options[optionName(argv[i])] = argv[++i];
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  // Hardhat reads the network when it is loaded, so this has to happen first
+  if (options.network) {
+    process.env.HARDHAT_NETWORK = options.network;
+  }
+  return options;
+}
+
+// Looks up a token's symbol and decimals; tokens without them are shown in raw units
+async function describeToken(token, nativeToken) {
+  if (token === nativeToken) {
+    return { symbol: "native", decimals: 18 };
+  }
+  // Loaded here, so parseArgs can select the network first
+  const { ethers } = require("hardhat");
+  const erc20 = await ethers.getContractAt(
+    ["function symbol() view returns (string)", "function decimals() view returns (uint8)"],
+    token
+  );
+  try {
+    return { symbol: await erc20.symbol(), decimals: Number(await erc20.decimals()) };
+  } catch {
+    return { symbol: token, decimals: 0 };
+  }
+}
+
+module.exports = {
+  parseArgs,
+  describeToken
+};
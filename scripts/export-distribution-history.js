@@ -0,0 +1,223 @@
+// History exporter for DistributeTokens.sol
+// Reads the events of a splitter and writes what every wallet received, per token and per
+// period (day, week or month), as CSV and JSON. Wallets receive tokens in three ways:
+//   distributed  sent straight away by a distribution (AllocationDistributed)
+//   released     unlocked vesting paid out by release (TokensReleased)
+//   claimed      tokens set aside by accrueTokens and paid out by claim (TokensClaimed)
+// The totals report what each distribution split (TokensDistributed) or set aside
+// (TokensAccrued). Vesting shares and set-aside tokens are counted in the totals when they are
+// split, but only reach the recipient rows once they are released or claimed.
+//
+// Usage:
+//   node scripts/export-distribution-history.js --network mainnet --splitter 0x... --from-block 19000000
+//
+// Options:
+//   --splitter <address>    the DistributeTokens contract (default: DISTRIBUTE_TOKENS_ADDRESS from .env)
+//   --from-block <number>   first block to read (default 0); with an existing checkpoint it must
+//                           match the block that checkpoint started at
+//   --to-block <number>     last block to read (default: the latest block)
+//   --chunk-size <number>   blocks per log request (default 2000; halved automatically if the node refuses)
+//   --period <name>         day, week (starting on Monday) or month (default month), in UTC
+//   --out <directory>       where the reports are written (default reports)
+//   --checkpoint <file>     progress file (default <out>/checkpoint.json)
+//   --network <name>        Hardhat network to use (default: hardhat)
+//
+// The exporter saves its progress after every chunk. Running it again with the same
+// checkpoint continues where it stopped, so a monthly run only reads the new blocks.
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { parseArgs, describeToken } = require("./distribute-tokens-script-helpers");
+
+const OPTIONS = ["--splitter", "--from-block", "--to-block", "--chunk-size", "--period", "--out", "--checkpoint", "--network"];
+
+const options = parseArgs(process.argv.slice(2), OPTIONS);
+const hre = require("hardhat");
+
+const PERIODS = ["day", "week", "month"];
+
+// Checkpoints from older versions of this script did not read every event, so they are refused
+const CHECKPOINT_VERSION = 2;
+
+// The events that are read, and the type each one is reported under
+const RECIPIENT_EVENTS = { AllocationDistributed: "distributed", TokensReleased: "released", TokensClaimed: "claimed" };
+const TOTAL_EVENTS = { TokensDistributed: "distributed", TokensAccrued: "accrued" };
+
+// Returns the UTC period a timestamp falls in, such as 2025-06-14 (day), 2025-06-09 (the Monday of its week) or 2025-06 (month)
+function periodOf(timestamp, period) {
+  const date = new Date(timestamp * 1000);
+  if (period === "month") {
+    return date.toISOString().slice(0, 7);
+  }
+  if (period === "week") {
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+// Adds an amount to a running total stored as a string, so the checkpoint stays plain JSON
+function addTo(totals, key, amount) {
+  const entry = totals[key] || { amount: "0", count: 0 };
+  totals[key] = { amount: (BigInt(entry.amount) + amount).toString(), count: entry.count + 1 };
+}
+
+// Writes a file in one step, so a crash never leaves half a checkpoint behind
+function writeAtomic(file, text) {
+  fs.writeFileSync(`${file}.tmp`, text);
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+// Reads the logs of one chunk, splitting it in half whenever the node refuses a range as too large
+async function getLogs(filter, fromBlock, toBlock) {
+  try {
+    return await hre.ethers.provider.getLogs({ ...filter, fromBlock, toBlock });
+  } catch (error) {
+    if (fromBlock === toBlock) {
+      throw error;
+    }
+    const middle = Math.floor((fromBlock + toBlock) / 2);
+    return [...(await getLogs(filter, fromBlock, middle)), ...(await getLogs(filter, middle + 1, toBlock))];
+  }
+}
+
+// Turns the totals into report rows, sorted by period, token, recipient and type
+function toRows(totals, tokens) {
+  return Object.entries(totals)
+    .map(([key, { amount, count }]) => {
+      const [period, token, recipient, type] = key.split("|");
+      const { symbol, decimals } = tokens[token];
+      const row = { period, token, symbol };
+      if (recipient) {
+        row.recipient = recipient;
+      }
+      return { ...row, type, amount: hre.ethers.formatUnits(amount, decimals), rawAmount: amount, events: count };
+    })
+    .sort((a, b) => {
+      const sortKey = (row) => `${row.period}|${row.token}|${row.recipient || ""}|${row.type}`;
+      return sortKey(a).localeCompare(sortKey(b));
+    });
+}
+
+// Writes a list of rows as CSV, one column per field (quoting values such as token symbols that contain commas)
+function toCsv(rows, columns) {
+  const cell = (value) => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : value);
+  return [columns.join(","), ...rows.map((row) => columns.map((column) => cell(row[column])).join(","))].join("\n") + "\n";
+}
+
+async function main() {
+  const splitterOption = options.splitter || process.env.DISTRIBUTE_TOKENS_ADDRESS;
+  if (!splitterOption) {
+    console.error("Please pass --splitter or set DISTRIBUTE_TOKENS_ADDRESS");
+    process.exit(1);
+  }
+  const splitterAddress = hre.ethers.getAddress(splitterOption);
+  const period = options.period || "month";
+  if (!PERIODS.includes(period)) {
+    console.error(`--period must be one of: ${PERIODS.join(", ")}`);
+    process.exit(1);
+  }
+
+  const outDir = options.out || "reports";
+  const checkpointFile = options.checkpoint || path.join(outDir, "checkpoint.json");
+  fs.mkdirSync(outDir, { recursive: true });
+
+  // Continue from the checkpoint when it belongs to the same splitter and period
+  let state = {
+    version: CHECKPOINT_VERSION,
+    splitter: splitterAddress,
+    period,
+    fromBlock: Number(options.fromBlock || 0),
+    nextBlock: Number(options.fromBlock || 0),
+    tokens: {},
+    recipients: {},
+    totals: {}
+  };
+  if (fs.existsSync(checkpointFile)) {
+    const saved = JSON.parse(fs.readFileSync(checkpointFile, "utf8"));
+    if (saved.version !== CHECKPOINT_VERSION) {
+      console.error(`${checkpointFile} was written by an older version of this script that missed releases and claims; remove it and export again`);
+      process.exit(1);
+    }
+    if (saved.splitter !== splitterAddress || saved.period !== period) {
+      console.error(`${checkpointFile} belongs to another splitter or period; remove it or pass another --checkpoint`);
+      process.exit(1);
+    }
+    // The checkpoint decides where reading continues, so a different start block would be ignored
+    if (options.fromBlock !== undefined && Number(options.fromBlock) !== saved.fromBlock) {
+      console.error(`${checkpointFile} started at block ${saved.fromBlock}, not ${options.fromBlock}; remove it or pass another --checkpoint`);
+      process.exit(1);
+    }
+    state = saved;
+    console.log(`Resuming from block ${state.nextBlock}`);
+  }
+
+  const toBlock = options.toBlock ? Number(options.toBlock) : await hre.ethers.provider.getBlockNumber();
+  const chunkSize = Number(options.chunkSize || 2000);
+
+  const distributeTokens = await hre.ethers.getContractAt("DistributeTokens", splitterAddress);
+  const nativeToken = await distributeTokens.NATIVE_TOKEN();
+  const topics = [...Object.keys(RECIPIENT_EVENTS), ...Object.keys(TOTAL_EVENTS)]
+    .map((name) => distributeTokens.interface.getEvent(name).topicHash);
+  const filter = { address: splitterAddress, topics: [topics] };
+
+  console.log(`Running on network: ${hre.network.name}`);
+  console.log(`Splitter: ${splitterAddress}`);
+  console.log(`Reading blocks ${state.nextBlock} to ${toBlock} in chunks of ${chunkSize}\n`);
+
+  const blockTimes = new Map();
+  while (state.nextBlock <= toBlock) {
+    const chunkStart = state.nextBlock;
+    const chunkEnd = Math.min(chunkStart + chunkSize - 1, toBlock);
+    const logs = await getLogs(filter, chunkStart, chunkEnd);
+
+    for (const log of logs) {
+      if (!blockTimes.has(log.blockNumber)) {
+        blockTimes.set(log.blockNumber, (await hre.ethers.provider.getBlock(log.blockNumber)).timestamp);
+      }
+      const event = distributeTokens.interface.parseLog(log);
+      const token = event.args.token;
+      if (!state.tokens[token]) {
+        state.tokens[token] = await describeToken(token, nativeToken);
+      }
+
+      const when = periodOf(blockTimes.get(log.blockNumber), period);
+      if (RECIPIENT_EVENTS[event.name]) {
+        addTo(state.recipients, `${when}|${token}|${event.args.recipient}|${RECIPIENT_EVENTS[event.name]}`, event.args.amount);
+      } else {
+        addTo(state.totals, `${when}|${token}||${TOTAL_EVENTS[event.name]}`, event.args.totalAmount);
+      }
+    }
+
+    // Save the progress so an interrupted run can continue from the next chunk
+    state.nextBlock = chunkEnd + 1;
+    writeAtomic(checkpointFile, JSON.stringify(state, null, 2));
+    console.log(`Blocks ${chunkStart}-${chunkEnd}: ${logs.length} event(s)`);
+  }
+
+  const recipientRows = toRows(state.recipients, state.tokens);
+  const totalRows = toRows(state.totals, state.tokens);
+  const recipientColumns = ["period", "token", "symbol", "recipient", "type", "amount", "rawAmount", "events"];
+  const totalColumns = ["period", "token", "symbol", "type", "amount", "rawAmount", "events"];
+
+  writeAtomic(path.join(outDir, "distribution-history.csv"), toCsv(recipientRows, recipientColumns));
+  writeAtomic(path.join(outDir, "distribution-totals.csv"), toCsv(totalRows, totalColumns));
+  writeAtomic(path.join(outDir, "distribution-history.json"), JSON.stringify({
+    splitter: splitterAddress,
+    period,
+    fromBlock: state.fromBlock,
+    toBlock: state.nextBlock - 1,
+    tokens: state.tokens,
+    recipients: recipientRows,
+    totals: totalRows
+  }, null, 2));
+
+  console.log(`\n${recipientRows.length} recipient row(s) and ${totalRows.length} total row(s) written to ${outDir}`);
+}
+
+// Execute the export
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,53 @@
+// Generates a HolderAirdrop round from a holder snapshot
+// Splits the airdrop between holders in proportion to their balances and writes the
+// Merkle tree and every holder's proof to disk. No network connection is needed.
+//
+// Usage:
+//   AIRDROP_SNAPSHOT=holders.csv AIRDROP_AMOUNT=1000000 node scripts/generate-airdrop-tree.js
+//
+// .env settings:
+//   AIRDROP_SNAPSHOT - CSV ("address,balance" per line) or JSON file with the holder balances
+//   AIRDROP_AMOUNT   - how many tokens to share, in whole tokens (for example 1000000)
+//   AIRDROP_DECIMALS - decimals of the shared token (default 18)
+//   AIRDROP_EXCLUDE  - comma-separated addresses to leave out, such as liquidity pools (optional)
+//   AIRDROP_OUTPUT   - where to write the tree (default airdrop/airdrop-tree.json)
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { buildAirdropTree, splitProRata, parseSnapshot } = require("./airdrop-merkle-tree");
+require("dotenv").config();
+
+function main() {
+  const snapshotFile = process.env.AIRDROP_SNAPSHOT;
+  if (!snapshotFile || !process.env.AIRDROP_AMOUNT) {
+    console.error("Please set AIRDROP_SNAPSHOT and AIRDROP_AMOUNT in your .env file");
+    process.exit(1);
+  }
+
+  const decimals = Number(process.env.AIRDROP_DECIMALS || 18);
+  const amount = ethers.parseUnits(process.env.AIRDROP_AMOUNT, decimals);
+  const exclude = (process.env.AIRDROP_EXCLUDE || "")
+    .split(",")
+    .map((address) => address.trim())
+    .filter((address) => address !== "");
+  const outputFile = process.env.AIRDROP_OUTPUT || path.join("airdrop", "airdrop-tree.json");
+
+  // Read the snapshot and work out what each holder gets
+  const format = path.extname(snapshotFile).toLowerCase() === ".json" ? "json" : "csv";
+  const balances = parseSnapshot(fs.readFileSync(snapshotFile, "utf8"), format);
+  const claims = splitProRata(balances, amount, exclude);
+  const tree = buildAirdropTree(claims);
+
+  fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+  fs.writeFileSync(outputFile, JSON.stringify({ snapshot: path.basename(snapshotFile), decimals, ...tree }, null, 2));
+
+  console.log(`Holders in snapshot: ${balances.length}`);
+  console.log(`Holders with a claim: ${claims.length}`);
+  console.log(`Total to publish: ${tree.total} (${ethers.formatUnits(tree.total, decimals)} tokens)`);
+  console.log(`Left in the pool by rounding: ${amount - BigInt(tree.total)}`);
+  console.log(`Merkle root: ${tree.merkleRoot}`);
+  console.log(`Tree and proofs written to: ${outputFile}`);
+  console.log("\nPublish the round with HolderAirdrop.publishRound(token, merkleRoot, total, deadline)");
+}
+
+main();
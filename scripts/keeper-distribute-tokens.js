@@ -0,0 +1,70 @@
+// Keeper script for DistributeTokens.sol
+// Polls checkUpkeep and calls performUpkeep whenever a distribution is due,
+// the same way an automation network (such as Chainlink Automation) would.
+//
+// Usage:
+//   DISTRIBUTE_TOKENS_ADDRESS=0x... npx hardhat run scripts/keeper-distribute-tokens.js --network localhost
+//
+// Optional .env settings:
+//   KEEPER_POLL_SECONDS - how long to wait between checks (default 60)
+//   KEEPER_MAX_CHECKS   - stop after this many checks (default 0 = keep running)
+const hre = require("hardhat");
+require("dotenv").config();
+
+function sleep(seconds) {
+  return new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+}
+
+async function main() {
+  console.log(`Running on network: ${hre.network.name}`);
+
+  const splitterAddress = process.env.DISTRIBUTE_TOKENS_ADDRESS;
+  if (!splitterAddress) {
+    console.error("Please set DISTRIBUTE_TOKENS_ADDRESS in your .env file");
+    process.exit(1);
+  }
+
+  const pollSeconds = Number(process.env.KEEPER_POLL_SECONDS || 60);
+  const maxChecks = Number(process.env.KEEPER_MAX_CHECKS || 0);
+
+  // Get the signer that pays for the upkeep transactions (and receives any caller reward)
+  const [keeper] = await hre.ethers.getSigners();
+  const distributeTokens = await hre.ethers.getContractAt("DistributeTokens", splitterAddress, keeper);
+
+  console.log(`Keeper account: ${keeper.address}`);
+  console.log(`Watched tokens: ${(await distributeTokens.getWatchedTokens()).join(", ") || "none"}`);
+  console.log(`Minimum interval: ${await distributeTokens.upkeepInterval()} seconds\n`);
+
+  for (let check = 1; maxChecks === 0 || check <= maxChecks; check++) {
+    try {
+      // checkUpkeep is free to call, so only send a transaction when there is work to do
+      const [upkeepNeeded, performData] = await distributeTokens.checkUpkeep("0x");
+
+      if (upkeepNeeded) {
+        const [tokens] = hre.ethers.AbiCoder.defaultAbiCoder().decode(["address[]"], performData);
+        console.log(`[${new Date().toISOString()}] Distributing ${tokens.length} token(s): ${tokens.join(", ")}`);
+
+        const tx = await distributeTokens.performUpkeep(performData);
+        const receipt = await tx.wait();
+        console.log(`Upkeep performed in block ${receipt.blockNumber} (tx ${receipt.hash}, gas used ${receipt.gasUsed})`);
+      } else {
+        console.log(`[${new Date().toISOString()}] Nothing to do`);
+      }
+    } catch (error) {
+      // Keep polling after a failed check or transaction, for example if another keeper was faster
+      console.error(`Upkeep failed: ${error.shortMessage || error.message}`);
+    }
+
+    if (maxChecks === 0 || check < maxChecks) {
+      await sleep(pollSeconds);
+    }
+  }
+}
+
+// Execute the keeper
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,72 @@
+// Creates a distribution history on a local Hardhat node, to try out export-distribution-history.js
+// Deploys a splitter and two test tokens, then distributes them over three months.
+//
+// Usage:
+//   npx hardhat node
+//   npx hardhat run scripts/seed-distribution-history.js --network localhost
+const hre = require("hardhat");
+
+const DAY = 24 * 60 * 60;
+const NO_VESTING = { cliff: 0, duration: 0 };
+
+async function main() {
+  // Moving the clock forward only works on a local chain
+  if (!["hardhat", "localhost"].includes(hre.network.name)) {
+    console.error("This script only runs on a local Hardhat network");
+    process.exit(1);
+  }
+
+  const [owner, walletA, walletB, walletC] = await hre.ethers.getSigners();
+
+  // A 50/30/20 splitter without optional features
+  const DistributeTokens = await hre.ethers.getContractFactory("DistributeTokens");
+  const splitter = await DistributeTokens.deploy([
+    { wallet: walletA.address, percentage: 5000, allocationType: 0, vesting: NO_VESTING },
+    { wallet: walletB.address, percentage: 3000, allocationType: 0, vesting: NO_VESTING },
+    { wallet: walletC.address, percentage: 2000, allocationType: 0, vesting: NO_VESTING }
+  ], {
+    swapRouter: hre.ethers.ZeroAddress,
+    targetToken: hre.ethers.ZeroAddress,
+    bountyBps: 0,
+    bountyCaps: [],
+    allowlistEnabled: false,
+    tokenRules: [],
+    watchedTokens: [],
+    upkeepInterval: 0,
+    governor: hre.ethers.ZeroAddress,
+    tokenAllocations: []
+  });
+  await splitter.waitForDeployment();
+  const startBlock = (await splitter.deploymentTransaction().wait()).blockNumber;
+
+  const MockToken = await hre.ethers.getContractFactory("MockERC20");
+  const tokens = [
+    await MockToken.deploy("Seed Token A", "SEEDA", hre.ethers.parseEther("1000000")),
+    await MockToken.deploy("Seed Token B", "SEEDB", hre.ethers.parseEther("1000000"))
+  ];
+
+  // Two distributions of each token per month, for three months
+  for (let month = 0; month < 3; month++) {
+    for (let round = 0; round < 2; round++) {
+      for (const token of tokens) {
+        await token.transfer(await splitter.getAddress(), hre.ethers.parseEther(String(1000 * (month + 1))));
+        await splitter.distributeTokens(await token.getAddress());
+      }
+      await hre.network.provider.send("evm_increaseTime", [15 * DAY]);
+      await hre.network.provider.send("evm_mine");
+    }
+  }
+
+  console.log(`Splitter deployed to: ${await splitter.getAddress()} (block ${startBlock})`);
+  console.log(`Tokens: ${await tokens[0].getAddress()}, ${await tokens[1].getAddress()}`);
+  console.log(`History created up to block ${await hre.ethers.provider.getBlockNumber()}`);
+  console.log(`\nExport it with:\n  node scripts/export-distribution-history.js --network localhost --splitter ${await splitter.getAddress()} --from-block ${startBlock}`);
+}
+
+// Execute the seeding
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
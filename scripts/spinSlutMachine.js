@@ -2,6 +2,21 @@ const hre = require("hardhat");
 const { ethers } = require("hardhat");
 require("dotenv").config();
 
+// Finds the first event with the given name among a receipt's logs
+function findEvent(contract, receipt, name) {
+  for (const log of receipt.logs) {
+    try {
+      const parsed = contract.interface.parseLog(log);
+      if (parsed?.name === name) {
+        return parsed;
+      }
+    } catch (e) {
+      // Not one of the contract's events
+    }
+  }
+  return null;
+}
+
 async function main() {
   console.log(`Running on network: ${hre.network.name}`);
   
@@ -85,38 +100,57 @@ async function main() {
     const receipt = await spinTx.wait();
     
     // Find the Spin event in the transaction logs
-    const spinEvent = receipt.logs.find(log => {
-      try {
-        const parsed = slutMachine.interface.parseLog(log);
-        return parsed?.name === "Spin";
-      } catch (e) {
-        return false;
+    let spinEvent = findEvent(slutMachine, receipt, "Spin");
+    let jackpotEvent = findEvent(slutMachine, receipt, "JackpotWon");
+    
+    // With a randomness provider the spin waits for the provider's answer
+    const requestEvent = findEvent(slutMachine, receipt, "SpinRequested");
+    if (!spinEvent && requestEvent) {
+      const requestId = requestEvent.args.requestId;
+      console.log(`\nSpin is waiting for the randomness provider (request ${requestId})`);
+      
+      if (!["hardhat", "localhost"].includes(hre.network.name)) {
+        console.log("The result will arrive in the Spin event once the provider answers");
+        return;
       }
-    });
+      
+      // On a local network the mock coordinator answers right away (set MOCK_RANDOMNESS for a repeatable result)
+      const randomness = process.env.MOCK_RANDOMNESS || String(Math.floor(Math.random() * 1000000));
+      const coordinator = await ethers.getContractAt("MockRandomnessCoordinator", (await slutMachine.pendingSpins(requestId)).provider, signer);
+      console.log(`Answering with the mock coordinator (randomness ${randomness})...`);
+      const fulfillReceipt = await (await coordinator.fulfill(requestId, randomness)).wait();
+      spinEvent = findEvent(slutMachine, fulfillReceipt, "Spin");
+      jackpotEvent = findEvent(slutMachine, fulfillReceipt, "JackpotWon");
+    }
     
     if (spinEvent) {
-      const parsedEvent = slutMachine.interface.parseLog(spinEvent);
-      const { player, betAmount, winAmount, result, userSeed } = parsedEvent.args;
+      const { player, betAmount, winAmount, result, userSeed } = spinEvent.args;
       
       console.log("\n🎰 Spin Result 🎰");
       console.log(`Player: ${player}`);
       console.log(`Bet Amount: ${ethers.formatEther(betAmount)} tokens`);
       console.log(`Win Amount: ${ethers.formatEther(winAmount)} tokens`);
       
-      // Display the 3x3 grid of symbols
-      console.log("\nSymbols Grid:");
-      for (let row = 0; row < 3; row++) {
+      // Display the grid of symbols; the result lists it row by row, whatever the machine's shape
+      const reels = Number(await slutMachine.REELS());
+      const rows = Number(await slutMachine.ROWS());
+      const names = new Map();
+      console.log(`\nSymbols Grid (${reels}x${rows}):`);
+      for (let row = 0; row < rows; row++) {
         let rowStr = "";
-        for (let col = 0; col < 3; col++) {
-          const symbolId = result[row][col];
+        for (let reel = 0; reel < reels; reel++) {
+          const symbolId = Number(result[row * reels + reel]);
           // Get symbol name if available, otherwise show symbol ID
-          let symbolDisplay;
-          try {
-            symbolDisplay = await slutMachine.symbolNames(symbolId);
-          } catch (error) {
-            symbolDisplay = `Symbol ${symbolId}`;
+          if (!names.has(symbolId)) {
+            let symbolDisplay;
+            try {
+              symbolDisplay = await slutMachine.symbolNames(symbolId);
+            } catch (error) {
+              symbolDisplay = "";
+            }
+            names.set(symbolId, symbolDisplay || `Symbol ${symbolId}`);
           }
-          rowStr += symbolDisplay.padEnd(10);
+          rowStr += names.get(symbolId).padEnd(10);
         }
         console.log(rowStr);
       }
@@ -126,6 +160,12 @@ async function main() {
       } else {
         console.log("\nBetter luck next time!");
       }
+      
+      if (jackpotEvent) {
+        console.log(`\n💰 JACKPOT! You also won ${ethers.formatEther(jackpotEvent.args.amount)} tokens from the jackpot pool 💰`);
+      }
+      const jackpot = await slutMachine.getJackpot();
+      console.log(`Jackpot pool: ${ethers.formatEther(jackpot.pool)} tokens (next prize ${ethers.formatEther(jackpot.prize)})`);
     } else {
       console.log("Couldn't find spin result in transaction logs");
     }
@@ -1,5 +1,6 @@
 // Verification script for DistributeTokens.sol
 const hre = require("hardhat");
+const { allocations, settings } = require("./distribute-tokens-config");
 
 async function main() {
   // Replace with the address of your deployed contract
@@ -9,10 +10,10 @@ async function main() {
   
   try {
     // Verify the contract on the blockchain explorer
-    // Note: The constructor doesn't have any arguments
+    // Note: The constructor takes the allocations and settings the contract was deployed with
     await hre.run("verify:verify", {
       address: contractAddress,
-      constructorArguments: [],
+      constructorArguments: [allocations, settings],
     });
     
     console.log("Contract verified successfully!");
@@ -1,20 +1,45 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 
 describe("DistributeTokens Contract", function () {
   let distributeTokens;
   let mockToken;
   let owner;
   let otherAccount;
+
+  // Allocation types as defined by the DistributeTokens.AllocationType enum
+  const STANDARD = 0;
+  const BURN = 1;
+  const SPLITTER = 2;
+  const HOOKED = 3;
+
+  // Allocations without a vesting schedule are paid out immediately
+  const NO_VESTING = { cliff: 0, duration: 0 };
+
+  // Optional features, all disabled unless a test needs them
+  const defaultSettings = {
+    swapRouter: ethers.ZeroAddress,
+    targetToken: ethers.ZeroAddress,
+    bountyBps: 0,
+    bountyCaps: [],
+    allowlistEnabled: false,
+    tokenRules: [],
+    watchedTokens: [],
+    upkeepInterval: 0,
+    governor: ethers.ZeroAddress,
+    tokenAllocations: []
+  };
   
   // Define the expected allocations based on the contract
   const expectedAllocations = [
-    { wallet: "0x5953D009299f31fac1d7B08176Cc7a7A571405Cb", percentage: 3000 }, // Marketing
-    { wallet: "0x30788484042272b05304A75038178c647f34F35d", percentage: 2000 }, // Charity
-    { wallet: "0x4BC8dFCa3eB09C4587a50DA3254E6cD0Ea550F3D", percentage: 2000 }, // Team & Advisors
-    { wallet: "0x91Fc532e2B7E2295865A790D03692e7141fD05F5", percentage: 1000 }, // Community
-    { wallet: "0xaEeaA55ED4f7df9E4C5688011cEd1E2A1b696772", percentage: 1000 }, // Developer
-    { wallet: "0x000000000000000000000000000000000000dEaD", percentage: 1000 }  // Burn
+    { wallet: "0x5953D009299f31fac1d7B08176Cc7a7A571405Cb", percentage: 3000, allocationType: STANDARD, vesting: NO_VESTING }, // Marketing
+    { wallet: "0x30788484042272b05304A75038178c647f34F35d", percentage: 2000, allocationType: STANDARD, vesting: NO_VESTING }, // Charity
+    { wallet: "0x4BC8dFCa3eB09C4587a50DA3254E6cD0Ea550F3D", percentage: 2000, allocationType: STANDARD, vesting: NO_VESTING }, // Team & Advisors
+    { wallet: "0x91Fc532e2B7E2295865A790D03692e7141fD05F5", percentage: 1000, allocationType: STANDARD, vesting: NO_VESTING }, // Community
+    { wallet: "0xaEeaA55ED4f7df9E4C5688011cEd1E2A1b696772", percentage: 1000, allocationType: STANDARD, vesting: NO_VESTING }, // Developer
+    { wallet: "0x000000000000000000000000000000000000dEaD", percentage: 1000, allocationType: BURN, vesting: NO_VESTING }     // Burn
   ];
 
   // Deploy contracts before each test
@@ -28,7 +53,7 @@ describe("DistributeTokens Contract", function () {
     
     // Deploy the DistributeTokens contract
     const DistributeTokens = await ethers.getContractFactory("DistributeTokens");
-    distributeTokens = await DistributeTokens.deploy();
+    distributeTokens = await DistributeTokens.deploy(expectedAllocations, defaultSettings);
   });
 
   // Create a MockERC20 contract for testing purposes
@@ -63,6 +88,60 @@ describe("DistributeTokens Contract", function () {
     });
   });
 
+  describe("Constructor Validation", function () {
+    let DistributeTokens;
+
+    beforeEach(async function () {
+      DistributeTokens = await ethers.getContractFactory("DistributeTokens");
+    });
+
+    it("Should deploy with custom allocations", async function () {
+      const custom = [
+        { wallet: owner.address, percentage: 7500, allocationType: STANDARD, vesting: NO_VESTING },
+        { wallet: otherAccount.address, percentage: 2500, allocationType: STANDARD, vesting: NO_VESTING }
+      ];
+      const splitter = await DistributeTokens.deploy(custom, defaultSettings);
+
+      const allocations = await splitter.getAllocations();
+      expect(allocations.length).to.equal(2);
+      expect(allocations[0].wallet).to.equal(owner.address);
+      expect(allocations[1].percentage).to.equal(2500);
+    });
+
+    it("Should revert with an empty allocation list", async function () {
+      await expect(DistributeTokens.deploy([], defaultSettings))
+        .to.be.revertedWithCustomError(DistributeTokens, "NoAllocations");
+    });
+
+    it("Should revert if percentages don't add up to 100%", async function () {
+      await expect(DistributeTokens.deploy([
+        { wallet: owner.address, percentage: 5000, allocationType: STANDARD, vesting: NO_VESTING },
+        { wallet: otherAccount.address, percentage: 4999, allocationType: STANDARD, vesting: NO_VESTING }
+      ], defaultSettings)).to.be.revertedWithCustomError(DistributeTokens, "InvalidPercentages");
+    });
+
+    it("Should revert if any percentage is zero", async function () {
+      await expect(DistributeTokens.deploy([
+        { wallet: owner.address, percentage: 10000, allocationType: STANDARD, vesting: NO_VESTING },
+        { wallet: otherAccount.address, percentage: 0, allocationType: STANDARD, vesting: NO_VESTING }
+      ], defaultSettings)).to.be.revertedWithCustomError(DistributeTokens, "InvalidPercentages");
+    });
+
+    it("Should revert if a wallet is the zero address", async function () {
+      await expect(DistributeTokens.deploy([
+        { wallet: ethers.ZeroAddress, percentage: 10000, allocationType: STANDARD, vesting: NO_VESTING }
+      ], defaultSettings)).to.be.revertedWithCustomError(DistributeTokens, "ZeroAddress");
+    });
+
+    it("Should revert if a wallet is listed twice", async function () {
+      await expect(DistributeTokens.deploy([
+        { wallet: owner.address, percentage: 5000, allocationType: STANDARD, vesting: NO_VESTING },
+        { wallet: otherAccount.address, percentage: 2500, allocationType: STANDARD, vesting: NO_VESTING },
+        { wallet: owner.address, percentage: 2500, allocationType: STANDARD, vesting: NO_VESTING }
+      ], defaultSettings)).to.be.revertedWithCustomError(DistributeTokens, "DuplicateWallet");
+    });
+  });
+
   describe("Token Distribution", function () {
     const INITIAL_SUPPLY = ethers.parseEther("1000");
     
@@ -153,6 +232,1614 @@ describe("DistributeTokens Contract", function () {
     });
   });
 
+  describe("Rounding Remainder", function () {
+    // Marketing (30%) is the largest allocation and receives the rounding dust
+    const REMAINDER_INDEX = 0;
+
+    it("Should designate the largest allocation for the remainder", async function () {
+      expect(await distributeTokens.remainderAllocationIndex()).to.equal(REMAINDER_INDEX);
+    });
+
+    it("Should pick the first of several equally large allocations", async function () {
+      const [, , walletA, walletB, walletC] = await ethers.getSigners();
+      const DistributeTokens = await ethers.getContractFactory("DistributeTokens");
+      const splitter = await DistributeTokens.deploy([
+        { wallet: walletA.address, percentage: 2000, allocationType: STANDARD, vesting: NO_VESTING },
+        { wallet: walletB.address, percentage: 4000, allocationType: STANDARD, vesting: NO_VESTING },
+        { wallet: walletC.address, percentage: 4000, allocationType: STANDARD, vesting: NO_VESTING }
+      ], defaultSettings);
+      expect(await splitter.remainderAllocationIndex()).to.equal(1);
+    });
+
+    for (const balance of [1n, 7n, 9999n, 10001n]) {
+      it(`Should distribute exactly ${balance} wei with nothing left behind`, async function () {
+        await mockToken.transfer(distributeTokens.target, balance);
+
+        await expect(distributeTokens.distributeTokens(mockToken.target))
+          .to.emit(distributeTokens, "TokensDistributed")
+          .withArgs(mockToken.target, balance);
+
+        let total = 0n;
+        let roundedDown = 0n;
+        for (let i = 0; i < expectedAllocations.length; i++) {
+          total += await mockToken.balanceOf(expectedAllocations[i].wallet);
+          roundedDown += balance * BigInt(expectedAllocations[i].percentage) / 10000n;
+        }
+        expect(total).to.equal(balance);
+        expect(await mockToken.balanceOf(distributeTokens.target)).to.equal(0);
+
+        // The designated allocation gets its own share plus all the dust
+        const wallet = expectedAllocations[REMAINDER_INDEX].wallet;
+        const ownShare = balance * BigInt(expectedAllocations[REMAINDER_INDEX].percentage) / 10000n;
+        expect(await mockToken.balanceOf(wallet)).to.equal(ownShare + balance - roundedDown);
+        expect(await distributeTokens.getDistributedAmount(mockToken.target, wallet))
+          .to.equal(ownShare + balance - roundedDown);
+      });
+    }
+
+    it("Should give a 1 wei balance entirely to the designated allocation", async function () {
+      await mockToken.transfer(distributeTokens.target, 1n);
+
+      await expect(distributeTokens.distributeTokens(mockToken.target))
+        .to.emit(distributeTokens, "AllocationDistributed")
+        .withArgs(mockToken.target, expectedAllocations[REMAINDER_INDEX].wallet, 1n);
+    });
+
+    it("Should split 9999 wei with a 5 wei remainder", async function () {
+      await mockToken.transfer(distributeTokens.target, 9999n);
+      await distributeTokens.distributeTokens(mockToken.target);
+
+      // 2999 + 1999 + 1999 + 999 + 999 + 999 = 9994, leaving 5 wei of dust
+      expect(await mockToken.balanceOf(expectedAllocations[0].wallet)).to.equal(2999n + 5n);
+      expect(await mockToken.balanceOf(expectedAllocations[1].wallet)).to.equal(1999n);
+      expect(await mockToken.balanceOf(expectedAllocations[5].wallet)).to.equal(999n);
+    });
+  });
+
+  describe("Wallet Rotation", function () {
+    const INDEX = 2; // Team & Advisors
+    let currentWallet;
+    let newWallet;
+
+    beforeEach(async function () {
+      const signers = await ethers.getSigners();
+      newWallet = signers[2];
+
+      await ethers.provider.send("hardhat_setBalance", [expectedAllocations[INDEX].wallet, "0xDE0B6B3A7640000"]);
+      currentWallet = await ethers.getImpersonatedSigner(expectedAllocations[INDEX].wallet);
+    });
+
+    it("Should move a slot to a new wallet in two steps", async function () {
+      await expect(distributeTokens.connect(currentWallet).proposeWalletChange(INDEX, newWallet.address))
+        .to.emit(distributeTokens, "WalletChangeProposed")
+        .withArgs(INDEX, currentWallet.address, newWallet.address);
+
+      // Nothing changes until the new wallet accepts
+      expect(await distributeTokens.pendingWallets(INDEX)).to.equal(newWallet.address);
+      expect((await distributeTokens.allocations(INDEX)).wallet).to.equal(currentWallet.address);
+
+      await expect(distributeTokens.connect(newWallet).acceptWalletChange(INDEX))
+        .to.emit(distributeTokens, "WalletChanged")
+        .withArgs(INDEX, currentWallet.address, newWallet.address);
+
+      const allocation = await distributeTokens.allocations(INDEX);
+      expect(allocation.wallet).to.equal(newWallet.address);
+      expect(allocation.percentage).to.equal(expectedAllocations[INDEX].percentage);
+      expect(await distributeTokens.pendingWallets(INDEX)).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should keep distribution history for both the old and new wallet", async function () {
+      const AMOUNT = ethers.parseEther("100");
+      const share = AMOUNT * BigInt(expectedAllocations[INDEX].percentage) / 10000n;
+
+      await mockToken.transfer(distributeTokens.target, AMOUNT);
+      await distributeTokens.distributeTokens(mockToken.target);
+
+      await distributeTokens.connect(currentWallet).proposeWalletChange(INDEX, newWallet.address);
+      await distributeTokens.connect(newWallet).acceptWalletChange(INDEX);
+
+      await mockToken.transfer(distributeTokens.target, AMOUNT);
+      await distributeTokens.distributeTokens(mockToken.target);
+
+      expect(await distributeTokens.getDistributedAmount(mockToken.target, currentWallet.address)).to.equal(share);
+      expect(await distributeTokens.getDistributedAmount(mockToken.target, newWallet.address)).to.equal(share);
+      expect(await mockToken.balanceOf(newWallet.address)).to.equal(share);
+    });
+
+    it("Should only let the current wallet propose a move", async function () {
+      await expect(distributeTokens.connect(otherAccount).proposeWalletChange(INDEX, otherAccount.address))
+        .to.be.revertedWithCustomError(distributeTokens, "NotAllocationWallet");
+    });
+
+    it("Should only let the proposed wallet accept a move", async function () {
+      await distributeTokens.connect(currentWallet).proposeWalletChange(INDEX, newWallet.address);
+
+      await expect(distributeTokens.connect(otherAccount).acceptWalletChange(INDEX))
+        .to.be.revertedWithCustomError(distributeTokens, "NotPendingWallet");
+    });
+
+    it("Should reject accepting when nothing was proposed", async function () {
+      await expect(distributeTokens.connect(newWallet).acceptWalletChange(INDEX))
+        .to.be.revertedWithCustomError(distributeTokens, "NotPendingWallet");
+    });
+
+    it("Should reject invalid proposals", async function () {
+      await expect(distributeTokens.connect(currentWallet).proposeWalletChange(99, newWallet.address))
+        .to.be.revertedWithCustomError(distributeTokens, "InvalidAllocationIndex");
+      await expect(distributeTokens.connect(currentWallet).proposeWalletChange(INDEX, ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(distributeTokens, "ZeroAddress");
+      await expect(distributeTokens.connect(currentWallet).proposeWalletChange(INDEX, expectedAllocations[0].wallet))
+        .to.be.revertedWithCustomError(distributeTokens, "DuplicateWallet");
+    });
+  });
+
+  describe("Burn Allocations", function () {
+    const AMOUNT = ethers.parseEther("1000");
+    const BURN_INDEX = 5;
+    const DEAD = expectedAllocations[BURN_INDEX].wallet;
+    let burnableToken;
+
+    beforeEach(async function () {
+      const BurnableToken = await ethers.getContractFactory("MockBurnableERC20");
+      burnableToken = await BurnableToken.deploy("Burnable Token", "BURN", AMOUNT);
+      await burnableToken.transfer(distributeTokens.target, AMOUNT);
+    });
+
+    it("Should report the allocation type of each slot", async function () {
+      const allocations = await distributeTokens.getAllocations();
+      for (let i = 0; i < allocations.length; i++) {
+        expect(allocations[i].allocationType).to.equal(expectedAllocations[i].allocationType);
+      }
+    });
+
+    it("Should really burn tokens that support burn()", async function () {
+      const burnShare = AMOUNT * 1000n / 10000n;
+
+      await expect(distributeTokens.distributeTokens(burnableToken.target))
+        .to.emit(distributeTokens, "TokensBurned")
+        .withArgs(burnableToken.target, burnShare);
+
+      expect(await burnableToken.totalSupply()).to.equal(AMOUNT - burnShare);
+      expect(await burnableToken.balanceOf(DEAD)).to.equal(0);
+      expect(await distributeTokens.getBurnedAmount(burnableToken.target)).to.equal(burnShare);
+
+      // The burn slot's history is still recorded
+      expect(await distributeTokens.getDistributedAmount(burnableToken.target, DEAD)).to.equal(burnShare);
+    });
+
+    it("Should fall back to the dead address for tokens without burn()", async function () {
+      await mockToken.transfer(distributeTokens.target, AMOUNT);
+      const supplyBefore = await mockToken.totalSupply();
+
+      await expect(distributeTokens.distributeTokens(mockToken.target))
+        .to.not.emit(distributeTokens, "TokensBurned");
+
+      expect(await mockToken.totalSupply()).to.equal(supplyBefore);
+      expect(await mockToken.balanceOf(DEAD)).to.equal(AMOUNT * 1000n / 10000n);
+      expect(await distributeTokens.getBurnedAmount(mockToken.target)).to.equal(0);
+    });
+
+    it("Should send native currency burn shares to the dead address", async function () {
+      const nativeAmount = ethers.parseEther("1");
+      await owner.sendTransaction({ to: distributeTokens.target, value: nativeAmount });
+      const balanceBefore = await ethers.provider.getBalance(DEAD);
+
+      await distributeTokens.distributeNative();
+
+      expect(await ethers.provider.getBalance(DEAD) - balanceBefore).to.equal(nativeAmount * 1000n / 10000n);
+    });
+
+    it("Should burn immediately in claim mode", async function () {
+      await distributeTokens.accrueTokens(burnableToken.target);
+
+      expect(await distributeTokens.getBurnedAmount(burnableToken.target)).to.equal(AMOUNT * 1000n / 10000n);
+      expect(await distributeTokens.getClaimableAmount(burnableToken.target, DEAD)).to.equal(0);
+    });
+  });
+
+  describe("Swap And Distribute", function () {
+    const AMOUNT_IN = ethers.parseEther("100");
+    const RATE = ethers.parseEther("2"); // 1 token in = 2 target tokens out
+    let router;
+    let targetToken;
+    let splitter;
+    let walletA;
+    let walletB;
+
+    beforeEach(async function () {
+      [, , walletA, walletB] = await ethers.getSigners();
+
+      const MockToken = await ethers.getContractFactory("MockERC20");
+      targetToken = await MockToken.deploy("Target Token", "TGT", 0);
+
+      const Router = await ethers.getContractFactory("MockUniswapV2Router");
+      router = await Router.deploy();
+      await router.setRate(mockToken.target, targetToken.target, RATE);
+      await targetToken.mint(router.target, ethers.parseEther("1000000"));
+
+      const DistributeTokens = await ethers.getContractFactory("DistributeTokens");
+      splitter = await DistributeTokens.deploy([
+        { wallet: walletA.address, percentage: 6000, allocationType: STANDARD, vesting: NO_VESTING },
+        { wallet: walletB.address, percentage: 4000, allocationType: STANDARD, vesting: NO_VESTING }
+      ], { ...defaultSettings, swapRouter: router.target, targetToken: targetToken.target });
+
+      await mockToken.transfer(splitter.target, AMOUNT_IN);
+    });
+
+    async function deadline() {
+      return (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    }
+
+    it("Should swap into the target token and split it", async function () {
+      const amountOut = AMOUNT_IN * 2n;
+
+      await expect(splitter.connect(walletA).swapAndDistribute(mockToken.target, amountOut, await deadline()))
+        .to.emit(splitter, "TokensSwapped")
+        .withArgs(mockToken.target, targetToken.target, AMOUNT_IN, amountOut)
+        .and.to.emit(splitter, "TokensDistributed")
+        .withArgs(targetToken.target, amountOut);
+
+      expect(await targetToken.balanceOf(walletA.address)).to.equal(amountOut * 6000n / 10000n);
+      expect(await targetToken.balanceOf(walletB.address)).to.equal(amountOut * 4000n / 10000n);
+      expect(await mockToken.balanceOf(splitter.target)).to.equal(0);
+      expect(await splitter.getDistributedAmount(targetToken.target, walletA.address))
+        .to.equal(amountOut * 6000n / 10000n);
+    });
+
+    it("Should sell tokens that take a tax on every transfer", async function () {
+      const TaxedToken = await ethers.getContractFactory("MockTaxedERC20");
+      const taxedToken = await TaxedToken.deploy("Taxed Token", "TAX", AMOUNT_IN, 1000); // 10% tax
+      await router.setRate(taxedToken.target, targetToken.target, RATE);
+      await taxedToken.transfer(splitter.target, AMOUNT_IN);
+
+      // The tax is taken once on the way into the splitter and again on the way to the exchange
+      const amountIn = AMOUNT_IN * 9000n / 10000n;
+      const amountOut = (amountIn * 9000n / 10000n) * 2n;
+
+      await expect(splitter.connect(walletA).swapAndDistribute(taxedToken.target, amountOut, await deadline()))
+        .to.emit(splitter, "TokensSwapped")
+        .withArgs(taxedToken.target, targetToken.target, amountIn, amountOut);
+
+      expect(await taxedToken.balanceOf(splitter.target)).to.equal(0);
+      expect(await targetToken.balanceOf(walletA.address)).to.equal(amountOut * 6000n / 10000n);
+    });
+
+    it("Should revert when the output is below the caller's minimum", async function () {
+      await expect(
+        splitter.connect(walletA).swapAndDistribute(mockToken.target, AMOUNT_IN * 2n + 1n, await deadline())
+      ).to.be.revertedWith("UniswapV2Router: INSUFFICIENT_OUTPUT_AMOUNT");
+
+      // Nothing moved
+      expect(await mockToken.balanceOf(splitter.target)).to.equal(AMOUNT_IN);
+    });
+
+    it("Should only let allocation wallets swap", async function () {
+      await expect(splitter.connect(otherAccount).swapAndDistribute(mockToken.target, 0, await deadline()))
+        .to.be.revertedWithCustomError(splitter, "NotAllocationWallet");
+    });
+
+    it("Should refuse to swap the target token or native currency", async function () {
+      await expect(splitter.connect(walletA).swapAndDistribute(targetToken.target, 0, await deadline()))
+        .to.be.revertedWithCustomError(splitter, "InvalidSwapToken");
+      await expect(splitter.connect(walletA).swapAndDistribute(await splitter.NATIVE_TOKEN(), 0, await deadline()))
+        .to.be.revertedWithCustomError(splitter, "InvalidSwapToken");
+    });
+
+    it("Should revert when swapping is not enabled", async function () {
+      await expect(distributeTokens.swapAndDistribute(mockToken.target, 0, await deadline()))
+        .to.be.revertedWithCustomError(distributeTokens, "SwapNotEnabled");
+    });
+
+    it("Should reject a router without a target token", async function () {
+      const DistributeTokens = await ethers.getContractFactory("DistributeTokens");
+      await expect(DistributeTokens.deploy(expectedAllocations, {
+        ...defaultSettings,
+        swapRouter: router.target
+      })).to.be.revertedWithCustomError(DistributeTokens, "ZeroAddress");
+    });
+  });
+
+  describe("Vesting", function () {
+    const AMOUNT = ethers.parseEther("1000");
+    const CLIFF = 100;
+    const DURATION = 1000;
+    let splitter;
+    let vestingWallet;
+    let liquidWallet;
+
+    beforeEach(async function () {
+      [, , vestingWallet, liquidWallet] = await ethers.getSigners();
+
+      const DistributeTokens = await ethers.getContractFactory("DistributeTokens");
+      splitter = await DistributeTokens.deploy([
+        { wallet: vestingWallet.address, percentage: 5000, allocationType: STANDARD, vesting: { cliff: CLIFF, duration: DURATION } },
+        { wallet: liquidWallet.address, percentage: 5000, allocationType: STANDARD, vesting: NO_VESTING }
+      ], defaultSettings);
+
+      await mockToken.transfer(splitter.target, AMOUNT);
+    });
+
+    it("Should lock vesting shares and pay other shares immediately", async function () {
+      await expect(splitter.distributeTokens(mockToken.target))
+        .to.emit(splitter, "AllocationVested")
+        .withArgs(mockToken.target, vestingWallet.address, AMOUNT / 2n);
+
+      expect(await mockToken.balanceOf(liquidWallet.address)).to.equal(AMOUNT / 2n);
+      expect(await mockToken.balanceOf(vestingWallet.address)).to.equal(0);
+      expect(await splitter.getLockedAmount(mockToken.target, 0)).to.equal(AMOUNT / 2n);
+      expect(await splitter.totalVesting(mockToken.target)).to.equal(AMOUNT / 2n);
+
+      // The locked share only counts as distributed once it is released
+      expect(await splitter.getDistributedAmount(mockToken.target, vestingWallet.address)).to.equal(0);
+    });
+
+    it("Should release nothing before the cliff", async function () {
+      await splitter.distributeTokens(mockToken.target);
+
+      expect(await splitter.getVestedAmount(mockToken.target, 0)).to.equal(0);
+      await expect(splitter.release(mockToken.target))
+        .to.be.revertedWithCustomError(splitter, "NothingToRelease");
+    });
+
+    it("Should release linearly after the cliff", async function () {
+      await splitter.distributeTokens(mockToken.target);
+      const start = await time.latest();
+      const share = AMOUNT / 2n;
+
+      await time.setNextBlockTimestamp(start + DURATION / 2);
+      await expect(splitter.connect(otherAccount).release(mockToken.target))
+        .to.emit(splitter, "TokensReleased")
+        .withArgs(mockToken.target, vestingWallet.address, share / 2n);
+
+      expect(await mockToken.balanceOf(vestingWallet.address)).to.equal(share / 2n);
+      expect(await splitter.getDistributedAmount(mockToken.target, vestingWallet.address)).to.equal(share / 2n);
+      expect(await splitter.getReleasedAmount(mockToken.target, 0)).to.equal(share / 2n);
+      expect(await splitter.getLockedAmount(mockToken.target, 0)).to.equal(share / 2n);
+
+      await time.increaseTo(start + DURATION);
+      await splitter.release(mockToken.target);
+
+      expect(await mockToken.balanceOf(vestingWallet.address)).to.equal(share);
+      expect(await splitter.getLockedAmount(mockToken.target, 0)).to.equal(0);
+      expect(await splitter.totalVesting(mockToken.target)).to.equal(0);
+    });
+
+    it("Should lock every later deposit from its own arrival", async function () {
+      const share = AMOUNT / 2n;
+      await splitter.distributeTokens(mockToken.target);
+      const firstArrival = await time.latest();
+
+      // Long after the first share has unlocked, a second share arrives locked
+      await time.increaseTo(firstArrival + DURATION * 3);
+      await mockToken.transfer(splitter.target, AMOUNT);
+      await splitter.distributeTokens(mockToken.target);
+      const secondArrival = await time.latest();
+
+      expect(await splitter.getVestedAmount(mockToken.target, 0)).to.equal(share);
+      expect(await splitter.getLockedAmount(mockToken.target, 0)).to.equal(share);
+
+      // Each share unlocks on its own schedule
+      await time.increaseTo(secondArrival + DURATION / 2);
+      expect(await splitter.getVestedAmount(mockToken.target, 0)).to.equal(share + share / 2n);
+
+      await time.increaseTo(secondArrival + DURATION);
+      expect(await splitter.getLockedAmount(mockToken.target, 0)).to.equal(0);
+    });
+
+    it("Should keep overlapping deposits on their own schedules", async function () {
+      const share = AMOUNT / 2n;
+      await splitter.distributeTokens(mockToken.target);
+      const firstArrival = await time.latest();
+
+      await mockToken.transfer(splitter.target, AMOUNT);
+      await time.setNextBlockTimestamp(firstArrival + DURATION / 2);
+      await splitter.distributeTokens(mockToken.target);
+
+      // The first share is half unlocked, the second one is still before its cliff
+      expect(await splitter.getVestedAmount(mockToken.target, 0)).to.equal(share / 2n);
+
+      // At the end of the first schedule the second share is halfway through its own
+      await time.increaseTo(firstArrival + DURATION);
+      expect(await splitter.getVestedAmount(mockToken.target, 0)).to.equal(share + share / 2n);
+
+      await time.increaseTo(firstArrival + DURATION + DURATION / 2);
+      await splitter.release(mockToken.target);
+      expect(await mockToken.balanceOf(vestingWallet.address)).to.equal(share * 2n);
+      expect(await splitter.totalVesting(mockToken.target)).to.equal(0);
+    });
+
+    it("Should record taxed releases under the wallet that received them", async function () {
+      const TAX_BPS = 1000n;
+      const TaxedToken = await ethers.getContractFactory("MockTaxedERC20");
+      const taxedToken = await TaxedToken.deploy("Taxed Token", "TAX", 0, TAX_BPS);
+      await taxedToken.mint(splitter.target, AMOUNT);
+      await splitter.distributeTokens(taxedToken.target);
+      const start = await time.latest();
+
+      // The slot moves to a new wallet while its share is still locked
+      const [, , , , newWallet] = await ethers.getSigners();
+      await splitter.connect(vestingWallet).proposeWalletChange(0, newWallet.address);
+      await splitter.connect(newWallet).acceptWalletChange(0);
+
+      await time.setNextBlockTimestamp(start + DURATION);
+      await splitter.release(taxedToken.target);
+
+      const share = AMOUNT / 2n;
+      const received = share - share * TAX_BPS / 10000n;
+      expect(await taxedToken.balanceOf(newWallet.address)).to.equal(received);
+      expect(await splitter.getDistributedAmount(taxedToken.target, newWallet.address)).to.equal(received);
+      expect(await splitter.getDistributedAmount(taxedToken.target, vestingWallet.address)).to.equal(0);
+    });
+
+    it("Should never distribute tokens that are still vesting", async function () {
+      await splitter.distributeTokens(mockToken.target);
+
+      await expect(splitter.distributeTokens(mockToken.target))
+        .to.be.revertedWithCustomError(splitter, "NoTokensToDistribute");
+    });
+
+    it("Should reject invalid vesting schedules", async function () {
+      const DistributeTokens = await ethers.getContractFactory("DistributeTokens");
+
+      await expect(DistributeTokens.deploy([
+        { wallet: vestingWallet.address, percentage: 10000, allocationType: STANDARD, vesting: { cliff: 10, duration: 5 } }
+      ], defaultSettings)).to.be.revertedWithCustomError(DistributeTokens, "InvalidVestingSchedule");
+
+      await expect(DistributeTokens.deploy([
+        { wallet: vestingWallet.address, percentage: 10000, allocationType: BURN, vesting: { cliff: 0, duration: 5 } }
+      ], defaultSettings)).to.be.revertedWithCustomError(DistributeTokens, "InvalidVestingSchedule");
+    });
+  });
+
+  describe("Caller Bounty", function () {
+    const AMOUNT = ethers.parseEther("1000");
+    let DistributeTokens;
+
+    beforeEach(async function () {
+      DistributeTokens = await ethers.getContractFactory("DistributeTokens");
+    });
+
+    it("Should pay the caller and split the remainder", async function () {
+      const splitter = await DistributeTokens.deploy(expectedAllocations, { ...defaultSettings, bountyBps: 100 });
+      await mockToken.transfer(splitter.target, AMOUNT);
+
+      const bounty = AMOUNT / 100n;
+      const remainder = AMOUNT - bounty;
+
+      await expect(splitter.connect(otherAccount).distributeTokens(mockToken.target))
+        .to.emit(splitter, "BountyPaid")
+        .withArgs(mockToken.target, otherAccount.address, bounty)
+        .and.to.emit(splitter, "TokensDistributed")
+        .withArgs(mockToken.target, remainder);
+
+      expect(await mockToken.balanceOf(otherAccount.address)).to.equal(bounty);
+      for (let i = 0; i < expectedAllocations.length; i++) {
+        expect(await mockToken.balanceOf(expectedAllocations[i].wallet))
+          .to.equal(remainder * BigInt(expectedAllocations[i].percentage) / 10000n);
+      }
+      expect(await mockToken.balanceOf(splitter.target)).to.equal(0);
+    });
+
+    it("Should never pay more than the token's cap in one call", async function () {
+      const cap = ethers.parseEther("2");
+      const splitter = await DistributeTokens.deploy(expectedAllocations, {
+        ...defaultSettings,
+        bountyBps: 100,
+        bountyCaps: [{ token: mockToken.target, cap }]
+      });
+      await mockToken.transfer(splitter.target, AMOUNT);
+
+      await expect(splitter.connect(otherAccount).distributeTokens(mockToken.target))
+        .to.emit(splitter, "BountyPaid")
+        .withArgs(mockToken.target, otherAccount.address, cap);
+
+      expect(await mockToken.balanceOf(otherAccount.address)).to.equal(cap);
+      expect(await splitter.bountyCaps(mockToken.target)).to.equal(cap);
+    });
+
+    it("Should apply each token's own cap", async function () {
+      const MockToken = await ethers.getContractFactory("MockERC20");
+      const otherToken = await MockToken.deploy("Other Token", "OTHER", AMOUNT);
+      const splitter = await DistributeTokens.deploy(expectedAllocations, {
+        ...defaultSettings,
+        bountyBps: 100,
+        bountyCaps: [{ token: mockToken.target, cap: 1n }]
+      });
+      await mockToken.transfer(splitter.target, AMOUNT);
+      await otherToken.transfer(splitter.target, AMOUNT);
+
+      // The cap of one token never limits the reward paid in another
+      await expect(splitter.connect(otherAccount).distributeTokensBatch([mockToken.target, otherToken.target]))
+        .to.emit(splitter, "BountyPaid")
+        .withArgs(mockToken.target, otherAccount.address, 1n)
+        .and.to.emit(splitter, "BountyPaid")
+        .withArgs(otherToken.target, otherAccount.address, AMOUNT / 100n);
+    });
+
+    it("Should report the amounts after the bounty in batch summaries", async function () {
+      const splitter = await DistributeTokens.deploy(expectedAllocations, { ...defaultSettings, bountyBps: 500 });
+      await mockToken.transfer(splitter.target, AMOUNT);
+      const remainder = AMOUNT - AMOUNT * 500n / 10000n;
+
+      await expect(splitter.distributeTokensBatch([mockToken.target]))
+        .to.emit(splitter, "BatchDistributed")
+        .withArgs([mockToken.target], [remainder])
+        .and.to.emit(splitter, "TokensDistributed")
+        .withArgs(mockToken.target, remainder);
+    });
+
+    it("Should report the amounts after the bounty in upkeep summaries", async function () {
+      const splitter = await DistributeTokens.deploy(expectedAllocations, {
+        ...defaultSettings,
+        bountyBps: 500,
+        watchedTokens: [mockToken.target]
+      });
+      await mockToken.transfer(splitter.target, AMOUNT);
+
+      await expect(splitter.performUpkeep("0x"))
+        .to.emit(splitter, "UpkeepPerformed")
+        .withArgs([mockToken.target], [AMOUNT - AMOUNT * 500n / 10000n]);
+    });
+
+    it("Should reject a cap for the zero address", async function () {
+      await expect(DistributeTokens.deploy(expectedAllocations, {
+        ...defaultSettings,
+        bountyBps: 100,
+        bountyCaps: [{ token: ethers.ZeroAddress, cap: 1n }]
+      })).to.be.revertedWithCustomError(DistributeTokens, "ZeroAddress");
+    });
+
+    it("Should pay the bounty in native currency for native distributions", async function () {
+      const splitter = await DistributeTokens.deploy(expectedAllocations, { ...defaultSettings, bountyBps: 500 });
+      const nativeAmount = ethers.parseEther("1");
+      await owner.sendTransaction({ to: splitter.target, value: nativeAmount });
+
+      await expect(splitter.connect(otherAccount).distributeNative())
+        .to.changeEtherBalance(otherAccount, nativeAmount * 500n / 10000n);
+    });
+
+    it("Should pay no bounty when none is configured", async function () {
+      await mockToken.transfer(distributeTokens.target, AMOUNT);
+
+      await expect(distributeTokens.connect(otherAccount).distributeTokens(mockToken.target))
+        .to.not.emit(distributeTokens, "BountyPaid");
+    });
+
+    it("Should reject a bounty above the maximum", async function () {
+      const max = await distributeTokens.MAX_BOUNTY_BPS();
+
+      await expect(DistributeTokens.deploy(expectedAllocations, { ...defaultSettings, bountyBps: max + 1n }))
+        .to.be.revertedWithCustomError(DistributeTokens, "InvalidBounty");
+    });
+  });
+
+  describe("Fee-On-Transfer And Rebasing Tokens", function () {
+    const AMOUNT = ethers.parseEther("1000");
+    const TAX_BPS = 1000n; // 10% of every transfer is burned
+
+    describe("Taxed token", function () {
+      let taxedToken;
+
+      beforeEach(async function () {
+        const TaxedToken = await ethers.getContractFactory("MockTaxedERC20");
+        taxedToken = await TaxedToken.deploy("Taxed Token", "TAX", 0, TAX_BPS);
+        await taxedToken.mint(distributeTokens.target, AMOUNT);
+      });
+
+      it("Should record what each recipient actually received", async function () {
+        await distributeTokens.distributeTokens(taxedToken.target);
+
+        for (let i = 0; i < expectedAllocations.length; i++) {
+          const wallet = expectedAllocations[i].wallet;
+          const sent = AMOUNT * BigInt(expectedAllocations[i].percentage) / 10000n;
+          const received = sent - sent * TAX_BPS / 10000n;
+
+          expect(await taxedToken.balanceOf(wallet)).to.equal(received);
+          expect(await distributeTokens.getDistributedAmount(taxedToken.target, wallet)).to.equal(received);
+        }
+      });
+
+      it("Should report received amounts in events", async function () {
+        const sent = AMOUNT * 3000n / 10000n;
+        const totalReceived = AMOUNT - AMOUNT * TAX_BPS / 10000n;
+
+        await expect(distributeTokens.distributeTokens(taxedToken.target))
+          .to.emit(distributeTokens, "AllocationDistributed")
+          .withArgs(taxedToken.target, expectedAllocations[0].wallet, sent - sent * TAX_BPS / 10000n)
+          .and.to.emit(distributeTokens, "TokensDistributed")
+          .withArgs(taxedToken.target, totalReceived);
+      });
+
+      it("Should correct the record when a claim is taxed", async function () {
+        await distributeTokens.accrueTokens(taxedToken.target);
+
+        const wallet = expectedAllocations[1].wallet;
+        const share = AMOUNT * 2000n / 10000n;
+        const received = share - share * TAX_BPS / 10000n;
+        expect(await distributeTokens.getDistributedAmount(taxedToken.target, wallet)).to.equal(share);
+
+        await expect(distributeTokens.claimFor(taxedToken.target, wallet))
+          .to.emit(distributeTokens, "TokensClaimed")
+          .withArgs(taxedToken.target, wallet, received);
+
+        expect(await distributeTokens.getDistributedAmount(taxedToken.target, wallet)).to.equal(received);
+      });
+    });
+
+    describe("Rebasing token", function () {
+      let rebasingToken;
+
+      beforeEach(async function () {
+        const RebasingToken = await ethers.getContractFactory("MockRebasingERC20");
+        rebasingToken = await RebasingToken.deploy("Rebasing Token", "REB");
+        await rebasingToken.mint(distributeTokens.target, AMOUNT);
+      });
+
+      it("Should distribute the balance after a positive rebase", async function () {
+        await rebasingToken.rebase(ethers.parseEther("2"));
+
+        await expect(distributeTokens.distributeTokens(rebasingToken.target))
+          .to.emit(distributeTokens, "TokensDistributed")
+          .withArgs(rebasingToken.target, AMOUNT * 2n);
+
+        for (let i = 0; i < expectedAllocations.length; i++) {
+          const wallet = expectedAllocations[i].wallet;
+          const expectedAmount = AMOUNT * 2n * BigInt(expectedAllocations[i].percentage) / 10000n;
+          expect(await distributeTokens.getDistributedAmount(rebasingToken.target, wallet)).to.equal(expectedAmount);
+        }
+        expect(await rebasingToken.balanceOf(distributeTokens.target)).to.equal(0);
+      });
+
+      it("Should treat a balance shrunk below reserved claims as empty", async function () {
+        await distributeTokens.accrueTokens(rebasingToken.target);
+        await rebasingToken.rebase(ethers.parseEther("0.5"));
+
+        await expect(distributeTokens.distributeTokens(rebasingToken.target))
+          .to.be.revertedWithCustomError(distributeTokens, "NoTokensToDistribute");
+      });
+    });
+  });
+
+  describe("Token Rules", function () {
+    const AMOUNT = ethers.parseEther("1000");
+    const MINIMUM = ethers.parseEther("100");
+    let DistributeTokens;
+    let otherToken;
+
+    // Impersonate the allocation wallet at the given index
+    async function allocationSigner(index) {
+      const wallet = expectedAllocations[index].wallet;
+      await ethers.provider.send("hardhat_setBalance", [wallet, "0xDE0B6B3A7640000"]);
+      return ethers.getImpersonatedSigner(wallet);
+    }
+
+    beforeEach(async function () {
+      DistributeTokens = await ethers.getContractFactory("DistributeTokens");
+      const MockToken = await ethers.getContractFactory("MockERC20");
+      otherToken = await MockToken.deploy("Other Token", "OTHER", ethers.parseEther("1000000"));
+    });
+
+    it("Should only distribute allowlisted tokens when the allowlist is enabled", async function () {
+      const splitter = await DistributeTokens.deploy(expectedAllocations, {
+        ...defaultSettings,
+        allowlistEnabled: true,
+        tokenRules: [{ token: mockToken.target, allowed: true, minBalance: 0 }]
+      });
+      await mockToken.transfer(splitter.target, AMOUNT);
+      await otherToken.transfer(splitter.target, AMOUNT);
+      await owner.sendTransaction({ to: splitter.target, value: AMOUNT });
+
+      await expect(splitter.distributeTokens(otherToken.target))
+        .to.be.revertedWithCustomError(splitter, "TokenNotAllowed")
+        .withArgs(otherToken.target);
+      await expect(splitter.distributeNative())
+        .to.be.revertedWithCustomError(splitter, "TokenNotAllowed")
+        .withArgs(await splitter.NATIVE_TOKEN());
+      await expect(splitter.distributeTokens(mockToken.target))
+        .to.emit(splitter, "TokensDistributed");
+    });
+
+    it("Should refuse balances below the token's minimum", async function () {
+      const splitter = await DistributeTokens.deploy(expectedAllocations, {
+        ...defaultSettings,
+        tokenRules: [{ token: mockToken.target, allowed: false, minBalance: MINIMUM }]
+      });
+      await mockToken.transfer(splitter.target, MINIMUM - 1n);
+
+      await expect(splitter.distributeTokens(mockToken.target))
+        .to.be.revertedWithCustomError(splitter, "BalanceBelowMinimum")
+        .withArgs(mockToken.target, MINIMUM - 1n, MINIMUM);
+
+      // Reaching the minimum makes the balance distributable
+      await mockToken.transfer(splitter.target, 1n);
+      await expect(splitter.distributeTokens(mockToken.target))
+        .to.emit(splitter, "TokensDistributed")
+        .withArgs(mockToken.target, MINIMUM);
+    });
+
+    it("Should skip tokens below their minimum in a batch", async function () {
+      const splitter = await DistributeTokens.deploy(expectedAllocations, {
+        ...defaultSettings,
+        tokenRules: [{ token: mockToken.target, allowed: false, minBalance: MINIMUM }]
+      });
+      await mockToken.transfer(splitter.target, MINIMUM - 1n);
+      await otherToken.transfer(splitter.target, AMOUNT);
+
+      await expect(splitter.distributeTokensBatch([mockToken.target, otherToken.target]))
+        .to.emit(splitter, "BatchDistributed")
+        .withArgs([mockToken.target, otherToken.target], [0, AMOUNT]);
+      expect(await mockToken.balanceOf(splitter.target)).to.equal(MINIMUM - 1n);
+    });
+
+    it("Should change a token's rules once a majority of shares has voted", async function () {
+      await mockToken.transfer(distributeTokens.target, AMOUNT);
+      const marketing = await allocationSigner(0); // 30%
+      const charity = await allocationSigner(1);   // 20%
+      const team = await allocationSigner(2);      // 20%
+
+      // 30% + 20% is exactly half, which is not a majority
+      await distributeTokens.connect(marketing).voteTokenRule(mockToken.target, true, MINIMUM * 20n);
+      await expect(distributeTokens.connect(charity).voteTokenRule(mockToken.target, true, MINIMUM * 20n))
+        .to.emit(distributeTokens, "TokenRuleVoted")
+        .and.to.not.emit(distributeTokens, "TokenRuleUpdated");
+      expect(await distributeTokens.minimumBalances(mockToken.target)).to.equal(0);
+
+      await expect(distributeTokens.connect(team).voteTokenRule(mockToken.target, true, MINIMUM * 20n))
+        .to.emit(distributeTokens, "TokenRuleUpdated")
+        .withArgs(mockToken.target, true, MINIMUM * 20n);
+
+      expect(await distributeTokens.allowedTokens(mockToken.target)).to.equal(true);
+      expect(await distributeTokens.minimumBalances(mockToken.target)).to.equal(MINIMUM * 20n);
+      await expect(distributeTokens.distributeTokens(mockToken.target))
+        .to.be.revertedWithCustomError(distributeTokens, "BalanceBelowMinimum");
+    });
+
+    it("Should not count votes from before the last change", async function () {
+      const marketing = await allocationSigner(0); // 30%
+      const charity = await allocationSigner(1);   // 20%
+      const team = await allocationSigner(2);      // 20%
+
+      await distributeTokens.connect(marketing).voteTokenRule(mockToken.target, true, MINIMUM);
+      await distributeTokens.connect(charity).voteTokenRule(mockToken.target, true, MINIMUM);
+      await distributeTokens.connect(team).voteTokenRule(mockToken.target, true, MINIMUM);
+
+      // Going back to no minimum needs a fresh majority, then the same rules again need another one
+      await distributeTokens.connect(marketing).voteTokenRule(mockToken.target, true, 0);
+      await distributeTokens.connect(charity).voteTokenRule(mockToken.target, true, 0);
+      await distributeTokens.connect(team).voteTokenRule(mockToken.target, true, 0);
+      await expect(distributeTokens.connect(marketing).voteTokenRule(mockToken.target, true, MINIMUM))
+        .to.not.emit(distributeTokens, "TokenRuleUpdated");
+
+      expect(await distributeTokens.minimumBalances(mockToken.target)).to.equal(0);
+    });
+
+    it("Should only let allocation wallets vote", async function () {
+      await expect(distributeTokens.connect(otherAccount).voteTokenRule(mockToken.target, true, 0))
+        .to.be.revertedWithCustomError(distributeTokens, "NotAllocationWallet");
+    });
+
+    it("Should reject rules for the zero address", async function () {
+      await expect(DistributeTokens.deploy(expectedAllocations, {
+        ...defaultSettings,
+        tokenRules: [{ token: ethers.ZeroAddress, allowed: true, minBalance: 0 }]
+      })).to.be.revertedWithCustomError(DistributeTokens, "ZeroAddress");
+    });
+  });
+
+  describe("Automation", function () {
+    const AMOUNT = ethers.parseEther("1000");
+    const INTERVAL = 3600; // One hour between automated runs
+    let splitter;
+    let otherToken;
+
+    // Decodes the list of ready tokens returned by checkUpkeep
+    function readyTokens(performData) {
+      return ethers.AbiCoder.defaultAbiCoder().decode(["address[]"], performData)[0];
+    }
+
+    beforeEach(async function () {
+      const MockToken = await ethers.getContractFactory("MockERC20");
+      otherToken = await MockToken.deploy("Other Token", "OTHER", ethers.parseEther("1000000"));
+
+      const DistributeTokens = await ethers.getContractFactory("DistributeTokens");
+      splitter = await DistributeTokens.deploy(expectedAllocations, {
+        ...defaultSettings,
+        tokenRules: [{ token: otherToken.target, allowed: false, minBalance: AMOUNT }],
+        watchedTokens: [mockToken.target, otherToken.target],
+        upkeepInterval: INTERVAL
+      });
+    });
+
+    it("Should report no upkeep while nothing is ready", async function () {
+      const [upkeepNeeded, performData] = await splitter.checkUpkeep("0x");
+
+      expect(upkeepNeeded).to.equal(false);
+      expect(readyTokens(performData)).to.deep.equal([]);
+      await expect(splitter.performUpkeep(performData))
+        .to.be.revertedWithCustomError(splitter, "UpkeepNotNeeded");
+    });
+
+    it("Should only report watched tokens at or above their minimum", async function () {
+      await mockToken.transfer(splitter.target, AMOUNT);
+      await otherToken.transfer(splitter.target, AMOUNT - 1n);
+
+      let [upkeepNeeded, performData] = await splitter.checkUpkeep("0x");
+      expect(upkeepNeeded).to.equal(true);
+      expect(readyTokens(performData)).to.deep.equal([mockToken.target]);
+
+      await otherToken.transfer(splitter.target, 1n);
+      [upkeepNeeded, performData] = await splitter.checkUpkeep("0x");
+      expect(readyTokens(performData)).to.deep.equal([mockToken.target, otherToken.target]);
+    });
+
+    it("Should distribute every ready token in one run", async function () {
+      await mockToken.transfer(splitter.target, AMOUNT);
+      await otherToken.transfer(splitter.target, AMOUNT);
+      const [, performData] = await splitter.checkUpkeep("0x");
+
+      await expect(splitter.connect(otherAccount).performUpkeep(performData))
+        .to.emit(splitter, "UpkeepPerformed")
+        .withArgs([mockToken.target, otherToken.target], [AMOUNT, AMOUNT]);
+
+      for (let i = 0; i < expectedAllocations.length; i++) {
+        const expectedAmount = AMOUNT * BigInt(expectedAllocations[i].percentage) / 10000n;
+        expect(await splitter.getDistributedAmount(otherToken.target, expectedAllocations[i].wallet))
+          .to.equal(expectedAmount);
+      }
+      expect(await splitter.lastUpkeep()).to.equal(await time.latest());
+    });
+
+    it("Should enforce the minimum interval between runs", async function () {
+      await mockToken.transfer(splitter.target, AMOUNT);
+      await splitter.performUpkeep("0x");
+
+      await mockToken.transfer(splitter.target, AMOUNT);
+      const [upkeepNeeded] = await splitter.checkUpkeep("0x");
+      expect(upkeepNeeded).to.equal(false);
+      await expect(splitter.performUpkeep("0x"))
+        .to.be.revertedWithCustomError(splitter, "UpkeepNotNeeded");
+
+      await time.increase(INTERVAL);
+      expect((await splitter.checkUpkeep("0x"))[0]).to.equal(true);
+      await expect(splitter.performUpkeep("0x")).to.emit(splitter, "UpkeepPerformed");
+    });
+
+    it("Should ignore tokens passed in performData", async function () {
+      await mockToken.transfer(splitter.target, AMOUNT);
+      const forged = ethers.AbiCoder.defaultAbiCoder().encode(["address[]"], [[otherToken.target]]);
+
+      await expect(splitter.performUpkeep(forged))
+        .to.emit(splitter, "UpkeepPerformed")
+        .withArgs([mockToken.target], [AMOUNT]);
+    });
+
+    it("Should skip a failing token and still distribute the others", async function () {
+      const MockFreezable = await ethers.getContractFactory("MockFreezableERC20");
+      const frozenToken = await MockFreezable.deploy("Frozen Token", "FROZEN", AMOUNT);
+      const DistributeTokens = await ethers.getContractFactory("DistributeTokens");
+      splitter = await DistributeTokens.deploy(expectedAllocations, {
+        ...defaultSettings,
+        watchedTokens: [frozenToken.target, mockToken.target],
+        upkeepInterval: INTERVAL
+      });
+      await frozenToken.transfer(splitter.target, AMOUNT);
+      await mockToken.transfer(splitter.target, AMOUNT);
+      await frozenToken.setFrozen(true);
+
+      await expect(splitter.performUpkeep("0x"))
+        .to.emit(splitter, "UpkeepTokenFailed")
+        .withArgs(frozenToken.target, anyValue)
+        .and.to.emit(splitter, "UpkeepPerformed")
+        .withArgs([frozenToken.target, mockToken.target], [0, AMOUNT]);
+
+      expect(await frozenToken.balanceOf(splitter.target)).to.equal(AMOUNT);
+      expect(await mockToken.balanceOf(splitter.target)).to.equal(0);
+      // The run still counts, so keepers are not asked to retry straight away
+      expect((await splitter.checkUpkeep("0x"))[0]).to.equal(false);
+    });
+
+    it("Should pay the caller reward to whoever called performUpkeep", async function () {
+      const DistributeTokens = await ethers.getContractFactory("DistributeTokens");
+      splitter = await DistributeTokens.deploy(expectedAllocations, {
+        ...defaultSettings,
+        bountyBps: 100,
+        watchedTokens: [mockToken.target],
+        upkeepInterval: INTERVAL
+      });
+      await mockToken.transfer(splitter.target, AMOUNT);
+
+      await expect(splitter.connect(otherAccount).performUpkeep("0x"))
+        .to.emit(splitter, "BountyPaid")
+        .withArgs(mockToken.target, otherAccount.address, AMOUNT / 100n);
+      const roundId = (await splitter.getRoundCount()) - 1n;
+      expect((await splitter.getRound(roundId)).caller).to.equal(otherAccount.address);
+    });
+
+    it("Should only let the splitter call distributeForUpkeep", async function () {
+      await mockToken.transfer(splitter.target, AMOUNT);
+
+      await expect(splitter.distributeForUpkeep(mockToken.target, owner.address))
+        .to.be.revertedWithCustomError(splitter, "NotSelf");
+    });
+
+    it("Should return the watched tokens", async function () {
+      expect(await splitter.getWatchedTokens()).to.deep.equal([mockToken.target, otherToken.target]);
+      expect(await splitter.upkeepInterval()).to.equal(INTERVAL);
+    });
+  });
+
+  describe("Nested Splitters", function () {
+    const AMOUNT = ethers.parseEther("1000");
+    const CHILD_INDEX = 4; // The Developer slot is replaced by a child splitter
+    let DistributeTokens;
+    let childWallets;
+
+    // Deploys a splitter that sends 100% to `wallet` as a child splitter
+    async function deployParentOf(wallet, settings = defaultSettings) {
+      return DistributeTokens.deploy(
+        [{ wallet, percentage: 10000, allocationType: SPLITTER, vesting: NO_VESTING }],
+        settings
+      );
+    }
+
+    // Deploys a splitter that pays the given wallets 50/50
+    async function deployLeaf(settings = defaultSettings) {
+      return DistributeTokens.deploy([
+        { wallet: childWallets[0].address, percentage: 5000, allocationType: STANDARD, vesting: NO_VESTING },
+        { wallet: childWallets[1].address, percentage: 5000, allocationType: STANDARD, vesting: NO_VESTING }
+      ], settings);
+    }
+
+    beforeEach(async function () {
+      DistributeTokens = await ethers.getContractFactory("DistributeTokens");
+      const signers = await ethers.getSigners();
+      childWallets = [signers[2], signers[3]];
+    });
+
+    it("Should split a child's share again in the same transaction", async function () {
+      const child = await deployLeaf();
+      const parentAllocations = expectedAllocations.map((allocation, i) =>
+        i === CHILD_INDEX ? { ...allocation, wallet: child.target, allocationType: SPLITTER } : allocation
+      );
+      const parent = await DistributeTokens.deploy(parentAllocations, defaultSettings);
+      await mockToken.transfer(parent.target, AMOUNT);
+
+      const childShare = AMOUNT * 1000n / 10000n;
+      await expect(parent.distributeTokens(mockToken.target))
+        .to.emit(parent, "ChildSplitterDistributed")
+        .withArgs(mockToken.target, child.target, childShare)
+        .and.to.emit(child, "TokensDistributed")
+        .withArgs(mockToken.target, childShare);
+
+      expect(await parent.getDistributedAmount(mockToken.target, child.target)).to.equal(childShare);
+      for (const wallet of childWallets) {
+        expect(await mockToken.balanceOf(wallet.address)).to.equal(childShare / 2n);
+        expect(await child.getDistributedAmount(mockToken.target, wallet.address)).to.equal(childShare / 2n);
+      }
+      expect(await mockToken.balanceOf(child.target)).to.equal(0);
+    });
+
+    it("Should cascade native currency", async function () {
+      const child = await deployLeaf();
+      const parent = await deployParentOf(child.target);
+      await owner.sendTransaction({ to: parent.target, value: AMOUNT });
+
+      await expect(parent.distributeNative())
+        .to.changeEtherBalances(childWallets, [AMOUNT / 2n, AMOUNT / 2n]);
+    });
+
+    it("Should stop cascading below the maximum depth", async function () {
+      // Build a chain of splitters, each one the only allocation of the next
+      const maxDepth = await distributeTokens.MAX_NESTING_DEPTH();
+      const chain = [await deployLeaf()];
+      for (let i = 0n; i < maxDepth + 1n; i++) {
+        chain.unshift(await deployParentOf(chain[0].target));
+      }
+      const tooDeep = chain[chain.length - 1];
+      const lastReached = chain[chain.length - 2];
+      await mockToken.transfer(chain[0].target, AMOUNT);
+
+      await expect(chain[0].distributeTokens(mockToken.target))
+        .to.emit(lastReached, "ChildSplitterFailed")
+        .withArgs(mockToken.target, tooDeep.target, DistributeTokens.interface.encodeErrorResult("NestingTooDeep"));
+
+      // The tokens wait in the deepest splitter until it is distributed directly
+      expect(await mockToken.balanceOf(tooDeep.target)).to.equal(AMOUNT);
+      await tooDeep.distributeTokens(mockToken.target);
+      expect(await mockToken.balanceOf(childWallets[0].address)).to.equal(AMOUNT / 2n);
+    });
+
+    it("Should keep distributing when a child fails", async function () {
+      const child = await deployLeaf({
+        ...defaultSettings,
+        tokenRules: [{ token: mockToken.target, allowed: false, minBalance: AMOUNT * 2n }]
+      });
+      const parent = await deployParentOf(child.target);
+      await mockToken.transfer(parent.target, AMOUNT);
+
+      await expect(parent.distributeTokens(mockToken.target))
+        .to.emit(parent, "ChildSplitterFailed")
+        .and.to.emit(parent, "TokensDistributed")
+        .withArgs(mockToken.target, AMOUNT);
+
+      expect(await mockToken.balanceOf(child.target)).to.equal(AMOUNT);
+    });
+
+    it("Should only pay a caller bounty on the splitter that was called", async function () {
+      const child = await deployLeaf({ ...defaultSettings, bountyBps: 500 });
+      const parent = await deployParentOf(child.target, { ...defaultSettings, bountyBps: 100 });
+      await mockToken.transfer(parent.target, AMOUNT);
+
+      await expect(parent.connect(otherAccount).distributeTokens(mockToken.target))
+        .to.not.emit(child, "BountyPaid");
+
+      const bounty = AMOUNT * 100n / 10000n;
+      expect(await mockToken.balanceOf(otherAccount.address)).to.equal(bounty);
+      expect(await mockToken.balanceOf(childWallets[0].address)).to.equal((AMOUNT - bounty) / 2n);
+    });
+
+    it("Should reject a child splitter that is not a deployed contract", async function () {
+      await expect(deployParentOf(otherAccount.address))
+        .to.be.revertedWithCustomError(DistributeTokens, "InvalidChildSplitter");
+    });
+
+    it("Should only move a child splitter slot to another contract", async function () {
+      const leaf = await deployLeaf();
+      const parent = await deployParentOf(leaf.target);
+      const otherLeaf = await deployLeaf();
+
+      // The child splitter cannot sign, so act on its behalf
+      await ethers.provider.send("hardhat_setBalance", [leaf.target, "0xDE0B6B3A7640000"]);
+      const child = await ethers.getImpersonatedSigner(leaf.target);
+
+      // A plain wallet cannot take over the slot, the parent would fail to call it
+      await parent.connect(child).proposeWalletChange(0, otherAccount.address);
+      await expect(parent.connect(otherAccount).acceptWalletChange(0))
+        .to.be.revertedWithCustomError(parent, "InvalidChildSplitter");
+
+      // Another splitter can
+      await parent.connect(child).proposeWalletChange(0, otherLeaf.target);
+      await ethers.provider.send("hardhat_setBalance", [otherLeaf.target, "0xDE0B6B3A7640000"]);
+      await parent.connect(await ethers.getImpersonatedSigner(otherLeaf.target)).acceptWalletChange(0);
+      expect((await parent.allocations(0)).wallet).to.equal(otherLeaf.target);
+    });
+
+    it("Should reject a vesting schedule on a child splitter", async function () {
+      const child = await deployLeaf();
+
+      await expect(DistributeTokens.deploy(
+        [{ wallet: child.target, percentage: 10000, allocationType: SPLITTER, vesting: { cliff: 0, duration: 100 } }],
+        defaultSettings
+      )).to.be.revertedWithCustomError(DistributeTokens, "InvalidVestingSchedule");
+    });
+  });
+
+  describe("Per-Token Allocations", function () {
+    const AMOUNT = ethers.parseEther("1000");
+    let DistributeTokens;
+    let splitter;
+    let stablecoin;
+
+    // Stablecoins skip the burn: the burn's 10% goes to the Marketing wallet instead
+    const stablecoinAllocations = [
+      { ...expectedAllocations[0], percentage: 4000 },
+      expectedAllocations[1],
+      expectedAllocations[2],
+      expectedAllocations[3],
+      expectedAllocations[4]
+    ];
+
+    beforeEach(async function () {
+      const MockToken = await ethers.getContractFactory("MockERC20");
+      stablecoin = await MockToken.deploy("Stablecoin", "USD", ethers.parseEther("1000000"));
+
+      DistributeTokens = await ethers.getContractFactory("DistributeTokens");
+      splitter = await DistributeTokens.deploy(expectedAllocations, {
+        ...defaultSettings,
+        tokenAllocations: [{ token: stablecoin.target, allocations: stablecoinAllocations }]
+      });
+    });
+
+    it("Should return each token's own list and fall back to the default list", async function () {
+      const ownList = await splitter["getAllocations(address)"](stablecoin.target);
+      expect(ownList.length).to.equal(stablecoinAllocations.length);
+      expect(ownList[0].percentage).to.equal(4000);
+
+      const fallback = await splitter["getAllocations(address)"](mockToken.target);
+      expect(fallback.length).to.equal(expectedAllocations.length);
+      expect(fallback[5].wallet).to.equal(expectedAllocations[5].wallet);
+
+      expect(await splitter.getTokensWithAllocations()).to.deep.equal([stablecoin.target]);
+    });
+
+    it("Should split a token with its own list", async function () {
+      await stablecoin.transfer(splitter.target, AMOUNT);
+      await splitter.distributeTokens(stablecoin.target);
+
+      for (const allocation of stablecoinAllocations) {
+        expect(await stablecoin.balanceOf(allocation.wallet))
+          .to.equal(AMOUNT * BigInt(allocation.percentage) / 10000n);
+      }
+      expect(await stablecoin.balanceOf(expectedAllocations[5].wallet)).to.equal(0);
+    });
+
+    it("Should keep splitting other tokens with the default list", async function () {
+      await mockToken.transfer(splitter.target, AMOUNT);
+      await splitter.distributeTokens(mockToken.target);
+
+      expect(await mockToken.balanceOf(expectedAllocations[0].wallet)).to.equal(AMOUNT * 3000n / 10000n);
+      expect(await mockToken.balanceOf(expectedAllocations[5].wallet)).to.equal(AMOUNT * 1000n / 10000n);
+    });
+
+    it("Should give the rounding remainder to the largest allocation of the token's list", async function () {
+      await stablecoin.transfer(splitter.target, 9999n);
+      await splitter.distributeTokens(stablecoin.target);
+
+      // 40% of 9999 is 3999.6, rounded down to 3999, plus the remainder of the whole split
+      const others = [1, 2, 3, 4].reduce((sum, i) => sum + 9999n * BigInt(stablecoinAllocations[i].percentage) / 10000n, 0n);
+      expect(await stablecoin.balanceOf(stablecoinAllocations[0].wallet)).to.equal(9999n - others);
+    });
+
+    it("Should move a rotated wallet in every list", async function () {
+      const [, , newWallet] = await ethers.getSigners();
+      await ethers.provider.send("hardhat_setBalance", [expectedAllocations[1].wallet, "0xDE0B6B3A7640000"]);
+      const currentWallet = await ethers.getImpersonatedSigner(expectedAllocations[1].wallet);
+
+      await splitter.connect(currentWallet).proposeWalletChange(1, newWallet.address);
+      await splitter.connect(newWallet).acceptWalletChange(1);
+
+      const ownList = await splitter["getAllocations(address)"](stablecoin.target);
+      expect(ownList[1].wallet).to.equal(newWallet.address);
+    });
+
+    it("Should validate every token list like the default list", async function () {
+      const halfList = [{ ...expectedAllocations[0], percentage: 5000 }];
+      await expect(DistributeTokens.deploy(expectedAllocations, {
+        ...defaultSettings,
+        tokenAllocations: [{ token: stablecoin.target, allocations: halfList }]
+      })).to.be.revertedWithCustomError(DistributeTokens, "InvalidPercentages");
+
+      await expect(DistributeTokens.deploy(expectedAllocations, {
+        ...defaultSettings,
+        tokenAllocations: [{ token: stablecoin.target, allocations: [] }]
+      })).to.be.revertedWithCustomError(DistributeTokens, "NoAllocations");
+
+      await expect(DistributeTokens.deploy(expectedAllocations, {
+        ...defaultSettings,
+        tokenAllocations: [{ token: ethers.ZeroAddress, allocations: stablecoinAllocations }]
+      })).to.be.revertedWithCustomError(DistributeTokens, "ZeroAddress");
+    });
+
+    it("Should reject two lists for the same token", async function () {
+      await expect(DistributeTokens.deploy(expectedAllocations, {
+        ...defaultSettings,
+        tokenAllocations: [
+          { token: stablecoin.target, allocations: stablecoinAllocations },
+          { token: stablecoin.target, allocations: stablecoinAllocations }
+        ]
+      })).to.be.revertedWithCustomError(DistributeTokens, "DuplicateToken");
+    });
+  });
+
+  describe("Recipient Hooks", function () {
+    const AMOUNT = ethers.parseEther("1000");
+    const HOOKED_INDEX = 3; // The Community slot is replaced by a hooked contract
+    const SUCCEED = 0;
+    const REVERT = 1;
+    const WASTE_GAS = 2;
+    let DistributeTokens;
+    let recipient;
+    let splitter;
+
+    beforeEach(async function () {
+      const Recipient = await ethers.getContractFactory("MockDistributionRecipient");
+      recipient = await Recipient.deploy();
+
+      DistributeTokens = await ethers.getContractFactory("DistributeTokens");
+      splitter = await DistributeTokens.deploy(
+        expectedAllocations.map((allocation, i) =>
+          i === HOOKED_INDEX ? { ...allocation, wallet: recipient.target, allocationType: HOOKED } : allocation
+        ),
+        defaultSettings
+      );
+      await mockToken.transfer(splitter.target, AMOUNT);
+    });
+
+    it("Should notify a hooked wallet of what it received", async function () {
+      const share = AMOUNT * 1000n / 10000n;
+
+      await expect(splitter.distributeTokens(mockToken.target))
+        .to.emit(splitter, "AllocationDistributed")
+        .withArgs(mockToken.target, recipient.target, share)
+        .and.to.not.emit(splitter, "HookFailed");
+
+      expect(await recipient.calls()).to.equal(1);
+      expect(await recipient.lastToken()).to.equal(mockToken.target);
+      expect(await recipient.lastAmount()).to.equal(share);
+    });
+
+    it("Should notify hooked wallets of native currency", async function () {
+      await owner.sendTransaction({ to: splitter.target, value: AMOUNT });
+      await splitter.distributeNative();
+
+      expect(await recipient.lastToken()).to.equal(await splitter.NATIVE_TOKEN());
+      expect(await recipient.lastAmount()).to.equal(AMOUNT * 1000n / 10000n);
+    });
+
+    it("Should still count the transfer when a hook reverts", async function () {
+      await recipient.setMode(REVERT);
+      const share = AMOUNT * 1000n / 10000n;
+      const reason = new ethers.Interface(["function Error(string)"])
+        .encodeFunctionData("Error", ["MockDistributionRecipient: hook failed"]);
+
+      await expect(splitter.distributeTokens(mockToken.target))
+        .to.emit(splitter, "HookFailed")
+        .withArgs(mockToken.target, recipient.target, reason);
+
+      expect(await mockToken.balanceOf(recipient.target)).to.equal(share);
+      expect(await splitter.getDistributedAmount(mockToken.target, recipient.target)).to.equal(share);
+    });
+
+    it("Should limit the gas a hook can use", async function () {
+      await recipient.setMode(WASTE_GAS);
+
+      const tx = await splitter.distributeTokens(mockToken.target);
+      await expect(tx).to.emit(splitter, "HookFailed").withArgs(mockToken.target, recipient.target, "0x");
+
+      const receipt = await tx.wait();
+      expect(receipt.gasUsed).to.be.lessThan(1000000n);
+      expect(await mockToken.balanceOf(recipient.target)).to.equal(AMOUNT * 1000n / 10000n);
+    });
+
+    it("Should refuse to run with too little gas for the hook", async function () {
+      // Find out how much gas the distribution needs apart from the hook itself
+      await recipient.setMode(REVERT);
+      const gasWithoutHook = await splitter.distributeTokens.estimateGas(mockToken.target);
+
+      await recipient.setMode(WASTE_GAS);
+      await expect(splitter.distributeTokens(mockToken.target, { gasLimit: gasWithoutHook + 30000n }))
+        .to.be.revertedWithCustomError(splitter, "InsufficientHookGas");
+    });
+
+    it("Should send hooked shares straight away in claim mode", async function () {
+      await splitter.accrueTokens(mockToken.target);
+
+      expect(await mockToken.balanceOf(recipient.target)).to.equal(AMOUNT * 1000n / 10000n);
+      expect(await splitter.getClaimableAmount(mockToken.target, recipient.target)).to.equal(0);
+      expect(await recipient.calls()).to.equal(1);
+    });
+
+    it("Should only move a hooked slot to another contract", async function () {
+      const Recipient = await ethers.getContractFactory("MockDistributionRecipient");
+      const otherRecipient = await Recipient.deploy();
+
+      // The hooked contract cannot sign, so act on its behalf
+      await ethers.provider.send("hardhat_setBalance", [recipient.target, "0xDE0B6B3A7640000"]);
+      const hooked = await ethers.getImpersonatedSigner(recipient.target);
+
+      // A plain wallet cannot take over the slot, every distribution would fail to notify it
+      await splitter.connect(hooked).proposeWalletChange(HOOKED_INDEX, otherAccount.address);
+      await expect(splitter.connect(otherAccount).acceptWalletChange(HOOKED_INDEX))
+        .to.be.revertedWithCustomError(splitter, "InvalidHookRecipient");
+
+      // Another hooked contract can, and is notified from then on
+      await splitter.connect(hooked).proposeWalletChange(HOOKED_INDEX, otherRecipient.target);
+      await ethers.provider.send("hardhat_setBalance", [otherRecipient.target, "0xDE0B6B3A7640000"]);
+      await splitter.connect(await ethers.getImpersonatedSigner(otherRecipient.target)).acceptWalletChange(HOOKED_INDEX);
+      await splitter.distributeTokens(mockToken.target);
+      expect(await otherRecipient.calls()).to.equal(1);
+    });
+
+    it("Should reject hooked allocations that are not contracts", async function () {
+      await expect(DistributeTokens.deploy(
+        [{ wallet: otherAccount.address, percentage: 10000, allocationType: HOOKED, vesting: NO_VESTING }],
+        defaultSettings
+      )).to.be.revertedWithCustomError(DistributeTokens, "InvalidHookRecipient");
+    });
+  });
+
+  describe("Native Distribution", function () {
+    const NATIVE_AMOUNT = ethers.parseEther("10");
+    let nativeToken;
+
+    beforeEach(async function () {
+      nativeToken = await distributeTokens.NATIVE_TOKEN();
+      await owner.sendTransaction({ to: distributeTokens.target, value: NATIVE_AMOUNT });
+    });
+
+    it("Should accept native currency", async function () {
+      expect(await ethers.provider.getBalance(distributeTokens.target)).to.equal(NATIVE_AMOUNT);
+    });
+
+    it("Should distribute native currency according to allocations", async function () {
+      const balancesBefore = [];
+      for (let i = 0; i < expectedAllocations.length; i++) {
+        balancesBefore.push(await ethers.provider.getBalance(expectedAllocations[i].wallet));
+      }
+
+      await distributeTokens.connect(otherAccount).distributeNative();
+
+      for (let i = 0; i < expectedAllocations.length; i++) {
+        const expectedAmount = NATIVE_AMOUNT * BigInt(expectedAllocations[i].percentage) / 10000n;
+        const balanceAfter = await ethers.provider.getBalance(expectedAllocations[i].wallet);
+        expect(balanceAfter - balancesBefore[i]).to.equal(expectedAmount);
+
+        // Native amounts are tracked under the NATIVE_TOKEN placeholder
+        expect(await distributeTokens.getDistributedAmount(nativeToken, expectedAllocations[i].wallet))
+          .to.equal(expectedAmount);
+      }
+
+      expect(await ethers.provider.getBalance(distributeTokens.target)).to.equal(0);
+    });
+
+    it("Should emit correct events on native distribution", async function () {
+      await expect(distributeTokens.distributeNative())
+        .to.emit(distributeTokens, "TokensDistributed")
+        .withArgs(nativeToken, NATIVE_AMOUNT)
+        .and.to.emit(distributeTokens, "AllocationDistributed")
+        .withArgs(
+          nativeToken,
+          expectedAllocations[0].wallet,
+          NATIVE_AMOUNT * BigInt(expectedAllocations[0].percentage) / 10000n
+        );
+    });
+
+    it("Should revert if there is no native currency to distribute", async function () {
+      await distributeTokens.distributeNative();
+
+      await expect(distributeTokens.distributeNative())
+        .to.be.revertedWithCustomError(distributeTokens, "NoTokensToDistribute");
+    });
+
+    it("Should keep native and token accounting separate", async function () {
+      const tokenAmount = ethers.parseEther("100");
+      await mockToken.transfer(distributeTokens.target, tokenAmount);
+
+      await distributeTokens.distributeNative();
+      await distributeTokens.distributeTokens(mockToken.target);
+
+      const wallet = expectedAllocations[0].wallet;
+      expect(await distributeTokens.getDistributedAmount(nativeToken, wallet))
+        .to.equal(NATIVE_AMOUNT * 3000n / 10000n);
+      expect(await distributeTokens.getDistributedAmount(mockToken.target, wallet))
+        .to.equal(tokenAmount * 3000n / 10000n);
+    });
+  });
+
+  describe("Batch Distribution", function () {
+    const AMOUNT_A = ethers.parseEther("1000");
+    const AMOUNT_B = ethers.parseEther("250");
+    let secondToken;
+    let emptyToken;
+
+    beforeEach(async function () {
+      const MockToken = await ethers.getContractFactory("MockERC20");
+      secondToken = await MockToken.deploy("Second Token", "SEC", AMOUNT_B);
+      emptyToken = await MockToken.deploy("Empty Token", "EMPTY", 0);
+
+      await mockToken.transfer(distributeTokens.target, AMOUNT_A);
+      await secondToken.transfer(distributeTokens.target, AMOUNT_B);
+    });
+
+    it("Should distribute every token in the batch", async function () {
+      await distributeTokens.distributeTokensBatch([mockToken.target, secondToken.target]);
+
+      for (let i = 0; i < expectedAllocations.length; i++) {
+        const wallet = expectedAllocations[i].wallet;
+        const percentage = BigInt(expectedAllocations[i].percentage);
+        expect(await mockToken.balanceOf(wallet)).to.equal(AMOUNT_A * percentage / 10000n);
+        expect(await secondToken.balanceOf(wallet)).to.equal(AMOUNT_B * percentage / 10000n);
+      }
+
+      expect(await mockToken.balanceOf(distributeTokens.target)).to.equal(0);
+      expect(await secondToken.balanceOf(distributeTokens.target)).to.equal(0);
+    });
+
+    it("Should skip tokens with a zero balance instead of reverting", async function () {
+      const tokens = [mockToken.target, emptyToken.target, secondToken.target];
+
+      await expect(distributeTokens.distributeTokensBatch(tokens))
+        .to.emit(distributeTokens, "BatchDistributed")
+        .withArgs(tokens, [AMOUNT_A, 0n, AMOUNT_B]);
+    });
+
+    it("Should return the per-token summary", async function () {
+      const amounts = await distributeTokens.distributeTokensBatch.staticCall(
+        [emptyToken.target, secondToken.target]
+      );
+      expect(amounts).to.deep.equal([0n, AMOUNT_B]);
+    });
+
+    it("Should include native currency when NATIVE_TOKEN is listed", async function () {
+      const nativeAmount = ethers.parseEther("1");
+      const nativeToken = await distributeTokens.NATIVE_TOKEN();
+      await owner.sendTransaction({ to: distributeTokens.target, value: nativeAmount });
+
+      await expect(distributeTokens.distributeTokensBatch([nativeToken, mockToken.target]))
+        .to.emit(distributeTokens, "TokensDistributed")
+        .withArgs(nativeToken, nativeAmount);
+
+      expect(await ethers.provider.getBalance(distributeTokens.target)).to.equal(0);
+    });
+
+    it("Should revert if any token address is zero", async function () {
+      await expect(distributeTokens.distributeTokensBatch([mockToken.target, ethers.ZeroAddress]))
+        .to.be.revertedWithCustomError(distributeTokens, "ZeroAddress");
+    });
+  });
+
+  describe("Claim Mode", function () {
+    const AMOUNT = ethers.parseEther("1000");
+
+    beforeEach(async function () {
+      await mockToken.transfer(distributeTokens.target, AMOUNT);
+    });
+
+    it("Should set shares aside instead of sending them", async function () {
+      await expect(distributeTokens.accrueTokens(mockToken.target))
+        .to.emit(distributeTokens, "TokensAccrued")
+        .withArgs(mockToken.target, AMOUNT)
+        .and.to.emit(distributeTokens, "AllocationAccrued")
+        .withArgs(mockToken.target, expectedAllocations[0].wallet, AMOUNT * 3000n / 10000n);
+
+      // Only the burn share has left the contract, the rest waits to be claimed
+      const burnShare = AMOUNT * 1000n / 10000n;
+      expect(await mockToken.balanceOf(distributeTokens.target)).to.equal(AMOUNT - burnShare);
+      expect(await distributeTokens.totalClaimable(mockToken.target)).to.equal(AMOUNT - burnShare);
+
+      const claimable = await distributeTokens.getClaimableAmounts(mockToken.target);
+      for (let i = 0; i < expectedAllocations.length; i++) {
+        const expectedAmount = AMOUNT * BigInt(expectedAllocations[i].percentage) / 10000n;
+        const isBurn = expectedAllocations[i].allocationType === BURN;
+        expect(claimable[i]).to.equal(isBurn ? 0n : expectedAmount);
+        expect(await distributeTokens.getClaimableAmount(mockToken.target, expectedAllocations[i].wallet))
+          .to.equal(isBurn ? 0n : expectedAmount);
+
+        // Set-aside amounts already count as distributed
+        expect(await distributeTokens.getDistributedAmount(mockToken.target, expectedAllocations[i].wallet))
+          .to.equal(expectedAmount);
+      }
+    });
+
+    it("Should let a recipient claim their own share", async function () {
+      await distributeTokens.accrueTokens(mockToken.target);
+
+      const wallet = expectedAllocations[0].wallet;
+      const expectedAmount = AMOUNT * 3000n / 10000n;
+      await ethers.provider.send("hardhat_setBalance", [wallet, "0xDE0B6B3A7640000"]);
+      const recipient = await ethers.getImpersonatedSigner(wallet);
+
+      await expect(distributeTokens.connect(recipient).claim(mockToken.target))
+        .to.emit(distributeTokens, "TokensClaimed")
+        .withArgs(mockToken.target, wallet, expectedAmount);
+
+      expect(await mockToken.balanceOf(wallet)).to.equal(expectedAmount);
+      expect(await distributeTokens.getClaimableAmount(mockToken.target, wallet)).to.equal(0);
+      expect(await distributeTokens.totalClaimable(mockToken.target))
+        .to.equal(AMOUNT - expectedAmount - AMOUNT * 1000n / 10000n);
+    });
+
+    it("Should let anyone claim on behalf of a recipient", async function () {
+      await distributeTokens.accrueTokens(mockToken.target);
+
+      const wallet = expectedAllocations[1].wallet;
+      await distributeTokens.connect(otherAccount).claimFor(mockToken.target, wallet);
+
+      expect(await mockToken.balanceOf(wallet)).to.equal(AMOUNT * 2000n / 10000n);
+      expect(await mockToken.balanceOf(otherAccount.address)).to.equal(0);
+    });
+
+    it("Should revert when there is nothing to claim", async function () {
+      await expect(distributeTokens.claim(mockToken.target))
+        .to.be.revertedWithCustomError(distributeTokens, "NothingToClaim");
+    });
+
+    it("Should never distribute tokens that are waiting to be claimed", async function () {
+      await distributeTokens.accrueTokens(mockToken.target);
+
+      await expect(distributeTokens.distributeTokens(mockToken.target))
+        .to.be.revertedWithCustomError(distributeTokens, "NoTokensToDistribute");
+
+      // New tokens are split normally, reserved ones stay put
+      const SECOND_AMOUNT = ethers.parseEther("100");
+      await mockToken.transfer(distributeTokens.target, SECOND_AMOUNT);
+      await expect(distributeTokens.distributeTokens(mockToken.target))
+        .to.emit(distributeTokens, "TokensDistributed")
+        .withArgs(mockToken.target, SECOND_AMOUNT);
+
+      expect(await mockToken.balanceOf(distributeTokens.target)).to.equal(AMOUNT - AMOUNT * 1000n / 10000n);
+    });
+
+    it("Should support native currency claims", async function () {
+      const nativeToken = await distributeTokens.NATIVE_TOKEN();
+      const nativeAmount = ethers.parseEther("2");
+      await owner.sendTransaction({ to: distributeTokens.target, value: nativeAmount });
+
+      await distributeTokens.accrueTokens(nativeToken);
+
+      const wallet = expectedAllocations[3].wallet;
+      const balanceBefore = await ethers.provider.getBalance(wallet);
+      await distributeTokens.claimFor(nativeToken, wallet);
+
+      expect(await ethers.provider.getBalance(wallet) - balanceBefore).to.equal(nativeAmount * 1000n / 10000n);
+    });
+  });
+
+  describe("Distribution Rounds", function () {
+    const AMOUNT = ethers.parseEther("1000");
+    let secondToken;
+
+    beforeEach(async function () {
+      const MockToken = await ethers.getContractFactory("MockERC20");
+      secondToken = await MockToken.deploy("Second Token", "SEC", AMOUNT);
+    });
+
+    it("Should record every distribution as a numbered round", async function () {
+      await mockToken.transfer(distributeTokens.target, AMOUNT);
+
+      await expect(distributeTokens.connect(otherAccount).distributeTokens(mockToken.target))
+        .to.emit(distributeTokens, "RoundRecorded")
+        .withArgs(0, mockToken.target, AMOUNT);
+
+      const block = await ethers.provider.getBlock("latest");
+      const round = await distributeTokens.getRound(0);
+      expect(round.token).to.equal(mockToken.target);
+      expect(round.totalAmount).to.equal(AMOUNT);
+      expect(round.timestamp).to.equal(block.timestamp);
+      expect(round.caller).to.equal(otherAccount.address);
+      expect(round.accrued).to.equal(false);
+
+      for (let i = 0; i < expectedAllocations.length; i++) {
+        expect(round.recipients[i]).to.equal(expectedAllocations[i].wallet);
+        expect(round.amounts[i]).to.equal(AMOUNT * BigInt(expectedAllocations[i].percentage) / 10000n);
+      }
+    });
+
+    it("Should page through rounds by range", async function () {
+      for (let i = 0; i < 3; i++) {
+        await mockToken.transfer(distributeTokens.target, AMOUNT);
+        await distributeTokens.distributeTokens(mockToken.target);
+      }
+      await distributeTokens.distributeTokensBatch([secondToken.target]);
+      await secondToken.transfer(distributeTokens.target, AMOUNT);
+      await distributeTokens.accrueTokens(secondToken.target);
+
+      expect(await distributeTokens.getRoundCount()).to.equal(4);
+
+      const page = await distributeTokens.getRounds(1, 2);
+      expect(page.length).to.equal(2);
+      expect(page[0].token).to.equal(mockToken.target);
+
+      // The last page is cut short at the end of the history
+      const lastPage = await distributeTokens.getRounds(3, 10);
+      expect(lastPage.length).to.equal(1);
+      expect(lastPage[0].token).to.equal(secondToken.target);
+      expect(lastPage[0].accrued).to.equal(true);
+
+      expect((await distributeTokens.getRounds(10, 5)).length).to.equal(0);
+    });
+
+    it("Should page through rounds by token", async function () {
+      await mockToken.transfer(distributeTokens.target, AMOUNT);
+      await distributeTokens.distributeTokens(mockToken.target);
+      await secondToken.transfer(distributeTokens.target, AMOUNT);
+      await distributeTokens.distributeTokens(secondToken.target);
+      await mockToken.transfer(distributeTokens.target, AMOUNT * 2n);
+      await distributeTokens.distributeTokens(mockToken.target);
+
+      expect(await distributeTokens.getTokenRoundCount(mockToken.target)).to.equal(2);
+      expect(await distributeTokens.getTokenRoundCount(secondToken.target)).to.equal(1);
+
+      const [roundIds, page] = await distributeTokens.getTokenRounds(mockToken.target, 0, 10);
+      expect(roundIds).to.deep.equal([0n, 2n]);
+      expect(page[0].totalAmount).to.equal(AMOUNT);
+      expect(page[1].totalAmount).to.equal(AMOUNT * 2n);
+
+      const [secondIds] = await distributeTokens.getTokenRounds(mockToken.target, 1, 1);
+      expect(secondIds).to.deep.equal([2n]);
+    });
+  });
+
   describe("View Functions", function () {
     it("Should correctly return all allocations", async function () {
       const allocations = await distributeTokens.getAllocations();
@@ -0,0 +1,140 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("DistributeTokensFactory Contract", function () {
+  let factory;
+  let governor;
+  let owner;
+  let walletA;
+  let walletB;
+  let allocations;
+
+  const SALT = ethers.id("hellotitty-splitter-1");
+  const STANDARD = 0;
+  const NO_VESTING = { cliff: 0, duration: 0 };
+
+  // Splitters created in these tests use no optional features
+  const settings = {
+    swapRouter: ethers.ZeroAddress,
+    targetToken: ethers.ZeroAddress,
+    bountyBps: 0,
+    bountyCaps: [],
+    allowlistEnabled: false,
+    tokenRules: [],
+    watchedTokens: [],
+    upkeepInterval: 0,
+    governor: ethers.ZeroAddress,
+    tokenAllocations: []
+  };
+
+  beforeEach(async function () {
+    [owner, walletA, walletB] = await ethers.getSigners();
+
+    allocations = [
+      { wallet: walletA.address, percentage: 6000, allocationType: STANDARD, vesting: NO_VESTING },
+      { wallet: walletB.address, percentage: 4000, allocationType: STANDARD, vesting: NO_VESTING }
+    ];
+
+    const Governor = await ethers.getContractFactory("DistributeTokensGovernor");
+    governor = await Governor.deploy(7 * 24 * 60 * 60);
+
+    const Factory = await ethers.getContractFactory("DistributeTokensFactory");
+    factory = await Factory.deploy(governor.target);
+  });
+
+  describe("Splitter Creation", function () {
+    it("Should deploy a splitter at the predicted address", async function () {
+      const predicted = await factory.predictSplitterAddress(owner.address, allocations, settings, SALT);
+
+      await expect(factory.createSplitter(allocations, settings, SALT))
+        .to.emit(factory, "SplitterCreated")
+        .withArgs(predicted, owner.address, SALT);
+
+      const splitter = await ethers.getContractAt("DistributeTokens", predicted);
+      const deployed = await splitter.getAllocations();
+      expect(deployed.length).to.equal(2);
+      expect(deployed[0].wallet).to.equal(walletA.address);
+      expect(deployed[0].percentage).to.equal(6000);
+      expect(deployed[1].wallet).to.equal(walletB.address);
+      expect(deployed[1].percentage).to.equal(4000);
+    });
+
+    it("Should give different creators different addresses for the same salt", async function () {
+      const fromOwner = await factory.predictSplitterAddress(owner.address, allocations, settings, SALT);
+      const fromOther = await factory.predictSplitterAddress(walletA.address, allocations, settings, SALT);
+      expect(fromOwner).to.not.equal(fromOther);
+    });
+
+    it("Should revert when the same creator reuses a salt with the same allocations", async function () {
+      await factory.createSplitter(allocations, settings, SALT);
+      await expect(factory.createSplitter(allocations, settings, SALT)).to.be.reverted;
+    });
+
+    it("Should reject invalid allocations with the splitter's errors", async function () {
+      const DistributeTokens = await ethers.getContractFactory("DistributeTokens");
+
+      const invalid = [{ wallet: walletA.address, percentage: 9000, allocationType: STANDARD, vesting: NO_VESTING }];
+      await expect(factory.createSplitter(invalid, settings, SALT))
+        .to.be.revertedWithCustomError(DistributeTokens, "InvalidPercentages");
+      await expect(factory.createSplitter([], settings, SALT))
+        .to.be.revertedWithCustomError(DistributeTokens, "NoAllocations");
+    });
+
+    it("Should create splitters that distribute tokens", async function () {
+      const predicted = await factory.predictSplitterAddress(owner.address, allocations, settings, SALT);
+
+      // Tokens can be sent to the address before the splitter exists
+      const MockToken = await ethers.getContractFactory("MockERC20");
+      const token = await MockToken.deploy("Mock Token", "MOCK", 1000n);
+      await token.transfer(predicted, 1000n);
+
+      await factory.createSplitter(allocations, settings, SALT);
+      const splitter = await ethers.getContractAt("DistributeTokens", predicted);
+      await splitter.distributeTokens(token.target);
+
+      expect(await token.balanceOf(walletA.address)).to.equal(600n);
+      expect(await token.balanceOf(walletB.address)).to.equal(400n);
+    });
+  });
+
+  describe("Governor", function () {
+    it("Should create splitters that use the factory's governor", async function () {
+      const governed = { ...settings, governor: governor.target };
+      const predicted = await factory.predictSplitterAddress(owner.address, allocations, governed, SALT);
+      await factory.createSplitter(allocations, governed, SALT);
+
+      const splitter = await ethers.getContractAt("DistributeTokens", predicted);
+      expect(await factory.governor()).to.equal(governor.target);
+      expect(await splitter.governor()).to.equal(governor.target);
+    });
+
+    it("Should reject any other governor", async function () {
+      const Governor = await ethers.getContractFactory("DistributeTokensGovernor");
+      const otherGovernor = await Governor.deploy(0);
+
+      await expect(factory.createSplitter(allocations, { ...settings, governor: otherGovernor.target }, SALT))
+        .to.be.revertedWithCustomError(factory, "UnknownGovernor");
+      await expect(factory.createSplitter(allocations, { ...settings, governor: walletA.address }, SALT))
+        .to.be.revertedWithCustomError(factory, "UnknownGovernor");
+    });
+  });
+
+  describe("Registry", function () {
+    it("Should keep track of every splitter created", async function () {
+      expect(await factory.getSplitterCount()).to.equal(0);
+
+      await factory.createSplitter(allocations, settings, SALT);
+      await factory.connect(walletA).createSplitter(allocations, settings, SALT);
+
+      const splitters = await factory.getSplitters();
+      expect(splitters.length).to.equal(2);
+      expect(await factory.getSplitterCount()).to.equal(2);
+      expect(await factory.splitters(0)).to.equal(splitters[0]);
+
+      for (const splitter of splitters) {
+        expect(await factory.isSplitter(splitter)).to.equal(true);
+      }
+      expect(await factory.isSplitter(owner.address)).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,314 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("DistributeTokensGovernor Contract", function () {
+  let governor;
+  let splitter;
+  let DistributeTokens;
+  let walletA;
+  let walletB;
+  let walletC;
+  let walletD;
+  let outsider;
+
+  const TIMELOCK = 2 * 24 * 60 * 60; // Two days
+  const STANDARD = 0;
+  const NO_VESTING = { cliff: 0, duration: 0 };
+
+  // Splitters in these tests only use governance
+  function settingsFor(governorAddress) {
+    return {
+      swapRouter: ethers.ZeroAddress,
+      targetToken: ethers.ZeroAddress,
+      bountyBps: 0,
+      bountyCaps: [],
+      allowlistEnabled: false,
+      tokenRules: [],
+      watchedTokens: [],
+      upkeepInterval: 0,
+      governor: governorAddress,
+      tokenAllocations: []
+    };
+  }
+
+  // Proposes new wallets and percentages from `proposer` and returns the proposal number
+  async function propose(proposer, wallets, percentages) {
+    const proposalId = await governor.getProposalCount();
+    await governor.connect(proposer).propose(splitter.target, wallets, percentages);
+    return proposalId;
+  }
+
+  beforeEach(async function () {
+    [walletA, walletB, walletC, walletD, outsider] = await ethers.getSigners();
+
+    const Governor = await ethers.getContractFactory("DistributeTokensGovernor");
+    governor = await Governor.deploy(TIMELOCK);
+
+    // A 40/30/20/10 split governed by the governor
+    DistributeTokens = await ethers.getContractFactory("DistributeTokens");
+    splitter = await DistributeTokens.deploy([
+      { wallet: walletA.address, percentage: 4000, allocationType: STANDARD, vesting: NO_VESTING },
+      { wallet: walletB.address, percentage: 3000, allocationType: STANDARD, vesting: NO_VESTING },
+      { wallet: walletC.address, percentage: 2000, allocationType: STANDARD, vesting: NO_VESTING },
+      { wallet: walletD.address, percentage: 1000, allocationType: STANDARD, vesting: NO_VESTING }
+    ], settingsFor(governor.target));
+  });
+
+  describe("Proposals And Votes", function () {
+    it("Should record a proposal and the proposer's vote", async function () {
+      const wallets = [walletA.address, walletB.address, walletC.address, outsider.address];
+      const percentages = [2500, 2500, 2500, 2500];
+
+      await expect(governor.connect(walletD).propose(splitter.target, wallets, percentages))
+        .to.emit(governor, "ProposalCreated")
+        .withArgs(0, splitter.target, walletD.address, wallets, percentages)
+        .and.to.emit(governor, "VoteCast")
+        .withArgs(0, walletD.address, 3, 1000);
+
+      const proposal = await governor.getProposal(0);
+      expect(proposal.splitter).to.equal(splitter.target);
+      expect(proposal.proposer).to.equal(walletD.address);
+      expect(proposal.votes).to.equal(1000);
+      expect(proposal.executableAt).to.equal(0);
+      expect(proposal.wallets).to.deep.equal(wallets);
+      expect(await governor.getProposalCount()).to.equal(1);
+    });
+
+    it("Should start the timelock once more than half of the shares have voted", async function () {
+      const proposalId = await propose(walletA, [walletA.address, walletB.address, walletC.address, walletD.address], [2500, 2500, 2500, 2500]);
+
+      await governor.connect(walletD).vote(proposalId);
+      const passedAt = (await time.latest()) + 10;
+      await time.setNextBlockTimestamp(passedAt);
+      await expect(governor.connect(walletB).vote(proposalId))
+        .to.emit(governor, "ProposalPassed")
+        .withArgs(proposalId, 8000, passedAt + TIMELOCK);
+    });
+
+    it("Should not pass with exactly half of the shares", async function () {
+      const proposalId = await propose(walletB, [walletA.address, walletB.address, walletC.address, walletD.address], [2500, 2500, 2500, 2500]);
+
+      await expect(governor.connect(walletC).vote(proposalId))
+        .to.not.emit(governor, "ProposalPassed");
+      expect((await governor.getProposal(proposalId)).votes).to.equal(5000);
+
+      await expect(governor.execute(proposalId))
+        .to.be.revertedWithCustomError(governor, "ProposalNotPassed");
+    });
+
+    it("Should count each allocation only once", async function () {
+      const proposalId = await propose(walletA, [walletA.address, walletB.address, walletC.address, walletD.address], [2500, 2500, 2500, 2500]);
+
+      await expect(governor.connect(walletA).vote(proposalId)).to.not.emit(governor, "VoteCast");
+      expect((await governor.getProposal(proposalId)).votes).to.equal(4000);
+    });
+
+    it("Should only let allocation wallets propose and vote", async function () {
+      const wallets = [walletA.address, walletB.address, walletC.address, walletD.address];
+
+      await expect(governor.connect(outsider).propose(splitter.target, wallets, [2500, 2500, 2500, 2500]))
+        .to.be.revertedWithCustomError(governor, "NotAllocationWallet");
+
+      const proposalId = await propose(walletA, wallets, [2500, 2500, 2500, 2500]);
+      await expect(governor.connect(outsider).vote(proposalId))
+        .to.be.revertedWithCustomError(governor, "NotAllocationWallet");
+    });
+
+    it("Should reject proposals that do not cover every allocation or add up to 100%", async function () {
+      await expect(governor.connect(walletA).propose(splitter.target, [walletA.address, walletB.address], [5000, 5000]))
+        .to.be.revertedWithCustomError(governor, "InvalidProposal");
+      await expect(governor.connect(walletA).propose(
+        splitter.target,
+        [walletA.address, walletB.address, walletC.address, walletD.address],
+        [4000, 3000, 2000, 1001]
+      )).to.be.revertedWithCustomError(governor, "InvalidProposal");
+    });
+
+    it("Should reject splitters that use another governor", async function () {
+      const ungoverned = await DistributeTokens.deploy(
+        [{ wallet: walletA.address, percentage: 10000, allocationType: STANDARD, vesting: NO_VESTING }],
+        settingsFor(ethers.ZeroAddress)
+      );
+
+      await expect(governor.connect(walletA).propose(ungoverned.target, [walletB.address], [10000]))
+        .to.be.revertedWithCustomError(governor, "NotGoverned");
+    });
+
+    it("Should revert for unknown proposals", async function () {
+      await expect(governor.getProposal(0)).to.be.revertedWithCustomError(governor, "UnknownProposal");
+      await expect(governor.connect(walletA).vote(0)).to.be.revertedWithCustomError(governor, "UnknownProposal");
+    });
+  });
+
+  describe("Execution", function () {
+    const newPercentages = [2500, 2500, 2500, 2500];
+    let newWallets;
+    let proposalId;
+
+    beforeEach(async function () {
+      newWallets = [walletA.address, walletB.address, walletC.address, outsider.address];
+      proposalId = await propose(walletA, newWallets, newPercentages);
+      await governor.connect(walletB).vote(proposalId);
+    });
+
+    it("Should only execute after the timelock", async function () {
+      const executableAt = (await governor.getProposal(proposalId)).executableAt;
+
+      await expect(governor.execute(proposalId))
+        .to.be.revertedWithCustomError(governor, "TimelockNotExpired")
+        .withArgs(executableAt);
+
+      await time.increaseTo(executableAt);
+      await expect(governor.connect(outsider).execute(proposalId))
+        .to.emit(governor, "ProposalExecuted")
+        .withArgs(proposalId, splitter.target, outsider.address);
+    });
+
+    it("Should change the splitter's wallets and percentages", async function () {
+      await time.increase(TIMELOCK);
+
+      await expect(governor.execute(proposalId))
+        .to.emit(splitter, "AllocationUpdated")
+        .withArgs(3, outsider.address, 2500);
+
+      const allocations = await splitter.getAllocations();
+      for (let i = 0; i < allocations.length; i++) {
+        expect(allocations[i].wallet).to.equal(newWallets[i]);
+        expect(allocations[i].percentage).to.equal(newPercentages[i]);
+      }
+
+      // New distributions follow the new split
+      const MockToken = await ethers.getContractFactory("MockERC20");
+      const token = await MockToken.deploy("Mock Token", "MOCK", 10000n);
+      await token.transfer(splitter.target, 10000n);
+      await splitter.distributeTokens(token.target);
+      expect(await token.balanceOf(outsider.address)).to.equal(2500n);
+      expect(await token.balanceOf(walletD.address)).to.equal(0);
+    });
+
+    it("Should not execute a proposal twice", async function () {
+      await time.increase(TIMELOCK);
+      await governor.execute(proposalId);
+
+      await expect(governor.execute(proposalId))
+        .to.be.revertedWithCustomError(governor, "ProposalAlreadyExecuted");
+    });
+
+    it("Should expire other open proposals once one is executed", async function () {
+      const otherId = await propose(walletC, [walletA.address, walletB.address, walletC.address, walletD.address], [1000, 2000, 3000, 4000]);
+      await governor.connect(walletA).vote(otherId);
+
+      await time.increase(TIMELOCK);
+      await governor.execute(proposalId);
+
+      await expect(governor.execute(otherId))
+        .to.be.revertedWithCustomError(governor, "ProposalOutdated");
+      await expect(governor.connect(walletB).vote(otherId))
+        .to.be.revertedWithCustomError(governor, "ProposalOutdated");
+    });
+
+    it("Should leave everything unchanged if the splitter rejects the new allocations", async function () {
+      const duplicateId = await propose(walletA, [walletA.address, walletA.address, walletC.address, walletD.address], newPercentages);
+      await governor.connect(walletB).vote(duplicateId);
+      await time.increase(TIMELOCK);
+
+      await expect(governor.execute(duplicateId))
+        .to.be.revertedWithCustomError(splitter, "DuplicateWallet");
+
+      expect(await governor.splitterVersion(splitter.target)).to.equal(0);
+      expect((await splitter.getAllocations())[1].wallet).to.equal(walletB.address);
+    });
+  });
+
+  describe("Token-Specific Lists", function () {
+    let token;
+    let tokenOnly;
+
+    // Passes a proposal from walletA and walletB and executes it
+    async function executeProposal(wallets, percentages) {
+      const proposalId = await propose(walletA, wallets, percentages);
+      await governor.connect(walletB).vote(proposalId);
+      await time.increase(TIMELOCK);
+      return governor.execute(proposalId);
+    }
+
+    beforeEach(async function () {
+      tokenOnly = (await ethers.getSigners())[5];
+      const MockToken = await ethers.getContractFactory("MockERC20");
+      token = await MockToken.deploy("Mock Token", "MOCK", 10000n);
+
+      // The token is split 50/30/20 between walletA, walletD and a wallet only in its own list
+      splitter = await DistributeTokens.deploy([
+        { wallet: walletA.address, percentage: 4000, allocationType: STANDARD, vesting: NO_VESTING },
+        { wallet: walletB.address, percentage: 3000, allocationType: STANDARD, vesting: NO_VESTING },
+        { wallet: walletC.address, percentage: 2000, allocationType: STANDARD, vesting: NO_VESTING },
+        { wallet: walletD.address, percentage: 1000, allocationType: STANDARD, vesting: NO_VESTING }
+      ], {
+        ...settingsFor(governor.target),
+        tokenAllocations: [{
+          token: token.target,
+          allocations: [
+            { wallet: walletA.address, percentage: 5000, allocationType: STANDARD, vesting: NO_VESTING },
+            { wallet: walletD.address, percentage: 3000, allocationType: STANDARD, vesting: NO_VESTING },
+            { wallet: tokenOnly.address, percentage: 2000, allocationType: STANDARD, vesting: NO_VESTING }
+          ]
+        }]
+      });
+    });
+
+    it("Should replace a wallet in the token-specific lists too", async function () {
+      await executeProposal([walletA.address, walletB.address, walletC.address, outsider.address], [2500, 2500, 2500, 2500]);
+
+      const tokenList = await splitter["getAllocations(address)"](token.target);
+      expect(tokenList.map((allocation) => allocation.wallet))
+        .to.deep.equal([walletA.address, outsider.address, tokenOnly.address]);
+      expect(tokenList.map((allocation) => allocation.percentage)).to.deep.equal([5000n, 3000n, 2000n]);
+
+      // The replaced wallet no longer receives anything from the token's list
+      await token.transfer(splitter.target, 10000n);
+      await splitter.distributeTokens(token.target);
+      expect(await token.balanceOf(outsider.address)).to.equal(3000n);
+      expect(await token.balanceOf(walletD.address)).to.equal(0);
+    });
+
+    it("Should let two slots swap their wallets in the token-specific lists", async function () {
+      await executeProposal([walletD.address, walletB.address, walletC.address, walletA.address], [4000, 3000, 2000, 1000]);
+
+      const tokenList = await splitter["getAllocations(address)"](token.target);
+      expect(tokenList.map((allocation) => allocation.wallet))
+        .to.deep.equal([walletD.address, walletA.address, tokenOnly.address]);
+    });
+
+    it("Should reject a new wallet that already has an entry in a token-specific list", async function () {
+      await expect(executeProposal([walletA.address, walletB.address, walletC.address, tokenOnly.address], [2500, 2500, 2500, 2500]))
+        .to.be.revertedWithCustomError(splitter, "DuplicateWallet");
+    });
+  });
+
+  describe("Splitter Protection", function () {
+    it("Should only let the governor change allocations", async function () {
+      await expect(splitter.connect(walletA).updateAllocations(
+        [walletA.address, walletB.address, walletC.address, walletD.address],
+        [2500, 2500, 2500, 2500]
+      )).to.be.revertedWithCustomError(splitter, "NotGovernor");
+    });
+
+    it("Should reject a governor that is not a contract", async function () {
+      await expect(DistributeTokens.deploy([
+        { wallet: walletA.address, percentage: 10000, allocationType: STANDARD, vesting: NO_VESTING }
+      ], settingsFor(outsider.address))).to.be.revertedWithCustomError(DistributeTokens, "InvalidGovernor");
+    });
+
+    it("Should let a moved slot keep voting with its new wallet", async function () {
+      const proposalId = await propose(walletA, [walletA.address, walletB.address, walletC.address, walletD.address], [2500, 2500, 2500, 2500]);
+
+      // Slot 0 moves to a new wallet, which may not vote for the same slot again
+      await splitter.connect(walletA).proposeWalletChange(0, outsider.address);
+      await splitter.connect(outsider).acceptWalletChange(0);
+
+      await expect(governor.connect(outsider).vote(proposalId)).to.not.emit(governor, "VoteCast");
+      expect((await governor.getProposal(proposalId)).votes).to.equal(4000);
+    });
+  });
+});
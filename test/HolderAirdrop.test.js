@@ -0,0 +1,289 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildAirdropTree, splitProRata, parseSnapshot } = require("../scripts/airdrop-merkle-tree");
+
+describe("HolderAirdrop Contract", function () {
+  let airdrop;
+  let splitter;
+  let token;
+  let owner;
+  let treasury;
+  let holders;
+
+  const STANDARD = 0;
+  const HOOKED = 3;
+  const NO_VESTING = { cliff: 0, duration: 0 };
+  const POOL = 10000n;
+
+  // Splitters in these tests use no optional features
+  const settings = {
+    swapRouter: ethers.ZeroAddress,
+    targetToken: ethers.ZeroAddress,
+    bountyBps: 0,
+    bountyCaps: [],
+    allowlistEnabled: false,
+    tokenRules: [],
+    watchedTokens: [],
+    upkeepInterval: 0,
+    governor: ethers.ZeroAddress,
+    tokenAllocations: []
+  };
+
+  // Builds a round that shares `amount` between the holders as 50/30/20 of a snapshot
+  function snapshotTree(amount) {
+    return buildAirdropTree(splitProRata([
+      { address: holders[0].address, balance: "500" },
+      { address: holders[1].address, balance: "300" },
+      { address: holders[2].address, balance: "200" }
+    ], amount));
+  }
+
+  // Claims an account's entry of a tree in a round
+  function claimFor(roundId, tree, account) {
+    const { index, amount, proof } = tree.claims[account];
+    return airdrop.claim(roundId, index, account, amount, proof);
+  }
+
+  beforeEach(async function () {
+    [owner, treasury, ...holders] = await ethers.getSigners();
+
+    const HolderAirdrop = await ethers.getContractFactory("HolderAirdrop");
+    airdrop = await HolderAirdrop.deploy();
+
+    // The airdrop gets half of everything the splitter distributes
+    const DistributeTokens = await ethers.getContractFactory("DistributeTokens");
+    splitter = await DistributeTokens.deploy([
+      { wallet: treasury.address, percentage: 5000, allocationType: STANDARD, vesting: NO_VESTING },
+      { wallet: airdrop.target, percentage: 5000, allocationType: HOOKED, vesting: NO_VESTING }
+    ], settings);
+
+    const MockToken = await ethers.getContractFactory("MockERC20");
+    token = await MockToken.deploy("Mock Token", "MOCK", POOL * 4n);
+    await token.transfer(splitter.target, POOL * 2n);
+  });
+
+  describe("Funding", function () {
+    it("Should receive its share from a splitter and announce it", async function () {
+      await expect(splitter.distributeTokens(token.target))
+        .to.emit(airdrop, "FundsReceived")
+        .withArgs(token.target, splitter.target, POOL);
+
+      expect(await airdrop.getAvailableAmount(token.target)).to.equal(POOL);
+    });
+
+    it("Should accept native currency from a splitter", async function () {
+      await owner.sendTransaction({ to: splitter.target, value: 1000n });
+      await splitter.distributeNative();
+
+      expect(await airdrop.getAvailableAmount(await airdrop.NATIVE_TOKEN())).to.equal(500n);
+    });
+  });
+
+  describe("Rounds", function () {
+    beforeEach(async function () {
+      await splitter.distributeTokens(token.target);
+    });
+
+    it("Should publish a round and set its total aside", async function () {
+      const tree = snapshotTree(6000n);
+
+      await expect(airdrop.publishRound(token.target, tree.merkleRoot, tree.total, 0))
+        .to.emit(airdrop, "RoundPublished")
+        .withArgs(0, token.target, tree.merkleRoot, 6000n, 0);
+
+      const round = await airdrop.getRound(0);
+      expect(round.merkleRoot).to.equal(tree.merkleRoot);
+      expect(round.total).to.equal(6000n);
+      expect(await airdrop.getRoundCount()).to.equal(1);
+      expect(await airdrop.reservedAmounts(token.target)).to.equal(6000n);
+      expect(await airdrop.getAvailableAmount(token.target)).to.equal(POOL - 6000n);
+    });
+
+    it("Should not promise tokens that are already set aside", async function () {
+      const tree = snapshotTree(6000n);
+      await airdrop.publishRound(token.target, tree.merkleRoot, tree.total, 0);
+
+      await expect(airdrop.publishRound(token.target, tree.merkleRoot, tree.total, 0))
+        .to.be.revertedWithCustomError(airdrop, "InsufficientPool")
+        .withArgs(POOL - 6000n);
+    });
+
+    it("Should only let the owner publish rounds", async function () {
+      const tree = snapshotTree(6000n);
+
+      await expect(airdrop.connect(holders[0]).publishRound(token.target, tree.merkleRoot, tree.total, 0))
+        .to.be.revertedWithCustomError(airdrop, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should reject empty rounds and deadlines in the past", async function () {
+      const tree = snapshotTree(6000n);
+
+      await expect(airdrop.publishRound(token.target, ethers.ZeroHash, tree.total, 0))
+        .to.be.revertedWithCustomError(airdrop, "InvalidRound");
+      await expect(airdrop.publishRound(token.target, tree.merkleRoot, 0, 0))
+        .to.be.revertedWithCustomError(airdrop, "InvalidRound");
+      await expect(airdrop.publishRound(token.target, tree.merkleRoot, tree.total, await time.latest()))
+        .to.be.revertedWithCustomError(airdrop, "InvalidRound");
+      await expect(airdrop.publishRound(ethers.ZeroAddress, tree.merkleRoot, tree.total, 0))
+        .to.be.revertedWithCustomError(airdrop, "ZeroAddress");
+    });
+
+    it("Should revert for unknown rounds", async function () {
+      await expect(airdrop.getRound(0)).to.be.revertedWithCustomError(airdrop, "UnknownRound");
+    });
+  });
+
+  describe("Claims", function () {
+    let tree;
+
+    beforeEach(async function () {
+      await splitter.distributeTokens(token.target);
+      tree = snapshotTree(POOL);
+      await airdrop.publishRound(token.target, tree.merkleRoot, tree.total, 0);
+    });
+
+    it("Should pay every holder in proportion to their balance", async function () {
+      for (const holder of holders.slice(0, 3)) {
+        await claimFor(0, tree, holder.address);
+      }
+
+      expect(await token.balanceOf(holders[0].address)).to.equal(5000n);
+      expect(await token.balanceOf(holders[1].address)).to.equal(3000n);
+      expect(await token.balanceOf(holders[2].address)).to.equal(2000n);
+      expect((await airdrop.getRound(0)).claimed).to.equal(POOL);
+      expect(await airdrop.reservedAmounts(token.target)).to.equal(0);
+    });
+
+    it("Should let anyone claim on a holder's behalf", async function () {
+      const { index, amount, proof } = tree.claims[holders[1].address];
+
+      await expect(airdrop.connect(owner).claim(0, index, holders[1].address, amount, proof))
+        .to.emit(airdrop, "Claimed")
+        .withArgs(0, index, holders[1].address, 3000n);
+      expect(await token.balanceOf(holders[1].address)).to.equal(3000n);
+      expect(await airdrop.isClaimed(0, index)).to.equal(true);
+    });
+
+    it("Should not pay the same entry twice", async function () {
+      await claimFor(0, tree, holders[0].address);
+
+      await expect(claimFor(0, tree, holders[0].address))
+        .to.be.revertedWithCustomError(airdrop, "AlreadyClaimed");
+    });
+
+    it("Should reject amounts and accounts that are not on the list", async function () {
+      const { index, proof } = tree.claims[holders[0].address];
+
+      await expect(airdrop.claim(0, index, holders[0].address, 6000n, proof))
+        .to.be.revertedWithCustomError(airdrop, "InvalidProof");
+      await expect(airdrop.claim(0, index, owner.address, 5000n, proof))
+        .to.be.revertedWithCustomError(airdrop, "InvalidProof");
+    });
+
+    it("Should keep a separate claim record for every round", async function () {
+      await claimFor(0, tree, holders[0].address);
+
+      // A second payment from the splitter funds a second round with the same holders
+      await token.transfer(splitter.target, POOL * 2n);
+      await splitter.distributeTokens(token.target);
+      const nextTree = snapshotTree(POOL);
+      await airdrop.publishRound(token.target, nextTree.merkleRoot, nextTree.total, 0);
+
+      expect(await airdrop.isClaimed(1, nextTree.claims[holders[0].address].index)).to.equal(false);
+      await claimFor(1, nextTree, holders[0].address);
+      expect(await token.balanceOf(holders[0].address)).to.equal(10000n);
+    });
+
+    it("Should never pay a round more than its total", async function () {
+      // A faulty list whose claims add up to more than the total published with it
+      const faulty = buildAirdropTree([
+        { account: holders[0].address, amount: 4000n },
+        { account: holders[1].address, amount: 4000n }
+      ]);
+      await token.transfer(splitter.target, POOL * 2n);
+      await splitter.distributeTokens(token.target);
+      await airdrop.publishRound(token.target, faulty.merkleRoot, 5000n, 0);
+
+      await claimFor(1, faulty, holders[0].address);
+      await expect(claimFor(1, faulty, holders[1].address))
+        .to.be.revertedWithCustomError(airdrop, "ClaimExceedsRound");
+    });
+  });
+
+  describe("Deadlines", function () {
+    let tree;
+    let deadline;
+
+    beforeEach(async function () {
+      await splitter.distributeTokens(token.target);
+      tree = snapshotTree(POOL);
+      deadline = (await time.latest()) + 7 * 24 * 60 * 60;
+      await airdrop.publishRound(token.target, tree.merkleRoot, tree.total, deadline);
+    });
+
+    it("Should stop claims after the deadline", async function () {
+      await time.increaseTo(deadline + 1);
+
+      await expect(claimFor(0, tree, holders[0].address))
+        .to.be.revertedWithCustomError(airdrop, "RoundExpired");
+    });
+
+    it("Should return unclaimed tokens to the pool once the round is closed", async function () {
+      await claimFor(0, tree, holders[0].address);
+
+      await expect(airdrop.closeRound(0))
+        .to.be.revertedWithCustomError(airdrop, "RoundStillOpen");
+
+      await time.increaseTo(deadline + 1);
+      await expect(airdrop.connect(holders[2]).closeRound(0))
+        .to.emit(airdrop, "RoundClosed")
+        .withArgs(0, 5000n);
+
+      expect(await airdrop.getAvailableAmount(token.target)).to.equal(5000n);
+      await expect(airdrop.closeRound(0))
+        .to.be.revertedWithCustomError(airdrop, "RoundExpired");
+    });
+  });
+
+  describe("Tree Generator", function () {
+    it("Should read CSV and JSON snapshots", function () {
+      const csv = `address,balance\n${holders[0].address},100\n${holders[1].address}, 50\n`;
+      expect(parseSnapshot(csv, "csv")).to.deep.equal([
+        { address: holders[0].address, balance: "100" },
+        { address: holders[1].address, balance: "50" }
+      ]);
+
+      const json = JSON.stringify({ [holders[0].address]: "100" });
+      expect(parseSnapshot(json, "json")).to.deep.equal([{ address: holders[0].address, balance: "100" }]);
+    });
+
+    it("Should merge repeated holders, skip excluded ones and round down", function () {
+      const claims = splitProRata([
+        { address: holders[0].address, balance: "1" },
+        { address: holders[0].address.toLowerCase(), balance: "1" },
+        { address: holders[1].address, balance: "1" },
+        { address: treasury.address, balance: "1000" }
+      ], 100n, [treasury.address]);
+
+      expect(claims).to.deep.equal([
+        { account: holders[0].address, amount: 66n },
+        { account: holders[1].address, amount: 33n }
+      ]);
+      expect(buildAirdropTree(claims).total).to.equal("99");
+    });
+
+    it("Should give proofs that work for lists of any length", async function () {
+      // Five claims leave a node without a partner on the way up
+      const claims = holders.slice(0, 5).map((holder, i) => ({ account: holder.address, amount: BigInt(i + 1) * 100n }));
+      const oddTree = buildAirdropTree(claims);
+      await splitter.distributeTokens(token.target);
+      await airdrop.publishRound(token.target, oddTree.merkleRoot, oddTree.total, 0);
+
+      for (const { account, amount } of claims) {
+        await claimFor(0, oddTree, account);
+        expect(await token.balanceOf(account)).to.equal(amount);
+      }
+    });
+  });
+});
@@ -0,0 +1,276 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("SlutMachine Commit-Reveal", function () {
+  let slutMachine;
+  let gameToken;
+  let owner;
+  let player1;
+  let player2;
+  let developer;
+
+  // Test configuration
+  const TOKEN_SUPPLY = ethers.parseEther("1000000");
+  const MIN_BET = ethers.parseEther("10");
+  const MAX_BET = ethers.parseEther("100");
+  const HOUSE_EDGE_PERCENT = 500; // 5% house edge
+  const DEVELOPER_PERCENT = 100; // 1% developer profit
+  const HOUSE_FUNDS = ethers.parseEther("300000"); // Enough to set aside the largest possible win of a MAX_BET spin
+  const SECRET_SEED = "secret_seed_123";
+
+  beforeEach(async function () {
+    [owner, player1, player2, developer] = await ethers.getSigners();
+
+    // Deploy mock token for testing
+    const MockToken = await ethers.getContractFactory("contracts/test/MockERC20.sol:MockERC20");
+    gameToken = await MockToken.deploy("Game Token", "GAME", TOKEN_SUPPLY);
+
+    // Transfer tokens to players for betting
+    await gameToken.transfer(player1.address, ethers.parseEther("10000"));
+    await gameToken.transfer(player2.address, ethers.parseEther("10000"));
+
+    // Deploy the SlutMachine contract
+    const SlutMachine = await ethers.getContractFactory("SlutMachine");
+    slutMachine = await SlutMachine.deploy(
+      gameToken.target,
+      MIN_BET,
+      MAX_BET,
+      HOUSE_EDGE_PERCENT,
+      DEVELOPER_PERCENT,
+      developer.address,
+      3, // reels
+      3, // rows
+      6  // symbols
+    );
+
+    // Fund the contract with tokens for potential payouts
+    await gameToken.transfer(slutMachine.target, HOUSE_FUNDS);
+  });
+
+  // Helper function to commit a spin with proper approvals
+  async function commitWithApproval(player, betAmount, userSeed) {
+    await gameToken.connect(player).approve(slutMachine.target, betAmount);
+    const commitHash = await slutMachine.getCommitHash(player.address, userSeed);
+    return slutMachine.connect(player).commitSpin(betAmount, commitHash);
+  }
+
+  describe("Committing", function () {
+    it("Should hold the bet and record the commitment", async function () {
+      const commitHash = await slutMachine.getCommitHash(player1.address, SECRET_SEED);
+      await gameToken.connect(player1).approve(slutMachine.target, MIN_BET);
+
+      const tx = slutMachine.connect(player1).commitSpin(MIN_BET, commitHash);
+      const revealBlock = (await ethers.provider.getBlockNumber()) + 2;
+      await expect(tx)
+        .to.emit(slutMachine, "SpinCommitted")
+        .withArgs(player1.address, MIN_BET, commitHash, revealBlock);
+
+      const commitment = await slutMachine.commitments(player1.address);
+      expect(commitment.commitHash).to.equal(commitHash);
+      expect(commitment.betAmount).to.equal(MIN_BET);
+      expect(commitment.revealBlock).to.equal(revealBlock);
+      expect(await slutMachine.totalEscrowed()).to.equal(MIN_BET);
+      expect(await gameToken.balanceOf(slutMachine.target)).to.equal(HOUSE_FUNDS + MIN_BET);
+    });
+
+    it("Should reject bets outside the limits and empty commitments", async function () {
+      await gameToken.connect(player1).approve(slutMachine.target, MAX_BET * 2n);
+      const commitHash = await slutMachine.getCommitHash(player1.address, SECRET_SEED);
+
+      await expect(slutMachine.connect(player1).commitSpin(MAX_BET + 1n, commitHash))
+        .to.be.revertedWithCustomError(slutMachine, "InvalidBetAmount");
+      await expect(slutMachine.connect(player1).commitSpin(MIN_BET, ethers.ZeroHash))
+        .to.be.revertedWithCustomError(slutMachine, "InvalidCommitment");
+    });
+
+    it("Should allow only one open commitment per player", async function () {
+      await commitWithApproval(player1, MIN_BET, SECRET_SEED);
+
+      await expect(commitWithApproval(player1, MIN_BET, "another_seed"))
+        .to.be.revertedWithCustomError(slutMachine, "CommitmentPending");
+    });
+
+    it("Should not accept commitments while paused", async function () {
+      await slutMachine.pause();
+
+      await expect(commitWithApproval(player1, MIN_BET, SECRET_SEED))
+        .to.be.revertedWithCustomError(slutMachine, "EnforcedPause");
+    });
+  });
+
+  describe("Revealing", function () {
+    beforeEach(async function () {
+      await commitWithApproval(player1, MIN_BET, SECRET_SEED);
+    });
+
+    it("Should not reveal before the reveal block has been added", async function () {
+      const { revealBlock } = await slutMachine.commitments(player1.address);
+
+      // The reveal transaction itself would be mined in the reveal block
+      await expect(slutMachine.connect(player1).revealSpin(SECRET_SEED))
+        .to.be.revertedWithCustomError(slutMachine, "RevealTooEarly")
+        .withArgs(revealBlock);
+    });
+
+    it("Should play the spin with the committed bet", async function () {
+      await mine(1);
+
+      await expect(slutMachine.connect(player1).revealSpin(SECRET_SEED))
+        .to.emit(slutMachine, "Spin");
+
+      const commitment = await slutMachine.commitments(player1.address);
+      expect(commitment.betAmount).to.equal(0);
+      expect(await slutMachine.totalEscrowed()).to.equal(0);
+
+      const stats = await slutMachine.getGameStats();
+      expect(stats[0]).to.equal(1); // totalSpins
+      expect(stats[1]).to.equal(MIN_BET); // totalBetAmount
+      expect(await slutMachine.playerSpins(player1.address)).to.equal(1);
+
+      const history = await slutMachine.getPlayerSpinResults(player1.address, 0, 10);
+      expect(history.length).to.equal(1);
+      expect(history[0].betAmount).to.equal(MIN_BET);
+      expect(history[0].userSeed).to.equal(SECRET_SEED);
+    });
+
+    it("Should reject a seed that does not match the commitment", async function () {
+      await mine(1);
+
+      await expect(slutMachine.connect(player1).revealSpin("wrong_seed"))
+        .to.be.revertedWithCustomError(slutMachine, "InvalidReveal");
+    });
+
+    it("Should not let another player reveal a copied commitment", async function () {
+      await mine(1);
+
+      await expect(slutMachine.connect(player2).revealSpin(SECRET_SEED))
+        .to.be.revertedWithCustomError(slutMachine, "NoCommitment");
+    });
+
+    it("Should still reveal while the game is paused", async function () {
+      await slutMachine.pause();
+
+      await expect(slutMachine.connect(player1).revealSpin(SECRET_SEED))
+        .to.emit(slutMachine, "Spin");
+    });
+
+    it("Should refuse to reveal after the reveal window", async function () {
+      const { revealBlock } = await slutMachine.commitments(player1.address);
+      const window = await slutMachine.REVEAL_WINDOW();
+      await mine(window + 1n);
+
+      await expect(slutMachine.connect(player1).revealSpin(SECRET_SEED))
+        .to.be.revertedWithCustomError(slutMachine, "CommitmentExpired")
+        .withArgs(revealBlock + window);
+    });
+  });
+
+  describe("Forfeiting", function () {
+    beforeEach(async function () {
+      await commitWithApproval(player1, MIN_BET, SECRET_SEED);
+    });
+
+    it("Should only forfeit once the reveal window has passed", async function () {
+      await expect(slutMachine.connect(player2).forfeitCommitment(player1.address))
+        .to.be.revertedWithCustomError(slutMachine, "CommitmentNotExpired");
+      await expect(slutMachine.forfeitCommitment(player2.address))
+        .to.be.revertedWithCustomError(slutMachine, "NoCommitment");
+    });
+
+    it("Should let anyone give an expired bet to the house", async function () {
+      await mine((await slutMachine.REVEAL_WINDOW()) + 1n);
+
+      await expect(slutMachine.connect(player2).forfeitCommitment(player1.address))
+        .to.emit(slutMachine, "CommitmentForfeited")
+        .withArgs(player1.address, MIN_BET);
+
+      expect(await slutMachine.totalEscrowed()).to.equal(0);
+      expect(await gameToken.balanceOf(slutMachine.target)).to.equal(HOUSE_FUNDS + MIN_BET);
+      expect((await slutMachine.commitments(player1.address)).betAmount).to.equal(0);
+    });
+
+    it("Should forfeit an expired commitment when the player commits again", async function () {
+      await mine((await slutMachine.REVEAL_WINDOW()) + 1n);
+
+      await expect(commitWithApproval(player1, MAX_BET, "new_seed"))
+        .to.emit(slutMachine, "CommitmentForfeited")
+        .withArgs(player1.address, MIN_BET);
+      expect(await slutMachine.totalEscrowed()).to.equal(MAX_BET);
+    });
+  });
+
+  describe("Withdrawals", function () {
+    it("Should never withdraw bets held for open commitments or their reserved wins", async function () {
+      await commitWithApproval(player1, MAX_BET, SECRET_SEED);
+      const { reserved } = await slutMachine.commitments(player1.address);
+      expect(reserved).to.be.greaterThan(0);
+      expect(await slutMachine.totalReserved()).to.equal(reserved);
+
+      // Withdrawing everything leaves the held bet and its largest possible win in the contract
+      await slutMachine.withdraw(0);
+      expect(await gameToken.balanceOf(slutMachine.target)).to.equal(MAX_BET + reserved);
+
+      await expect(slutMachine.withdraw(1))
+        .to.be.revertedWithCustomError(slutMachine, "InsufficientContractBalance")
+        .withArgs(1, 0);
+    });
+
+    it("Should pay a winning reveal even after the owner withdrew everything", async function () {
+      // Only symbol 0 can appear, so every spin wins
+      await slutMachine.configureSymbol(0, "Winner", 100, 200);
+      for (let i = 1; i < 6; i++) {
+        await slutMachine.configureSymbol(i, `Symbol${i}`, 0, 100);
+      }
+      await commitWithApproval(player1, MIN_BET, SECRET_SEED);
+      const balanceBefore = await gameToken.balanceOf(player1.address);
+
+      // The owner empties the house before the reveal
+      await slutMachine.withdraw(0);
+      await mine(1);
+
+      // Every line pays 2x, and the player receives the house edge plus developer share of it
+      const winAmount = MIN_BET * 200n * 8n * BigInt(HOUSE_EDGE_PERCENT + DEVELOPER_PERCENT) / 10000n;
+      await expect(slutMachine.connect(player1).revealSpin(SECRET_SEED))
+        .to.emit(slutMachine, "Spin")
+        .withArgs(player1.address, MIN_BET, winAmount, [0, 0, 0, 0, 0, 0, 0, 0, 0], SECRET_SEED)
+        .and.to.not.emit(slutMachine, "SpinRefunded");
+
+      expect(await gameToken.balanceOf(player1.address)).to.equal(balanceBefore + winAmount);
+      expect((await slutMachine.commitments(player1.address)).betAmount).to.equal(0);
+      expect(await slutMachine.totalEscrowed()).to.equal(0);
+      expect(await slutMachine.totalReserved()).to.equal(0);
+    });
+
+    it("Should refuse a commitment whose largest win the house cannot cover", async function () {
+      await slutMachine.withdraw(0);
+      await gameToken.transfer(slutMachine.target, MIN_BET);
+
+      // A grid full of Sevens (5000) matches all 8 lines; the player and the developer are paid out of it
+      const maxWin = MIN_BET * 5000n * 8n;
+      await expect(commitWithApproval(player1, MIN_BET, SECRET_SEED))
+        .to.be.revertedWithCustomError(slutMachine, "InsufficientContractBalance")
+        .withArgs(maxWin * 600n / 10000n + maxWin * 100n / 10000n, MIN_BET);
+    });
+
+    it("Should not let the owner change the symbols, fees or jackpot before the reveal", async function () {
+      await commitWithApproval(player1, MIN_BET, SECRET_SEED);
+
+      await expect(slutMachine.configureSymbol(5, "Seven", 1, 0))
+        .to.be.revertedWithCustomError(slutMachine, "BetsStillHeld")
+        .withArgs(MIN_BET);
+      await expect(slutMachine.updateGameConfig(MIN_BET, MAX_BET, 0, 0))
+        .to.be.revertedWithCustomError(slutMachine, "BetsStillHeld");
+      await expect(slutMachine.configureJackpot(0, 0, 5, 2))
+        .to.be.revertedWithCustomError(slutMachine, "BetsStillHeld");
+    });
+
+    it("Should free the reserved win when a commitment is forfeited", async function () {
+      await commitWithApproval(player1, MIN_BET, SECRET_SEED);
+      await mine((await slutMachine.REVEAL_WINDOW()) + 1n);
+
+      await slutMachine.forfeitCommitment(player1.address);
+      expect(await slutMachine.totalReserved()).to.equal(0);
+    });
+  });
+});
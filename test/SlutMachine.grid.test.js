@@ -0,0 +1,152 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("SlutMachine Grid Sizes", function () {
+  let gameToken;
+  let owner;
+  let player1;
+  let developer;
+
+  // Test configuration
+  const TOKEN_SUPPLY = ethers.parseEther("1000000");
+  const MIN_BET = ethers.parseEther("10");
+  const MAX_BET = ethers.parseEther("100");
+  const HOUSE_EDGE_PERCENT = 500; // 5% house edge
+  const DEVELOPER_PERCENT = 100; // 1% developer profit
+  const HOUSE_FUNDS = ethers.parseEther("50000");
+  const USER_SEED = "test_seed_123";
+
+  beforeEach(async function () {
+    [owner, player1, developer] = await ethers.getSigners();
+
+    // Deploy mock token for testing
+    const MockToken = await ethers.getContractFactory("contracts/test/MockERC20.sol:MockERC20");
+    gameToken = await MockToken.deploy("Game Token", "GAME", TOKEN_SUPPLY);
+    await gameToken.transfer(player1.address, ethers.parseEther("10000"));
+  });
+
+  // Deploys a funded machine with the given shape
+  async function deployMachine(reels, rows, symbols) {
+    const SlutMachine = await ethers.getContractFactory("SlutMachine");
+    const machine = await SlutMachine.deploy(
+      gameToken.target, MIN_BET, MAX_BET, HOUSE_EDGE_PERCENT, DEVELOPER_PERCENT, developer.address, reels, rows, symbols
+    );
+    await gameToken.transfer(machine.target, HOUSE_FUNDS);
+    return machine;
+  }
+
+  // Helper function to spin with proper approvals
+  async function spinWithApproval(machine, betAmount, userSeed) {
+    await gameToken.connect(player1).approve(machine.target, betAmount);
+    return machine.connect(player1).spin(betAmount, userSeed);
+  }
+
+  // Leaves a single symbol on the reels with the given payout
+  async function onlySymbol(machine, symbolId, payout) {
+    const count = Number(await machine.NUM_SYMBOLS());
+    for (let i = 0; i < count; i++) {
+      await machine.configureSymbol(i, `Symbol ${i}`, i === symbolId ? 1 : 0, i === symbolId ? payout : 0);
+    }
+  }
+
+  describe("Deployment", function () {
+    it("Should reject shapes outside the limits", async function () {
+      const SlutMachine = await ethers.getContractFactory("SlutMachine");
+      const deployWith = (reels, rows, symbols) => SlutMachine.deploy(
+        gameToken.target, MIN_BET, MAX_BET, HOUSE_EDGE_PERCENT, DEVELOPER_PERCENT, developer.address, reels, rows, symbols
+      );
+
+      await expect(deployWith(2, 3, 6))
+        .to.be.revertedWithCustomError(SlutMachine, "InvalidGridSize")
+        .withArgs(2, 3, 6);
+      await expect(deployWith(6, 3, 6)).to.be.revertedWithCustomError(SlutMachine, "InvalidGridSize");
+      await expect(deployWith(3, 6, 6)).to.be.revertedWithCustomError(SlutMachine, "InvalidGridSize");
+      await expect(deployWith(3, 3, 1)).to.be.revertedWithCustomError(SlutMachine, "InvalidGridSize");
+      await expect(deployWith(3, 3, 17)).to.be.revertedWithCustomError(SlutMachine, "InvalidGridSize");
+    });
+
+    it("Should set up a 5x3 machine with 16 symbols", async function () {
+      const machine = await deployMachine(5, 3, 16);
+
+      expect(await machine.REELS()).to.equal(5);
+      expect(await machine.ROWS()).to.equal(3);
+      expect(await machine.NUM_SYMBOLS()).to.equal(16);
+
+      // The first six symbols keep their defaults, the rest start switched off
+      expect(await machine.symbolNames(5)).to.equal("Seven");
+      expect(await machine.symbolWeights(5)).to.equal(1);
+      expect(await machine.symbolNames(15)).to.equal("");
+      expect(await machine.symbolWeights(15)).to.equal(0);
+
+      // Sevens on the middle row and both diagonals
+      const jackpot = await machine.getJackpot();
+      expect(jackpot.symbolId).to.equal(5);
+      expect(jackpot.lines).to.equal((1 << 1) | (1 << 8) | (1 << 9));
+    });
+
+    it("Should use the first symbols and the rarest one for the jackpot on small machines", async function () {
+      const machine = await deployMachine(3, 3, 4);
+
+      expect(await machine.symbolNames(3)).to.equal("Grape");
+      expect((await machine.getJackpot()).symbolId).to.equal(3);
+      await expect(machine.configureSymbol(4, "Bell", 1, 100))
+        .to.be.revertedWithCustomError(machine, "InvalidSymbolId")
+        .withArgs(4, 3);
+    });
+  });
+
+  describe("Playing", function () {
+    it("Should return a full grid in the event and the history", async function () {
+      const machine = await deployMachine(5, 3, 6);
+
+      const receipt = await (await spinWithApproval(machine, MIN_BET, USER_SEED)).wait();
+      const event = receipt.logs.map((log) => machine.interface.parseLog(log)).find((parsed) => parsed?.name === "Spin");
+      expect(event.args.result.length).to.equal(15);
+
+      const single = await machine.getPlayerSpinResult(player1.address, 0);
+      const page = await machine.getPlayerSpinResults(player1.address, 0, 1);
+      expect(single.symbols).to.deep.equal(event.args.result);
+      expect(page[0].symbols).to.deep.equal(event.args.result);
+    });
+
+    it("Should pay every matching payline on a 5x3 grid", async function () {
+      const machine = await deployMachine(5, 3, 6);
+      await onlySymbol(machine, 0, 110);
+      const balanceBefore = await gameToken.balanceOf(player1.address);
+
+      await spinWithApproval(machine, MIN_BET, USER_SEED);
+
+      // 3 rows + 5 columns + 2 diagonals, each paying 1.1x, minus fees as in a normal spin
+      const originalWin = MIN_BET * 10n * 110n;
+      const expectedWin = (originalWin * BigInt(HOUSE_EDGE_PERCENT + DEVELOPER_PERCENT)) / 10000n;
+      expect(await gameToken.balanceOf(player1.address)).to.equal(balanceBefore - MIN_BET + expectedWin);
+    });
+
+    it("Should let symbols added after deployment appear", async function () {
+      const machine = await deployMachine(3, 3, 16);
+      await onlySymbol(machine, 15, 0);
+
+      await spinWithApproval(machine, MIN_BET, USER_SEED);
+
+      const { symbols } = await machine.getPlayerSpinResult(player1.address, 0);
+      expect(symbols).to.deep.equal(new Array(9).fill(15n));
+    });
+
+    it("Should pay the jackpot on a 5x3 diagonal", async function () {
+      const machine = await deployMachine(5, 3, 6);
+      await onlySymbol(machine, 5, 0);
+      await machine.configureJackpot(0, 0, 5, 1 << 9);
+      await gameToken.approve(machine.target, MAX_BET);
+      await machine.fundJackpot(MAX_BET);
+
+      await expect(spinWithApproval(machine, MIN_BET, USER_SEED))
+        .to.emit(machine, "JackpotWon")
+        .withArgs(player1.address, MAX_BET);
+
+      // A 5x3 grid has 10 paylines
+      await expect(machine.configureJackpot(0, 0, 5, 1 << 10))
+        .to.be.revertedWithCustomError(machine, "InvalidJackpotLines")
+        .withArgs(1 << 10);
+    });
+  });
+});
@@ -0,0 +1,261 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("SlutMachine Jackpot", function () {
+  let slutMachine;
+  let gameToken;
+  let owner;
+  let player1;
+  let player2;
+  let developer;
+
+  // Test configuration
+  const TOKEN_SUPPLY = ethers.parseEther("1000000");
+  const MIN_BET = ethers.parseEther("10");
+  const MAX_BET = ethers.parseEther("100");
+  const HOUSE_EDGE_PERCENT = 500; // 5% house edge
+  const DEVELOPER_PERCENT = 100; // 1% developer profit
+  const HOUSE_FUNDS = ethers.parseEther("50000");
+  const USER_SEED = "test_seed_123";
+
+  // Jackpot configuration
+  const CONTRIBUTION_BPS = 200; // 2% of every bet
+  const SEED = ethers.parseEther("100");
+  const SEVEN = 5;
+  const MIDDLE_ROW_AND_DIAGONALS = (1 << 1) | (1 << 6) | (1 << 7);
+
+  beforeEach(async function () {
+    [owner, player1, player2, developer] = await ethers.getSigners();
+
+    // Deploy mock token for testing
+    const MockToken = await ethers.getContractFactory("contracts/test/MockERC20.sol:MockERC20");
+    gameToken = await MockToken.deploy("Game Token", "GAME", TOKEN_SUPPLY);
+
+    // Transfer tokens to players for betting
+    await gameToken.transfer(player1.address, ethers.parseEther("10000"));
+    await gameToken.transfer(player2.address, ethers.parseEther("10000"));
+
+    // Deploy the SlutMachine contract
+    const SlutMachine = await ethers.getContractFactory("SlutMachine");
+    slutMachine = await SlutMachine.deploy(
+      gameToken.target,
+      MIN_BET,
+      MAX_BET,
+      HOUSE_EDGE_PERCENT,
+      DEVELOPER_PERCENT,
+      developer.address,
+      3, // reels
+      3, // rows
+      6  // symbols
+    );
+
+    // Fund the contract with tokens for potential payouts
+    await gameToken.transfer(slutMachine.target, HOUSE_FUNDS);
+
+    // The seed can only be set once the pool holds more than it (see Winning)
+    await slutMachine.configureJackpot(CONTRIBUTION_BPS, 0, SEVEN, MIDDLE_ROW_AND_DIAGONALS);
+  });
+
+  // Helper function to spin with proper approvals
+  async function spinWithApproval(player, betAmount, userSeed) {
+    await gameToken.connect(player).approve(slutMachine.target, betAmount);
+    return slutMachine.connect(player).spin(betAmount, userSeed);
+  }
+
+  // Leaves a single symbol on the reels, with no regular payout
+  async function onlySymbol(symbolId) {
+    for (let i = 0; i < 6; i++) {
+      await slutMachine.configureSymbol(i, `Symbol ${i}`, i === symbolId ? 1 : 0, 0);
+    }
+  }
+
+  describe("Configuration", function () {
+    it("Should start with the jackpot switched off on Sevens", async function () {
+      const SlutMachine = await ethers.getContractFactory("SlutMachine");
+      const fresh = await SlutMachine.deploy(
+        gameToken.target, MIN_BET, MAX_BET, HOUSE_EDGE_PERCENT, DEVELOPER_PERCENT, developer.address, 3, 3, 6
+      );
+
+      const jackpot = await fresh.getJackpot();
+      expect(jackpot.pool).to.equal(0);
+      expect(jackpot.contributionBps).to.equal(0);
+      expect(jackpot.symbolId).to.equal(SEVEN);
+      expect(jackpot.lines).to.equal(MIDDLE_ROW_AND_DIAGONALS);
+    });
+
+    it("Should reject invalid jackpot settings", async function () {
+      await expect(slutMachine.configureJackpot(1001, 0, SEVEN, MIDDLE_ROW_AND_DIAGONALS))
+        .to.be.revertedWithCustomError(slutMachine, "InvalidPercentage")
+        .withArgs(1001, 1000);
+      await expect(slutMachine.configureJackpot(CONTRIBUTION_BPS, 0, 6, MIDDLE_ROW_AND_DIAGONALS))
+        .to.be.revertedWithCustomError(slutMachine, "InvalidSymbolId");
+      await expect(slutMachine.configureJackpot(CONTRIBUTION_BPS, 0, SEVEN, 0))
+        .to.be.revertedWithCustomError(slutMachine, "ZeroValueNotAllowed");
+      await expect(slutMachine.configureJackpot(CONTRIBUTION_BPS, 0, SEVEN, 256))
+        .to.be.revertedWithCustomError(slutMachine, "InvalidJackpotLines")
+        .withArgs(256);
+      await expect(slutMachine.connect(player1).configureJackpot(CONTRIBUTION_BPS, 0, SEVEN, 1))
+        .to.be.revertedWithCustomError(slutMachine, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should only accept a seed smaller than the pool", async function () {
+      await expect(slutMachine.configureJackpot(CONTRIBUTION_BPS, SEED, SEVEN, MIDDLE_ROW_AND_DIAGONALS))
+        .to.be.revertedWithCustomError(slutMachine, "InvalidJackpotSeed")
+        .withArgs(SEED, 0);
+
+      await gameToken.approve(slutMachine.target, SEED);
+      await slutMachine.fundJackpot(SEED);
+      await expect(slutMachine.configureJackpot(CONTRIBUTION_BPS, SEED, SEVEN, MIDDLE_ROW_AND_DIAGONALS))
+        .to.be.revertedWithCustomError(slutMachine, "InvalidJackpotSeed")
+        .withArgs(SEED, SEED);
+      await slutMachine.configureJackpot(CONTRIBUTION_BPS, SEED - 1n, SEVEN, MIDDLE_ROW_AND_DIAGONALS);
+    });
+
+    it("Should reject a jackpot symbol that can never appear", async function () {
+      await onlySymbol(0);
+
+      await expect(slutMachine.configureJackpot(CONTRIBUTION_BPS, 0, SEVEN, MIDDLE_ROW_AND_DIAGONALS))
+        .to.be.revertedWithCustomError(slutMachine, "InvalidJackpotSymbol")
+        .withArgs(SEVEN);
+    });
+  });
+
+  describe("Growing the Pool", function () {
+    it("Should add a slice of every bet to the pool", async function () {
+      const contribution = (MAX_BET * BigInt(CONTRIBUTION_BPS)) / 10000n;
+
+      await expect(spinWithApproval(player1, MAX_BET, USER_SEED))
+        .to.emit(slutMachine, "JackpotContributed")
+        .withArgs(player1.address, contribution, contribution);
+      await spinWithApproval(player2, MAX_BET, USER_SEED);
+
+      expect((await slutMachine.getJackpot()).pool).to.equal(contribution * 2n);
+    });
+
+    it("Should let anyone add tokens to the pool", async function () {
+      await gameToken.connect(player1).approve(slutMachine.target, SEED);
+
+      await expect(slutMachine.connect(player1).fundJackpot(SEED))
+        .to.emit(slutMachine, "JackpotContributed")
+        .withArgs(player1.address, SEED, SEED);
+      await expect(slutMachine.fundJackpot(0))
+        .to.be.revertedWithCustomError(slutMachine, "ZeroValueNotAllowed");
+
+      const jackpot = await slutMachine.getJackpot();
+      expect(jackpot.pool).to.equal(SEED);
+      expect(jackpot.prize).to.equal(SEED);
+    });
+  });
+
+  describe("Winning", function () {
+    beforeEach(async function () {
+      await gameToken.approve(slutMachine.target, SEED * 5n);
+      await slutMachine.fundJackpot(SEED * 5n);
+      await slutMachine.configureJackpot(CONTRIBUTION_BPS, SEED, SEVEN, MIDDLE_ROW_AND_DIAGONALS);
+    });
+
+    it("Should pay the pool minus the seed for the jackpot combination", async function () {
+      await onlySymbol(SEVEN);
+      const contribution = (MIN_BET * BigInt(CONTRIBUTION_BPS)) / 10000n;
+      const prize = SEED * 5n + contribution - SEED;
+      const balanceBefore = await gameToken.balanceOf(player1.address);
+
+      await expect(spinWithApproval(player1, MIN_BET, USER_SEED))
+        .to.emit(slutMachine, "JackpotWon")
+        .withArgs(player1.address, prize);
+
+      expect(await gameToken.balanceOf(player1.address)).to.equal(balanceBefore - MIN_BET + prize);
+      expect((await slutMachine.getJackpot()).pool).to.equal(SEED);
+    });
+
+    it("Should not pay the jackpot for other symbols or paylines", async function () {
+      await onlySymbol(0);
+      await expect(spinWithApproval(player1, MIN_BET, USER_SEED))
+        .not.to.emit(slutMachine, "JackpotWon");
+
+      // Sevens everywhere, but the jackpot only counts a Cherry line
+      await slutMachine.configureJackpot(CONTRIBUTION_BPS, SEED, 0, MIDDLE_ROW_AND_DIAGONALS);
+      await onlySymbol(SEVEN);
+      await expect(spinWithApproval(player1, MIN_BET, USER_SEED))
+        .not.to.emit(slutMachine, "JackpotWon");
+    });
+
+    it("Should not pay anything when the pool is at its seed", async function () {
+      await onlySymbol(SEVEN);
+      await slutMachine.configureJackpot(0, SEED, SEVEN, MIDDLE_ROW_AND_DIAGONALS);
+
+      // The first jackpot leaves only the seed, and without contributions it stays there
+      await spinWithApproval(player1, MIN_BET, USER_SEED);
+      expect((await slutMachine.getJackpot()).pool).to.equal(SEED);
+
+      await expect(spinWithApproval(player1, MIN_BET, USER_SEED))
+        .not.to.emit(slutMachine, "JackpotWon");
+    });
+  });
+
+  describe("Protecting the Pool", function () {
+    beforeEach(async function () {
+      await gameToken.approve(slutMachine.target, SEED);
+      await slutMachine.fundJackpot(SEED);
+    });
+
+    it("Should never withdraw jackpot funds", async function () {
+      await slutMachine.withdraw(0);
+      expect(await gameToken.balanceOf(slutMachine.target)).to.equal(SEED);
+
+      await expect(slutMachine.withdraw(1))
+        .to.be.revertedWithCustomError(slutMachine, "InsufficientContractBalance")
+        .withArgs(1, 0);
+    });
+
+    it("Should not pay regular wins out of the jackpot", async function () {
+      await slutMachine.withdraw(0);
+
+      // A guaranteed regular win that only the jackpot could cover
+      for (let i = 1; i < 6; i++) {
+        await slutMachine.configureSymbol(i, `Symbol ${i}`, 0, 0);
+      }
+      await expect(spinWithApproval(player1, MIN_BET, USER_SEED))
+        .to.be.revertedWithCustomError(slutMachine, "InsufficientContractBalance");
+    });
+
+    it("Should not change the game token while the jackpot holds funds", async function () {
+      await expect(slutMachine.updateGameToken(player2.address))
+        .to.be.revertedWithCustomError(slutMachine, "JackpotNotEmpty")
+        .withArgs(SEED);
+    });
+
+    it("Should let the owner take out the pool while paused, and then change the token", async function () {
+      await slutMachine.configureJackpot(CONTRIBUTION_BPS, SEED / 2n, SEVEN, MIDDLE_ROW_AND_DIAGONALS);
+      await slutMachine.pause();
+      const balanceBefore = await gameToken.balanceOf(owner.address);
+
+      await expect(slutMachine.withdrawJackpot())
+        .to.emit(slutMachine, "JackpotWithdrawn")
+        .withArgs(owner.address, SEED);
+
+      expect(await gameToken.balanceOf(owner.address)).to.equal(balanceBefore + SEED);
+      const jackpot = await slutMachine.getJackpot();
+      expect(jackpot.pool).to.equal(0);
+      expect(jackpot.seed).to.equal(0);
+
+      await expect(slutMachine.updateGameToken(player2.address))
+        .to.emit(slutMachine, "TokenChanged");
+    });
+
+    it("Should only take out the pool while the game is paused and no bets are held", async function () {
+      await expect(slutMachine.connect(player1).withdrawJackpot())
+        .to.be.revertedWithCustomError(slutMachine, "OwnableUnauthorizedAccount");
+      await expect(slutMachine.withdrawJackpot())
+        .to.be.revertedWithCustomError(slutMachine, "ExpectedPause");
+
+      // A committed spin could still win the jackpot when it is revealed
+      await gameToken.connect(player1).approve(slutMachine.target, MIN_BET);
+      await slutMachine.connect(player1).commitSpin(MIN_BET, await slutMachine.getCommitHash(player1.address, USER_SEED));
+      await slutMachine.pause();
+      await expect(slutMachine.withdrawJackpot())
+        .to.be.revertedWithCustomError(slutMachine, "BetsStillHeld")
+        .withArgs(MIN_BET);
+    });
+  });
+});
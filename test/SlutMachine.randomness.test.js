@@ -0,0 +1,316 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mine, mineUpTo } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("SlutMachine Randomness Provider", function () {
+  let slutMachine;
+  let gameToken;
+  let coordinator;
+  let owner;
+  let player1;
+  let player2;
+  let developer;
+
+  // Test configuration
+  const TOKEN_SUPPLY = ethers.parseEther("1000000");
+  const MIN_BET = ethers.parseEther("10");
+  const MAX_BET = ethers.parseEther("100");
+  const HOUSE_EDGE_PERCENT = 500; // 5% house edge
+  const DEVELOPER_PERCENT = 100; // 1% developer profit
+  const HOUSE_FUNDS = ethers.parseEther("300000"); // Enough to set aside the largest possible win of a MAX_BET spin
+  const USER_SEED = "test_seed_123";
+
+  beforeEach(async function () {
+    [owner, player1, player2, developer] = await ethers.getSigners();
+
+    // Deploy mock token for testing
+    const MockToken = await ethers.getContractFactory("contracts/test/MockERC20.sol:MockERC20");
+    gameToken = await MockToken.deploy("Game Token", "GAME", TOKEN_SUPPLY);
+
+    // Transfer tokens to players for betting
+    await gameToken.transfer(player1.address, ethers.parseEther("10000"));
+    await gameToken.transfer(player2.address, ethers.parseEther("10000"));
+
+    // Deploy the SlutMachine contract
+    const SlutMachine = await ethers.getContractFactory("SlutMachine");
+    slutMachine = await SlutMachine.deploy(
+      gameToken.target,
+      MIN_BET,
+      MAX_BET,
+      HOUSE_EDGE_PERCENT,
+      DEVELOPER_PERCENT,
+      developer.address,
+      3, // reels
+      3, // rows
+      6  // symbols
+    );
+
+    // Fund the contract with tokens for potential payouts
+    await gameToken.transfer(slutMachine.target, HOUSE_FUNDS);
+
+    // Answers come from a coordinator the tests control
+    const Coordinator = await ethers.getContractFactory("MockRandomnessCoordinator");
+    coordinator = await Coordinator.deploy();
+    await slutMachine.setRandomnessProvider(coordinator.target);
+  });
+
+  // Helper function to spin with proper approvals
+  async function spinWithApproval(player, betAmount, userSeed) {
+    await gameToken.connect(player).approve(slutMachine.target, betAmount);
+    return slutMachine.connect(player).spin(betAmount, userSeed);
+  }
+
+  describe("Configuration", function () {
+    it("Should use the built-in generator by default", async function () {
+      const SlutMachine = await ethers.getContractFactory("SlutMachine");
+      const fresh = await SlutMachine.deploy(
+        gameToken.target, MIN_BET, MAX_BET, HOUSE_EDGE_PERCENT, DEVELOPER_PERCENT, developer.address, 3, 3, 6
+      );
+      await gameToken.transfer(fresh.target, HOUSE_FUNDS);
+      await gameToken.connect(player1).approve(fresh.target, MIN_BET);
+
+      expect(await fresh.randomnessProvider()).to.equal(ethers.ZeroAddress);
+      await expect(fresh.connect(player1).spin(MIN_BET, USER_SEED))
+        .to.emit(fresh, "Spin");
+    });
+
+    it("Should only let the owner change the provider", async function () {
+      await expect(slutMachine.connect(player1).setRandomnessProvider(player1.address))
+        .to.be.revertedWithCustomError(slutMachine, "OwnableUnauthorizedAccount");
+
+      await expect(slutMachine.setRandomnessProvider(ethers.ZeroAddress))
+        .to.emit(slutMachine, "RandomnessProviderUpdated")
+        .withArgs(coordinator.target, ethers.ZeroAddress);
+    });
+  });
+
+  describe("Pending Spins", function () {
+    it("Should hold the bet until the provider answers", async function () {
+      await expect(spinWithApproval(player1, MIN_BET, USER_SEED))
+        .to.emit(slutMachine, "SpinRequested")
+        .withArgs(player1.address, 1, MIN_BET)
+        .and.not.to.emit(slutMachine, "Spin");
+
+      const pending = await slutMachine.pendingSpins(1);
+      expect(pending.player).to.equal(player1.address);
+      expect(pending.betAmount).to.equal(MIN_BET);
+      expect(pending.provider).to.equal(coordinator.target);
+      expect(pending.userSeed).to.equal(USER_SEED);
+      expect(pending.requestBlock).to.equal(await ethers.provider.getBlockNumber());
+      expect(await slutMachine.totalEscrowed()).to.equal(MIN_BET);
+      expect(await slutMachine.totalSpins()).to.equal(0);
+    });
+
+    it("Should settle the spin when the provider answers", async function () {
+      await spinWithApproval(player1, MIN_BET, USER_SEED);
+
+      await expect(coordinator.fulfill(1, 12345))
+        .to.emit(slutMachine, "Spin");
+
+      expect((await slutMachine.pendingSpins(1)).player).to.equal(ethers.ZeroAddress);
+      expect(await slutMachine.totalEscrowed()).to.equal(0);
+      expect(await slutMachine.totalSpins()).to.equal(1);
+      expect(await slutMachine.playerSpins(player1.address)).to.equal(1);
+    });
+
+    it("Should give the same result for the same answer and seed", async function () {
+      await spinWithApproval(player1, MIN_BET, USER_SEED);
+      await spinWithApproval(player1, MIN_BET, USER_SEED);
+      await coordinator.fulfill(1, 777);
+      await coordinator.fulfill(2, 777);
+
+      const history = await slutMachine.getPlayerSpinResults(player1.address, 0, 2);
+      expect(history[0].symbols).to.deep.equal(history[1].symbols);
+    });
+
+    it("Should pay a win chosen through the answer", async function () {
+      // With only Cherry left every line matches, whatever the answer is
+      for (let i = 1; i < 6; i++) {
+        await slutMachine.configureSymbol(i, "Unused", 0, 0);
+      }
+      await spinWithApproval(player1, MIN_BET, USER_SEED);
+      const balanceBefore = await gameToken.balanceOf(player1.address);
+
+      await coordinator.fulfill(1, 1);
+
+      // 8 lines x 1.1x, minus fees as in a normal spin
+      const originalWin = MIN_BET * 880n;
+      const expectedWin = (originalWin * BigInt(HOUSE_EDGE_PERCENT + DEVELOPER_PERCENT)) / 10000n;
+      expect(await gameToken.balanceOf(player1.address)).to.equal(balanceBefore + expectedWin);
+      expect(await gameToken.balanceOf(developer.address)).to.equal((originalWin * BigInt(DEVELOPER_PERCENT)) / 10000n);
+    });
+
+    it("Should only accept answers from the provider that was asked", async function () {
+      await spinWithApproval(player1, MIN_BET, USER_SEED);
+
+      await expect(slutMachine.connect(player1).fulfillRandomness(1, 1))
+        .to.be.revertedWithCustomError(slutMachine, "OnlyRandomnessProvider")
+        .withArgs(player1.address);
+
+      // Switching providers does not take the request away from the old one
+      await slutMachine.setRandomnessProvider(ethers.ZeroAddress);
+      await expect(coordinator.fulfill(1, 1)).to.emit(slutMachine, "Spin");
+    });
+
+    it("Should reject answers for unknown requests", async function () {
+      await expect(slutMachine.fulfillRandomness(5, 1))
+        .to.be.revertedWithCustomError(slutMachine, "UnknownRequest")
+        .withArgs(5);
+    });
+
+    it("Should accept answers while the game is paused", async function () {
+      await spinWithApproval(player1, MIN_BET, USER_SEED);
+      await slutMachine.pause();
+
+      await expect(coordinator.fulfill(1, 1)).to.emit(slutMachine, "Spin");
+    });
+  });
+
+  describe("Held Bets", function () {
+    beforeEach(async function () {
+      await spinWithApproval(player1, MAX_BET, USER_SEED);
+    });
+
+    it("Should only refund once the provider had time to answer", async function () {
+      const { requestBlock } = await slutMachine.pendingSpins(1);
+      const timeout = await slutMachine.RANDOMNESS_TIMEOUT();
+
+      // The owner cannot refund early, for example to cancel a spin the answer would make a win
+      await expect(slutMachine.refundPendingSpin(1))
+        .to.be.revertedWithCustomError(slutMachine, "RefundTooEarly")
+        .withArgs(requestBlock + timeout);
+
+      // The provider can still answer in the last block of the timeout
+      await mineUpTo(requestBlock + timeout - 1n);
+      await expect(slutMachine.refundPendingSpin(1))
+        .to.be.revertedWithCustomError(slutMachine, "RefundTooEarly");
+
+      await mine(1);
+      await expect(slutMachine.refundPendingSpin(1))
+        .to.emit(slutMachine, "PendingSpinRefunded");
+    });
+
+    it("Should let the player take back a spin that was never answered", async function () {
+      const balanceBefore = await gameToken.balanceOf(player1.address);
+      await mine(await slutMachine.RANDOMNESS_TIMEOUT());
+
+      await expect(slutMachine.connect(player1).refundPendingSpin(1))
+        .to.emit(slutMachine, "PendingSpinRefunded")
+        .withArgs(player1.address, 1, MAX_BET);
+
+      expect(await gameToken.balanceOf(player1.address)).to.equal(balanceBefore + MAX_BET);
+      expect(await slutMachine.totalEscrowed()).to.equal(0);
+      await expect(coordinator.fulfill(1, 1))
+        .to.be.revertedWithCustomError(slutMachine, "UnknownRequest");
+    });
+
+    it("Should let the owner refund a spin that was never answered", async function () {
+      const balanceBefore = await gameToken.balanceOf(player1.address);
+      await mine(await slutMachine.RANDOMNESS_TIMEOUT());
+
+      await expect(slutMachine.refundPendingSpin(1))
+        .to.emit(slutMachine, "PendingSpinRefunded")
+        .withArgs(player1.address, 1, MAX_BET);
+
+      expect(await gameToken.balanceOf(player1.address)).to.equal(balanceBefore + MAX_BET);
+    });
+
+    it("Should only let the player or the owner refund", async function () {
+      await mine(await slutMachine.RANDOMNESS_TIMEOUT());
+
+      await expect(slutMachine.connect(player2).refundPendingSpin(1))
+        .to.be.revertedWithCustomError(slutMachine, "NotPlayerOrOwner")
+        .withArgs(player2.address);
+    });
+
+    it("Should not let a new provider's request replace a spin that is still waiting", async function () {
+      const Coordinator = await ethers.getContractFactory("MockRandomnessCoordinator");
+      const newCoordinator = await Coordinator.deploy();
+      await slutMachine.setRandomnessProvider(newCoordinator.target);
+      // Enough for the house to also cover player2's spin
+      await gameToken.transfer(slutMachine.target, HOUSE_FUNDS);
+
+      // The new coordinator also starts at request 1, which player1's spin still waits on
+      await gameToken.connect(player2).approve(slutMachine.target, MIN_BET);
+      await expect(slutMachine.connect(player2).spin(MIN_BET, USER_SEED))
+        .to.be.revertedWithCustomError(slutMachine, "RequestIdInUse")
+        .withArgs(1);
+      const pending = await slutMachine.pendingSpins(1);
+      expect(pending.player).to.equal(player1.address);
+      expect(pending.provider).to.equal(coordinator.target);
+      expect(await slutMachine.totalEscrowed()).to.equal(MAX_BET);
+
+      // Once the old spin is answered, the id is free again
+      await expect(coordinator.fulfill(1, 1)).to.emit(slutMachine, "Spin");
+      await expect(slutMachine.connect(player2).spin(MIN_BET, USER_SEED))
+        .to.emit(slutMachine, "SpinRequested")
+        .withArgs(player2.address, 1, MIN_BET);
+      expect(await slutMachine.totalEscrowed()).to.equal(MIN_BET);
+    });
+
+    it("Should pay an answered win even after the owner withdrew everything", async function () {
+      await coordinator.fulfill(1, 1);
+
+      // With only Cherry left every line matches, whatever the answer is
+      for (let i = 1; i < 6; i++) {
+        await slutMachine.configureSymbol(i, "Unused", 0, 0);
+      }
+      await spinWithApproval(player2, MIN_BET, USER_SEED);
+      const balanceBefore = await gameToken.balanceOf(player2.address);
+      await slutMachine.withdraw(0);
+
+      // Every line pays Cherry (110), and the player receives the house edge plus developer share of it
+      const winAmount = MIN_BET * 110n * 8n * BigInt(HOUSE_EDGE_PERCENT + DEVELOPER_PERCENT) / 10000n;
+      await expect(coordinator.fulfill(2, 1))
+        .to.emit(slutMachine, "Spin")
+        .and.to.not.emit(slutMachine, "SpinRefunded");
+      expect(await gameToken.balanceOf(player2.address)).to.equal(balanceBefore + winAmount);
+      expect(await slutMachine.totalReserved()).to.equal(0);
+    });
+
+    it("Should keep held bets and their reserved wins out of withdrawals", async function () {
+      const { reserved } = await slutMachine.pendingSpins(1);
+      // A grid full of Sevens (5000) matches all 8 lines; the house edge, developer profit and developer share are paid out of it
+      const maxWin = MAX_BET * 5000n * 8n;
+      expect(reserved).to.equal(maxWin * 600n / 10000n + maxWin * 100n / 10000n);
+      expect(await slutMachine.totalReserved()).to.equal(reserved);
+
+      await slutMachine.withdraw(0);
+      expect(await gameToken.balanceOf(slutMachine.target)).to.equal(MAX_BET + reserved);
+
+      // Refunding the spin frees its reserved win again
+      await mine(await slutMachine.RANDOMNESS_TIMEOUT());
+      await slutMachine.refundPendingSpin(1);
+      expect(await slutMachine.totalReserved()).to.equal(0);
+      expect(await gameToken.balanceOf(slutMachine.target)).to.equal(reserved);
+    });
+
+    it("Should refuse a spin whose largest win the house cannot cover", async function () {
+      await slutMachine.withdraw(0);
+
+      await gameToken.connect(player2).approve(slutMachine.target, MIN_BET);
+      await expect(slutMachine.connect(player2).spin(MIN_BET, USER_SEED))
+        .to.be.revertedWithCustomError(slutMachine, "InsufficientContractBalance");
+    });
+
+    it("Should not change the symbols, fees or jackpot while bets are held", async function () {
+      await expect(slutMachine.configureSymbol(0, "Cherry", 40, 10000))
+        .to.be.revertedWithCustomError(slutMachine, "BetsStillHeld")
+        .withArgs(MAX_BET);
+      await expect(slutMachine.updateGameConfig(MIN_BET, MAX_BET, 0, 0))
+        .to.be.revertedWithCustomError(slutMachine, "BetsStillHeld");
+      await expect(slutMachine.configureJackpot(0, 0, 5, 2))
+        .to.be.revertedWithCustomError(slutMachine, "BetsStillHeld");
+
+      await coordinator.fulfill(1, 1);
+      await expect(slutMachine.updateGameConfig(MIN_BET, MAX_BET, 0, 0))
+        .to.emit(slutMachine, "ConfigUpdated");
+    });
+
+    it("Should not change the game token while bets are held", async function () {
+      await expect(slutMachine.updateGameToken(player2.address))
+        .to.be.revertedWithCustomError(slutMachine, "BetsStillHeld")
+        .withArgs(MAX_BET);
+    });
+  });
+});